@@ -6,14 +6,19 @@
  */
 
 const fs = require('fs');
-const crypto = require('crypto');
-const yaml = require('js-yaml');
+const KernRuleSetResolver = require('./src/kern_imports');
+const KernDecisionTable = require('./src/kern_decision_table');
+const KernExpressionEngine = require('./src/kern_expression');
+const { canonicalHash } = require('./src/kern_canonical');
 
 class GitForLogic {
   constructor(rulesDir = './rules', dataDir = './data') {
     this.rulesDir = rulesDir;
     this.dataDir = dataDir;
     this.history = [];
+    this.expressions = new KernExpressionEngine();
+    this.resolver = new KernRuleSetResolver();
+    this.decisionTables = new KernDecisionTable(this.expressions);
     this.ensureDirectories();
   }
 
@@ -23,25 +28,23 @@ class GitForLogic {
     });
   }
 
-  // Load YAML rules - human friendly format
+  // Load YAML rules - human friendly format, validated against v3_rulesyaml.json
+  // Rule file with its imports resolved (namespaced names, imported rules first)
+  // and decision tables expanded into one rule per row
   loadRules(filename) {
-    const path = `${this.rulesDir}/${filename}`;
-    const content = fs.readFileSync(path, 'utf8');
-    return yaml.load(content);
+    const { document, rules } = this.resolver.resolve(`${this.rulesDir}/${filename}`);
+    return {
+      ...document.data,
+      rules: rules.flatMap(entry => (entry.rule.decision_table
+        ? this.decisionTables.expand(entry.rule, { name: entry.name }).map(({ row, table, ...rule }) => rule)
+        : [{ ...entry.rule, name: entry.name }]))
+    };
   }
 
-  // Simple rule evaluation - keeps it minimal
-  evaluateCondition(condition, data) {
+  // Simple rule evaluation - sandboxed expression language, no eval
+  evaluateCondition(condition, data, ruleName) {
     try {
-      // Basic condition evaluation - safely handles common patterns
-      const safeEval = condition
-        .replace(/(\w+\.?\w*)/g, (match) => {
-          if (match.includes('.')) {
-            return `data.${match}`;
-          }
-          return match;
-        });
-      return eval(safeEval);
+      return this.expressions.evaluateCondition(String(condition), data, { ruleName });
     } catch (e) {
       console.warn(`Condition evaluation failed: ${condition}`, e.message);
       return false;
@@ -54,7 +57,7 @@ class GitForLogic {
     const startTime = Date.now();
     
     // Sort by priority (lower number = higher priority)
-    const sortedRules = rules.rules.sort((a, b) => (a.priority || 999) - (b.priority || 999));
+    const sortedRules = rules.rules.sort((a, b) => a.priority - b.priority);
     
     let state = JSON.parse(JSON.stringify(inputData)); // Deep clone
     const appliedRules = [];
@@ -66,7 +69,7 @@ class GitForLogic {
     for (const rule of sortedRules) {
       const beforeState = JSON.stringify(state);
       
-      if (this.evaluateCondition(rule.when, state)) {
+      if (this.evaluateCondition(rule.if, state, rule.name)) {
         console.log(`✅ Applied: ${rule.name}`);
         appliedRules.push(rule.name);
         
@@ -79,7 +82,7 @@ class GitForLogic {
         audit.push({
           rule: rule.name,
           priority: rule.priority,
-          condition: rule.when,
+          condition: rule.if,
           changes: rule.then,
           timestamp: new Date().toISOString()
         });
@@ -133,12 +136,9 @@ class GitForLogic {
     current[keys[keys.length - 1]] = value;
   }
 
-  // Generate deterministic hash
+  // Generate deterministic hash - canonical JSON, same hash as the KERN runtime
   hash(data) {
-    return crypto.createHash('sha256')
-      .update(JSON.stringify(data, Object.keys(data).sort()))
-      .digest('hex')
-      .substring(0, 12); // Short hash for readability
+    return canonicalHash(data);
   }
 
   // Save execution to history (like git commits)
@@ -176,10 +176,19 @@ class GitForLogic {
     });
   }
 
+  // Find a history file by full hash or unique prefix (like git short hashes)
+  resolveHistoryFile(hash) {
+    const matches = fs.readdirSync('./history').filter(f => f.startsWith(hash) && f.endsWith('.json'));
+    if (matches.length !== 1) {
+      throw new Error(`${matches.length ? 'Ambiguous' : 'Unknown'} execution hash: ${hash}`);
+    }
+    return `./history/${matches[0]}`;
+  }
+
   // Compare two executions (like git diff)
   diff(hash1, hash2) {
-    const exec1 = JSON.parse(fs.readFileSync(`./history/${hash1}.json`, 'utf8'));
-    const exec2 = JSON.parse(fs.readFileSync(`./history/${hash2}.json`, 'utf8'));
+    const exec1 = JSON.parse(fs.readFileSync(this.resolveHistoryFile(hash1), 'utf8'));
+    const exec2 = JSON.parse(fs.readFileSync(this.resolveHistoryFile(hash2), 'utf8'));
     
     console.log(`📊 Comparing ${hash1} vs ${hash2}\n`);
     console.log(`Rules Changed: ${exec1.rulesHash !== exec2.rulesHash ? 'YES' : 'NO'}`);
@@ -12,87 +12,701 @@
 
 import fs from "fs";
 import path from "path";
-import Ajv from "ajv";
+import Ajv, { ValidateFunction } from "ajv";
 import addFormats from "ajv-formats";
-import crypto from "crypto";
 import { performance } from "perf_hooks";
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
+import KernExpressionEngine from "./src/kern_expression.js";
+import KernTemplateResolver from "./src/kern_template.js";
+import MnemeLedger from "./src/kern_ledger.js";
+import KernInvariantEngine from "./src/kern_invariants.js";
+import KernDebugger from "./src/kern_debugger.js";
+import KernExplainer from "./src/kern_explain.js";
+import ExecutionContext from "./src/kern_context.js";
+import { canonicalHash } from "./src/kern_canonical.js";
 
 // ================================================================
-// I. LOAD & VALIDATE SYSTEM MANIFEST INSTANCE
+// I. ERRORS & SYSTEM MANIFEST VALIDATION
 // ================================================================
 
-const ajv = new Ajv({ allErrors: true, strict: false });
-addFormats(ajv);
+// Importing this module has no side effects: schemas load on first use and
+// nothing exits the process. The CLI at the bottom only runs when this file
+// is the entrypoint.
 
-const SCHEMA_DIR = path.resolve("./kern_schemas");
+const DEFAULT_SCHEMA_DIR = path.join(__dirname, "kern_schemas");
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, "systemmanifest_instance.json");
 
-// Load the schema (definition)
-const manifestSchemaPath = path.join(SCHEMA_DIR, "v3_systemmanifest.json");
-const manifestSchema = JSON.parse(fs.readFileSync(manifestSchemaPath, "utf-8"));
-const validateManifest = ajv.compile(manifestSchema);
+export type KernErrorCode =
+  | "MANIFEST_INVALID" | "PLAN_INVALID" | "INPUT_INVALID" | "INVARIANTS_INVALID" | "EXECUTION_INVALID"
+  | "LEDGER_INVALID" | "FILE_NOT_FOUND" | "RESULT_INVALID";
 
-// Load the actual instance
-const manifestInstancePath = path.resolve("./systemmanifest_instance.json");
-const manifestInstance = JSON.parse(fs.readFileSync(manifestInstancePath, "utf-8"));
+/**
+ * Structured error thrown by the library API. `code` is stable for callers to
+ * branch on; `details` carries Ajv errors or the offending value.
+ */
+export class KernRuntimeError extends Error {
+  constructor(public code: KernErrorCode, message: string, public details?: any) {
+    super(message);
+    this.name = "KernRuntimeError";
+  }
+}
 
-if (!validateManifest(manifestInstance)) {
-  console.error("❌ Manifest validation errors:", validateManifest.errors);
-  process.exit(1);
+function readJson(filePath: string, what: string) {
+  if (!fs.existsSync(filePath)) {
+    throw new KernRuntimeError("FILE_NOT_FOUND", `${what} not found: ${filePath}`, { path: filePath });
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+export function validateManifest(manifest: any, schemaDir = DEFAULT_SCHEMA_DIR) {
+  const schemas = loadSchemas(schemaDir);
+  if (!schemas.validateManifest(manifest)) {
+    throw new KernRuntimeError("MANIFEST_INVALID", "Manifest validation failed", schemas.validateManifest.errors);
+  }
+  return manifest;
 }
-console.log("✅ Manifest instance validated successfully.");
 
 // ================================================================
 // II. LOAD COMPONENT SCHEMAS
 // ================================================================
 
-function loadSchema(file: string) {
-  const fullPath = path.join(SCHEMA_DIR, file);
-  return JSON.parse(fs.readFileSync(fullPath, "utf-8"));
+export interface KernSchemas {
+  manifest: any;
+  primitives: any;
+  invariant: any;
+  execution: any;
+  metrics: any;
+  ledger: any;
+  validateManifest: ValidateFunction;
+  validateInvariants: ValidateFunction;
+  validateExecution: ValidateFunction;
+  validateLedger: ValidateFunction;
+  validateResult: ValidateFunction;
+  // Sandboxed expression language enforcing the SecurityConstraints in v3_primitives.json
+  expressions: KernExpressionEngine;
+  // {{ }} interpolation with format filters, shared by RULE_APPLICATOR and TEMPLATE_RESOLVER
+  templates: KernTemplateResolver;
+  iterationSpec: any;
+  sanitizerSpec: any;
+  flattenerSpec: any;
 }
 
-const primitivesSchema = loadSchema("v3_primitives.json");
-const invariantSchema = loadSchema("v3_invariant.json");
-const metricsSchema = loadSchema("v3_metrics.json");
-console.log("🧩 All component schemas loaded.\n");
+const schemaCache = new Map<string, KernSchemas>();
+
+export function loadSchemas(schemaDir = DEFAULT_SCHEMA_DIR): KernSchemas {
+  const cached = schemaCache.get(schemaDir);
+  if (cached) return cached;
+
+  const loadSchema = (file: string) => readJson(path.join(schemaDir, file), "Schema");
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  const manifest = loadSchema("v3_systemmanifest.json");
+  const primitives = loadSchema("v3_primitives.json");
+  const metrics = loadSchema("v3_metrics.json");
+  const invariant = loadSchema("v3_invariant.json");
+  const execution = loadSchema("v3_kernexecution.json");
+  const ledger = loadSchema("v3_mnemeledger.json");
+  const primitiveSpecs = primitives.properties.primitives.properties;
+
+  // The result document $refs MetricsSnapshot and ConflictRecord by $id
+  ajv.addSchema(metrics);
+  ajv.addSchema(loadSchema("v3_rulesconfig.json"));
+  // Violations $ref InvariantViolation and ViolationPolicy; the instance validators are the same schemas
+  ajv.addSchema(invariant);
+  ajv.addSchema(execution);
+
+  const expressions = new KernExpressionEngine({}, {
+    schema: primitives,
+    maxConditionLength: primitiveSpecs.CONDITION_EVALUATOR.properties.spec.properties.maxConditionLength.default,
+  });
+
+  const schemas: KernSchemas = {
+    manifest,
+    primitives,
+    invariant,
+    execution,
+    metrics,
+    ledger,
+    validateManifest: ajv.compile(manifest),
+    validateInvariants: ajv.getSchema(invariant.$id)!,
+    validateExecution: ajv.getSchema(execution.$id)!,
+    validateLedger: ajv.compile(ledger),
+    validateResult: ajv.compile(loadSchema("v3_executionresult.json")),
+    expressions,
+    templates: new KernTemplateResolver(expressions),
+    iterationSpec: primitiveSpecs.ITERATION_MANAGER.properties.spec.properties,
+    sanitizerSpec: primitiveSpecs.CONTEXT_SANITIZER.properties.spec.properties,
+    flattenerSpec: primitiveSpecs.OBJECT_FLATTENER.properties.spec.properties,
+  };
+  schemaCache.set(schemaDir, schemas);
+  return schemas;
+}
 
 // ================================================================
 // III. UTILITIES
 // ================================================================
 
-const timestamp = () => new Date().toISOString();
-
+// Canonical (JCS) SHA-256, shared with the ledger, persistence and git-for-logic
 function hashState(state: any): string {
-  return crypto.createHash("sha256").update(JSON.stringify(state)).digest("hex");
+  return canonicalHash(state);
 }
 
 function deepClone<T>(obj: T): T {
   return JSON.parse(JSON.stringify(obj));
 }
 
-// ================================================================
-// IV. PRIMITIVE LIBRARY
-// ================================================================
+function sameValue(a: any, b: any): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function flattenLeaves(value: any, prefix = "", out: Record<string, string> = {}): Record<string, string> {
+  if (value !== null && typeof value === "object" && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenLeaves(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = JSON.stringify(value);
+  }
+  return out;
+}
+
+// Fraction of leaf fields that differ between two states (0 = identical, 1 = all changed)
+function stateDelta(before: any, after: any): number {
+  const a = flattenLeaves(before);
+  const b = flattenLeaves(after);
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  if (fields.size === 0) return 0;
+
+  let changed = 0;
+  for (const field of fields) {
+    if (a[field] !== b[field]) changed++;
+  }
+  return changed / fields.size;
+}
+
+// Validator for a plan's stateSchema.input/output. Each plan gets its own Ajv
+// so rule sets declaring the same $id do not collide.
+function compileStateSchema(schema: any, which: string): ValidateFunction | undefined {
+  if (!schema) return undefined;
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  try {
+    return ajv.compile(schema);
+  } catch (err: any) {
+    throw new KernRuntimeError("PLAN_INVALID", `stateSchema.${which} is not a valid JSON Schema: ${err.message}`, schema);
+  }
+}
+
+// One violation finding per schema mismatch; details.field is the dotted path
+// of the offending value (for required/additionalProperties, the named property)
+function schemaFindings(validate: ValidateFunction, state: any, invariant: string, label: string) {
+  if (validate(state)) return [];
+  return (validate.errors || []).map((error) => {
+    const location = error.instancePath.split("/").slice(1)
+      .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+      .join(".");
+    const property = error.params.missingProperty ?? error.params.additionalProperty;
+    const field = property === undefined ? location : location ? `${location}.${property}` : property;
+    return {
+      invariant,
+      severity: "error",
+      message: `${label} ${location || "(root)"} ${error.message}`,
+      details: { field, keyword: error.keyword, params: error.params, schemaPath: error.schemaPath },
+    };
+  });
+}
+
+// Citation for a plan step's source map entry (from the YAML bridge):
+// "rules/mortgage-rules.yaml:78:7". `key` narrows a rule step to one of its
+// `then` keys, or "if" for its condition.
+function formatLocation(source: any, key?: string): string | undefined {
+  if (!source?.file) return undefined;
+  const position = key === "if" ? source.condition : key !== undefined ? source.assignments?.[key] : undefined;
+  const { line, column } = position || source;
+  return `${source.file}:${line}:${column}`;
+}
+
+// The part of a rule step a failed output points at: the assignment that
+// failed or left a placeholder unresolved, else the condition
+function outputKey(output: any): string | undefined {
+  if (!output || typeof output !== "object") return undefined;
+  if (typeof output.fieldPath === "string") return output.fieldPath;
+  if (Array.isArray(output.unresolved) && output.unresolved.length) return output.unresolved[0].field;
+  return output.error && output.condition !== undefined ? "if" : undefined;
+}
+
+// Keys that can reach Object.prototype through a plain assignment
+const POLLUTING_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function valueType(value: any): string {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+// Convert a CSV/text value to a declared type; undefined when it cannot be converted
+function coerceValue(value: any, type: string): any {
+  switch (type) {
+    case "number":
+    case "integer": {
+      const number = typeof value === "number" ? value
+        : typeof value === "string" && value.trim() !== "" ? Number(value.trim().replace(/^\$/, "").replace(/,/g, ""))
+        : NaN;
+      if (!Number.isFinite(number) || (type === "integer" && !Number.isInteger(number))) return undefined;
+      return number;
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      const text = String(value).trim().toLowerCase();
+      if (["true", "yes", "y", "1"].includes(text)) return true;
+      if (["false", "no", "n", "0"].includes(text)) return false;
+      return undefined;
+    }
+    case "string":
+      return value !== null && typeof value === "object" ? undefined : String(value);
+    case "object":
+    case "array": {
+      if (typeof value !== "string") return valueType(value) === type ? value : undefined;
+      try {
+        const parsed = JSON.parse(value);
+        return valueType(parsed) === type ? parsed : undefined;
+      } catch {
+        return undefined;
+      }
+    }
+    default:
+      return undefined;
+  }
+}
+
+// Own-property lookup, so a dotted path can never read through the prototype chain
+function ownPath(root: any, pathStr: string): { parent: any; key: string; value: any } {
+  const keys = pathStr.split(".");
+  let parent = root;
+  for (const key of keys.slice(0, -1)) {
+    parent = parent !== null && typeof parent === "object" && Object.prototype.hasOwnProperty.call(parent, key)
+      ? parent[key] : undefined;
+  }
+  const key = keys[keys.length - 1];
+  const value = parent !== null && typeof parent === "object" && Object.prototype.hasOwnProperty.call(parent, key)
+    ? parent[key] : undefined;
+  return { parent, key, value };
+}
+
+function isPlainObject(value: any): boolean {
+  return valueType(value) === "object";
+}
+
+// Walk a dotted write path through own properties only, replacing any value
+// `keep` rejects with a new object. Reserved segments throw: every state write
+// goes through here, and they would land the value on Object.prototype.
+function writablePath(root: any, pathStr: string, keep: (value: any) => boolean = isPlainObject) {
+  const keys = pathStr.split(".");
+  const reserved = keys.find((key) => POLLUTING_KEYS.has(key));
+  if (reserved !== undefined) {
+    throw new Error(`Refusing to write '${pathStr}': '${reserved}' is a reserved key`);
+  }
+  let parent = root;
+  for (const key of keys.slice(0, -1)) {
+    if (!Object.prototype.hasOwnProperty.call(parent, key) || !keep(parent[key])) parent[key] = {};
+    parent = parent[key];
+  }
+  return { parent, key: keys[keys.length - 1] };
+}
+
+// Create intermediate objects along a dotted path and assign the leaf
+function assignPath(root: any, pathStr: string, value: any) {
+  const { parent, key } = writablePath(root, pathStr);
+  parent[key] = value;
+}
+
+export interface FlattenOptions {
+  delimiter: string;
+  maxDepth: number;
+  preserveArrays: boolean;
+  preserveNulls: boolean;
+  keyTransform: "none" | "camelCase" | "snake_case" | "kebab-case";
+  /** "index" writes debts[0].balance; "delimiter" writes debts.0.balance */
+  arrayNotation: "index" | "delimiter";
+  /** Collisions keep the first value unless this is "last_wins" */
+  onCollision?: "error" | "first_wins" | "last_wins";
+}
+
+const KEY_TRANSFORMS: Record<string, (key: string) => string> = {
+  none: (key) => key,
+  camelCase: (key) => key.replace(/[-_\s]+([a-zA-Z0-9])/g, (_, c) => c.toUpperCase()),
+  snake_case: (key) => key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/[-\s]+/g, "_").toLowerCase(),
+  "kebab-case": (key) => key.replace(/([a-z0-9])([A-Z])/g, "$1-$2").replace(/[_\s]+/g, "-").toLowerCase(),
+};
+
+/**
+ * Nested object → single-level map of delimited keys. Empty objects/arrays and
+ * anything at maxDepth stay whole as leaves, so unflattenObject() round-trips.
+ * Two source paths landing on the same key (a key containing the delimiter,
+ * or a keyTransform merging names) are reported as collisions.
+ */
+function flattenObject(value: Record<string, any>, options: FlattenOptions) {
+  const result: Record<string, any> = {};
+  const collisions: string[] = [];
+  const transform = KEY_TRANSFORMS[options.keyTransform] || KEY_TRANSFORMS.none;
+  const join = (prefix: string, key: string) => (prefix ? `${prefix}${options.delimiter}${key}` : key);
+
+  const emit = (key: string, leaf: any) => {
+    if (leaf === null && !options.preserveNulls) return;
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      if (!collisions.includes(key)) collisions.push(key);
+      if (options.onCollision !== "last_wins") return;
+    }
+    result[key] = leaf;
+  };
+
+  const walk = (node: any, prefix: string, depth: number) => {
+    const type = valueType(node);
+    const expandable = (type === "object" && Object.keys(node).length > 0)
+      || (type === "array" && !options.preserveArrays && node.length > 0);
+    if (!expandable || depth >= options.maxDepth) {
+      emit(prefix, node);
+      return;
+    }
+
+    if (type === "array") {
+      node.forEach((item: any, index: number) =>
+        walk(item, options.arrayNotation === "index" ? `${prefix}[${index}]` : join(prefix, String(index)), depth + 1));
+    } else {
+      for (const key of Object.keys(node)) {
+        if (POLLUTING_KEYS.has(key)) continue;
+        walk(node[key], join(prefix, transform(key)), depth + 1);
+      }
+    }
+  };
+
+  for (const key of Object.keys(value)) {
+    if (!POLLUTING_KEYS.has(key)) walk(value[key], transform(key), 1);
+  }
+  return { result, collisions };
+}
+
+// "debts[0].balance" → ["debts", 0, "balance"]
+function parseFlatKey(key: string, delimiter: string): Array<string | number> {
+  const segments: Array<string | number> = [];
+  for (const part of key.split(delimiter)) {
+    const match = /^([^[\]]*)((?:\[\d+\])*)$/.exec(part);
+    if (!match) {
+      segments.push(part);
+      continue;
+    }
+    if (match[1] !== "" || !match[2]) segments.push(match[1]);
+    for (const index of match[2].matchAll(/\[(\d+)\]/g)) segments.push(Number(index[1]));
+  }
+  return segments;
+}
+
+/**
+ * Delimited keys → nested objects; bracket indexes build arrays. Keys without
+ * the delimiter pass through, so already-nested input is left as it is and
+ * mixed input merges. A path that runs through a scalar, or two different
+ * values for one path, is a collision.
+ */
+function unflattenObject(value: Record<string, any>, options: FlattenOptions) {
+  const collisions: string[] = [];
+
+  const insert = (node: any, segments: Array<string | number>, leaf: any, key: string) => {
+    const [head, ...rest] = segments;
+    const existing = node[head];
+
+    if (rest.length === 0) {
+      if (existing === undefined) {
+        node[head] = leaf;
+      } else if (isPlainObject(existing) && isPlainObject(leaf)) {
+        for (const [childKey, child] of Object.entries(leaf)) {
+          insert(existing, [childKey], child, `${key}${options.delimiter}${childKey}`);
+        }
+      } else if (!sameValue(existing, leaf)) {
+        collisions.push(key);
+        if (options.onCollision === "last_wins") node[head] = leaf;
+      }
+      return;
+    }
+
+    if (existing === undefined) {
+      node[head] = typeof rest[0] === "number" ? [] : {};
+    } else if (existing === null || typeof existing !== "object") {
+      collisions.push(key);
+      if (options.onCollision !== "last_wins") return;
+      node[head] = typeof rest[0] === "number" ? [] : {};
+    }
+    insert(node[head], rest, leaf, key);
+  };
+
+  const unflattenNode = (node: Record<string, any>) => {
+    const result: Record<string, any> = {};
+    for (const [key, child] of Object.entries(node)) {
+      const segments = parseFlatKey(key, options.delimiter);
+      if (segments.some((segment) => typeof segment === "string" && POLLUTING_KEYS.has(segment))) continue;
+      insert(result, segments, isPlainObject(child) ? unflattenNode(child) : child, key);
+    }
+    return result;
+  };
+
+  return { result: unflattenNode(value), collisions };
+}
 
 // ================================================================
 // IV. PRIMITIVE LIBRARY
 // ================================================================
 
-const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
-  CONDITION_EVALUATOR: (input) => {
+// Built-ins available to templates; all draw from the execution context so
+// replays with the same seed/asOf match
+const templateFunctions = (context: any) => ({
+  now: () => context.clock.now(),
+  uuid: () => context.clock.uuid(),
+  random: () => context.clock.random(),
+});
+
+// Rule name plus the execution's deadline, the step's timeoutMs and maxExpressionLength
+const evaluationOptions = (context: any, ruleName?: string) => ({
+  ruleName,
+  ...context.evaluationBudget(),
+});
+
+// A timeout is a budget overrun, not a rule error: let it reach the step loop
+const rethrowTimeout = (err: any) => {
+  if (err?.kind === "timeout") throw err;
+};
+
+export const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
+  // 🧼 Cleans raw input before any rule reads it: coerces declared fields,
+  // strips prototype-polluting keys, drops fields outside the whitelist,
+  // normalizes strings and fills defaults. Every change is ledgered.
+  CONTEXT_SANITIZER: (input, context) => {
+    const spec = context.schemas.sanitizerSpec;
+    const fields: Record<string, { type?: string; default?: any }> = input.fields || {};
+    const sanitizeKeys = input.sanitizeKeys ?? spec.sanitizeKeys.default;
+    const maxDepth = input.maxDepth ?? spec.maxDepth.default;
+    const allowedTypes: string[] = input.allowedTypes ?? spec.allowedTypes.default;
+    const normalizeStrings = input.normalizeStrings ?? true;
+    const whitelist: string[] | null = input.whitelist ? [...input.whitelist, ...Object.keys(fields)] : null;
+    const changes: any[] = [];
+    const invalidFields: string[] = [];
+
+    for (const fieldPath of Object.keys(fields)) {
+      if (fieldPath.split(".").some((key) => POLLUTING_KEYS.has(key))) {
+        return { error: `Declared field '${fieldPath}' uses a reserved key` };
+      }
+    }
+
+    // 1. Coerce declared fields; an empty CSV cell counts as missing
+    for (const [fieldPath, declaration] of Object.entries(fields)) {
+      const { parent, key, value } = ownPath(context.state, fieldPath);
+      if (!declaration.type || value === undefined || value === null) continue;
+      if (valueType(value) === declaration.type || (declaration.type === "integer" && Number.isInteger(value))) continue;
+
+      if (typeof value === "string" && value.trim() === "" && declaration.type !== "string") {
+        delete parent[key];
+        changes.push({ path: fieldPath, action: "drop", before: value, reason: "empty value" });
+        continue;
+      }
+
+      const coerced = coerceValue(value, declaration.type);
+      if (coerced === undefined) {
+        invalidFields.push(fieldPath);
+        continue;
+      }
+      parent[key] = coerced;
+      changes.push({ path: fieldPath, action: "coerce", before: value, after: coerced, reason: `to ${declaration.type}` });
+    }
+
+    // 2. Walk the whole state: reserved keys, whitelist, depth, types, strings
+    const covered = (fieldPath: string) =>
+      !whitelist || whitelist.some((entry) => fieldPath === entry || fieldPath.startsWith(`${entry}.`));
+    const onWhitelistRoute = (fieldPath: string) =>
+      whitelist!.some((entry) => entry.startsWith(`${fieldPath}.`));
+
+    const drop = (container: any, key: string | number, fieldPath: string, reason: string, action = "drop") => {
+      changes.push({ path: fieldPath, action, before: container[key], reason });
+      if (Array.isArray(container)) container.splice(key as number, 1);
+      else delete container[key];
+    };
+
+    const clean = (container: any, key: string | number, fieldPath: string, depth: number, allowed: boolean) => {
+      const value = container[key];
+      const type = valueType(value);
+
+      if (depth > maxDepth) return drop(container, key, fieldPath, `deeper than maxDepth ${maxDepth}`);
+      if (type !== "null" && !allowedTypes.includes(type)) return drop(container, key, fieldPath, `type ${type} not allowed`);
+
+      if (type === "string" && normalizeStrings) {
+        const normalized = value.normalize("NFC").trim().replace(/\s+/g, " ");
+        if (normalized !== value) {
+          container[key] = normalized;
+          changes.push({ path: fieldPath, action: "normalize", before: value, after: normalized });
+        }
+      } else if (type === "array") {
+        // Backwards, so dropping an element does not shift the ones still to visit
+        for (let i = value.length - 1; i >= 0; i--) clean(value, i, `${fieldPath}[${i}]`, depth + 1, true);
+      } else if (type === "object") {
+        cleanObject(value, fieldPath, depth, allowed);
+      }
+    };
+
+    const cleanObject = (object: any, prefix: string, depth: number, allowed: boolean) => {
+      for (const key of Object.keys(object)) {
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        if (sanitizeKeys && POLLUTING_KEYS.has(key)) {
+          drop(object, key, fieldPath, "reserved key", "strip_key");
+          continue;
+        }
+
+        const childAllowed = allowed || covered(fieldPath);
+        const isObject = valueType(object[key]) === "object";
+        if (!childAllowed && !(isObject && onWhitelistRoute(fieldPath))) {
+          drop(object, key, fieldPath, "not whitelisted");
+          continue;
+        }
+        clean(object, key, fieldPath, depth + 1, childAllowed);
+      }
+    };
+
+    cleanObject(context.state, "", 0, false);
+
+    // 3. Fill declared defaults for anything still missing
+    for (const [fieldPath, declaration] of Object.entries(fields)) {
+      if (declaration.default === undefined || ownPath(context.state, fieldPath).value !== undefined) continue;
+
+      const keys = fieldPath.split(".");
+      let obj = context.state;
+      for (const key of keys.slice(0, -1)) {
+        if (valueType(obj) !== "object") break;
+        if (obj[key] === undefined) obj[key] = {};
+        obj = obj[key];
+      }
+      // A declared parent that holds a scalar cannot take the default
+      if (valueType(obj) !== "object") {
+        invalidFields.push(fieldPath);
+        continue;
+      }
+      obj[keys[keys.length - 1]] = deepClone(declaration.default);
+      changes.push({ path: fieldPath, action: "default", after: declaration.default });
+    }
+
+    for (const change of changes) context.recordFieldChange("CONTEXT_SANITIZER", change);
+
+    return {
+      sanitized: changes.length,
+      changes,
+      ...(invalidFields.length ? { invalidFields, _violation: "sanitizer_coercion_failed" } : {}),
+    };
+  },
+
+  // 🗂️ Converts between nested documents and single-level delimited keys.
+  // "unflatten" normalizes flat (CSV-shaped) rows into the nested shape the
+  // rules address; "flatten" produces flat output. `source`/`target` are
+  // dotted paths; without them the whole state is rewritten in place.
+  OBJECT_FLATTENER: (input, context) => {
+    const spec = context.schemas.flattenerSpec;
+    const mode = input.mode || "flatten";
+    const options: FlattenOptions = {
+      delimiter: input.delimiter ?? spec.delimiter.default,
+      maxDepth: input.maxDepth ?? spec.maxDepth.default,
+      preserveArrays: input.preserveArrays ?? spec.preserveArrays.default,
+      preserveNulls: input.preserveNulls ?? spec.preserveNulls.default,
+      keyTransform: input.keyTransform ?? spec.keyTransform.default,
+      arrayNotation: input.arrayNotation || "index",
+      onCollision: input.onCollision || "error",
+    };
+
+    if (mode !== "flatten" && mode !== "unflatten") {
+      return { error: `Unknown OBJECT_FLATTENER mode: ${mode}` };
+    }
+    if (!options.delimiter) {
+      return { error: "OBJECT_FLATTENER delimiter must be a non-empty string" };
+    }
+
+    const source = input.source ? ownPath(context.state, input.source).value : context.state;
+    if (!isPlainObject(source)) {
+      return { error: `OBJECT_FLATTENER source '${input.source}' is not an object` };
+    }
+
+    const { result, collisions } = mode === "flatten"
+      ? flattenObject(source, options)
+      : unflattenObject(source, options);
+    if (collisions.length && options.onCollision === "error") {
+      return { error: `Key collision on ${collisions.join(", ")}`, collisions };
+    }
+
+    const target = input.target ?? input.source;
+    if (target) {
+      try {
+        assignPath(context.state, target, result);
+      } catch (err: any) {
+        return { error: err.message };
+      }
+      context.recordWrite({ field: target, value: result, action: mode });
+    } else {
+      for (const key of Object.keys(context.state)) delete context.state[key];
+      Object.assign(context.state, result);
+    }
+
+    return {
+      mode,
+      target: target || "$",
+      fields: Object.keys(mode === "flatten" ? result : source).length,
+      ...(collisions.length ? { collisions } : {}),
+    };
+  },
+
+  // 🧾 Renders text fields from templates with any number of {{ }}
+  // placeholders and format filters: { templates: { field: template } }.
+  // Unresolved placeholders stay in the text and are reported as a violation.
+  TEMPLATE_RESOLVER: (input, context) => {
+    const templates: Record<string, string> = input.templates
+      || (input.template !== undefined ? { [input.target || "result"]: input.template } : {});
+    const resolved: Record<string, any> = {};
+    const unresolved: any[] = [];
+
+    for (const [field, template] of Object.entries(templates)) {
+      if (typeof template !== "string") {
+        return { error: `Template for '${field}' must be a string` };
+      }
+      try {
+        const result = context.schemas.templates.resolve(template, context.state, {
+          ...evaluationOptions(context, input.ruleName),
+          functions: templateFunctions(context),
+        });
+        unresolved.push(...result.unresolved.map((entry: any) => ({ field, ...entry })));
+        resolved[field] = result.value;
+        const operands = context.operandValues(template, true);
+        assignPath(context.state, field, result.value);
+        context.recordWrite({ field, value: result.value, expression: template, operands });
+      } catch (err: any) {
+        rethrowTimeout(err);
+        return { error: `Template for '${field}' failed: ${err.message}` };
+      }
+    }
+
+    return {
+      ...(unresolved.length ? { _violation: "unresolved_placeholder", unresolved } : {}),
+      resolved,
+    };
+  },
+
+  CONDITION_EVALUATOR: (input, context) => {
     try {
-      const fn = new Function("input", `with(input){ return (${input.condition}); }`);
-      return { result: !!fn(input.context || {}) };
+      const scope = input.context || context.state;
+      return {
+        result: context.schemas.expressions.evaluateCondition(input.condition, scope, evaluationOptions(context, input.ruleName)),
+      };
     } catch (err: any) {
+      rethrowTimeout(err);
       return { result: false, error: err.message };
     }
   },
 
-  EXPRESSION_EVALUATOR: (input) => {
+  EXPRESSION_EVALUATOR: (input, context) => {
     try {
-      const fn = new Function("input", `with(input){ return (${input.expression}); }`);
-      const value = fn(input.context || {});
+      const scope = input.context || context.state;
+      const value = context.schemas.expressions.evaluate(input.expression, scope, evaluationOptions(context, input.ruleName));
 
       // 🔍 SYNTHETIC VIOLATION: NaN detection
       if (typeof value === 'number' && Number.isNaN(value)) {
@@ -101,6 +715,7 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
 
       return { value };
     } catch (err: any) {
+      rethrowTimeout(err);
       return { error: err.message };
     }
   },
@@ -119,14 +734,13 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
       return { success: false, _violation: "empty_output_detected" };
     }
 
-    const keys = path.split(".");
-    let obj: any = context.state;
-    for (let i = 0; i < keys.length - 1; i++) {
-      const key = keys[i];
-      if (!obj[key]) obj[key] = {};
-      obj = obj[key];
+    try {
+      const { parent, key } = writablePath(context.state, path, Boolean);
+      parent[key] = value;
+    } catch (err: any) {
+      return { success: false, error: err.message };
     }
-    obj[keys[keys.length - 1]] = value;
+    context.recordWrite({ field: path, value });
 
     return { success: true, updatedPath: path, newValue: value };
   },
@@ -162,12 +776,11 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
     }
 
     // Evaluate condition if present
+    let conditionOperands: Record<string, any> | undefined;
     if (condition && condition !== "true") {
         try {
-            // Create a safe evaluation context
-            const evalContext = { ...context.state };
-            const conditionFn = new Function("context", `with(context){ return (${condition}); }`);
-            const conditionResult = conditionFn(evalContext);
+            const conditionResult = context.schemas.expressions.evaluateCondition(
+                condition, context.state, evaluationOptions(context, ruleId));
 
             if (!conditionResult) {
                 return {
@@ -177,7 +790,10 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
                     ruleId
                 };
             }
+            // Provenance: the values that made the condition true
+            conditionOperands = context.operandValues(condition);
         } catch (err: any) {
+            rethrowTimeout(err);
             return {
                 error: `Condition evaluation failed: ${err.message}`,
                 condition,
@@ -187,30 +803,26 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
     }
 
     // Apply assignments
-    const results = {};
-    const updates = [];
+    const results: Record<string, any> = {};
+    const updates: Array<{ field: string; value: any }> = [];
+    const unresolved: any[] = [];
+    let changedFields = 0;
 
     for (const [fieldPath, expression] of Object.entries(assignments || {})) {
         try {
             let value;
-
-            // Handle template expressions {{...}}
-            if (typeof expression === 'string' && expression.startsWith('{{') && expression.endsWith('}}')) {
-                const templateExpr = expression.slice(2, -2).trim();
-                const evalContext = { ...context.state };
-
-                // Add utility functions to context
-                evalContext.Math = Math;
-                evalContext.Number = Number;
-                evalContext.now = () => new Date().toISOString();
-                evalContext.uuid = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                    const r = Math.random() * 16 | 0;
-                    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-                    return v.toString(16);
+            let operands: Record<string, any> | undefined;
+
+            // Handle templates: "{{expr}}" keeps the value's type, mixed text
+            // such as "Call {{applicant.name}}" interpolates to a string
+            if (context.schemas.templates.isTemplate(expression)) {
+                operands = context.operandValues(expression, true);
+                const resolved = context.schemas.templates.resolve(expression, context.state, {
+                    ...evaluationOptions(context, ruleId),
+                    functions: templateFunctions(context),
                 });
-
-                const exprFn = new Function("context", `with(context){ return (${templateExpr}); }`);
-                value = exprFn(evalContext);
+                value = resolved.value;
+                unresolved.push(...resolved.unresolved.map((entry: any) => ({ field: fieldPath, ...entry })));
             } else {
                 // Direct value assignment - handle type conversion
                 if (expression === "true") {
@@ -224,27 +836,28 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
                 }
             }
 
-            // Apply the assignment to state
-            const pathParts = fieldPath.split('.');
-            let obj = context.state;
-
-            // Navigate to the parent object
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                const part = pathParts[i];
-                if (!obj[part]) {
-                    obj[part] = {};
-                }
-                obj = obj[part];
+            // Another rule may already own this field (contracts.conflictResolution)
+            const claim = context.claimField(fieldPath, value, ruleId, priority);
+            if (claim.error) {
+                return { error: claim.error, fieldPath, ruleId };
             }
-
-            // Set the final value
-            const finalKey = pathParts[pathParts.length - 1];
-            obj[finalKey] = value;
+            if (!claim.write) continue;
+            value = claim.value;
+
+            // Apply the assignment to state, creating parent objects on the way
+            const { parent, key: finalKey } = writablePath(context.state, fieldPath, Boolean);
+            const previous = Object.prototype.hasOwnProperty.call(parent, finalKey) ? parent[finalKey] : undefined;
+            if (!sameValue(previous, value)) changedFields++;
+            parent[finalKey] = value;
+            context.recordWrite({
+                field: fieldPath, value, previous, ruleId, priority, condition, conditionOperands, expression, operands,
+            });
 
             updates.push({ field: fieldPath, value });
             results[fieldPath] = value;
 
         } catch (err: any) {
+            rethrowTimeout(err);
             return {
                 error: `Assignment failed for ${fieldPath}: ${err.message}`,
                 expression,
@@ -255,69 +868,455 @@ const PrimitiveLibrary: Record<string, (input: any, context: any) => any> = {
     }
 
     return {
+        ...(unresolved.length ? { _violation: "unresolved_placeholder", unresolved } : {}),
         success: true,
         ruleId,
         priority,
         updatesApplied: updates.length,
+        changedFields,
         updates,
         results
     };
   }, // <-- The new primitive ends here
+
+  // 🔁 Fixed-point control: compares the state against the start of the current
+  // pass and tells the engine whether to jump back to the loop start.
+  ITERATION_MANAGER: (input, context) => {
+    const maxIterations = input.maxIterations ?? context.schemas.iterationSpec.maxIterations.default;
+    const threshold = input.convergenceThreshold ?? context.schemas.iterationSpec.convergenceThreshold.default;
+    const earlyTermination = input.earlyTermination ?? context.schemas.iterationSpec.earlyTermination.default;
+    const convergence = context.convergence;
+
+    const delta = stateDelta(context.iterationBaseline, context.state);
+    const stateHash = hashState(context.state);
+
+    convergence.iterations++;
+    convergence.threshold = threshold;
+    convergence.finalDelta = delta;
+    convergence.iterationDeltas.push(delta);
+
+    // A changed state we have already seen means the rules are oscillating
+    const stagnated = delta > threshold && context.seenStateHashes.has(stateHash);
+    if (stagnated) convergence.stagnationCount++;
+    context.seenStateHashes.add(stateHash);
+
+    convergence.achieved = delta <= threshold;
+    const exhausted = convergence.iterations >= maxIterations;
+    const shouldContinue = !convergence.achieved && !exhausted && !(stagnated && earlyTermination);
+
+    return {
+      iteration: convergence.iterations,
+      delta,
+      converged: convergence.achieved,
+      stagnated,
+      continue: shouldContinue,
+    };
+  },
 };
 // ================================================================
 // V. KERN EXECUTION ENGINE - HARDENED VERSION
 // ================================================================
 
-interface RuntimeOptions {
+export interface RuntimeOptions {
+  /** Defaults to the invariant configuration's contracts.failureModes, then false */
   haltOnError?: boolean;
+  /** When false, invariant checks stop after failureModes.maxViolations violations */
   collectAllViolations?: boolean;
   logLevel?: 'verbose' | 'normal' | 'quiet';
+  /** PRNG seed for uuid() and ledger ids; generated and recorded in the proof when omitted */
+  seed?: string | number;
+  /** Fixed clock for now() and ledger timestamps (ISO date-time); defaults to the start time */
+  asOf?: string;
+  /** Sink for human-readable progress logs (the CLI uses stderr in json/ndjson mode) */
+  logger?: (...args: any[]) => void;
+  /** v3_invariant.json instance; without one only the built-in checks run */
+  invariants?: any;
+  /** v3_kernexecution.json instance; execution.errorHandling sets the violation policies,
+   * execution.constraints the time, CPU, memory and rule budgets */
+  execution?: any;
+  /** Wall-clock budget for the whole execution; overrides execution.constraints.timeoutMs */
+  timeoutMs?: number;
+  /** Awaited before every step (the debugger); time spent in it is not charged to timeoutMs */
+  onStep?: (stop: StepStop) => Promise<void> | void;
+  /** Called after every step with the state it left (persisted as mneme_ledger rows) */
+  onTick?: (record: TickRecord) => void;
+  /** Recorded in the proof and snapshots; drawn from the seed when omitted */
+  executionId?: string;
+  /** Snapshot every N ticks (0 = never); defaults to execution.stateManagement */
+  snapshotInterval?: number;
+  /** v3_mnemeledger.json instance; contracts.auditability.requireRollbackCapability turns snapshotting on */
+  ledger?: any;
+  /** Continue from a snapshot instead of the start of the plan (KernEngine.resume) */
+  resume?: ResumePoint;
+  /** Stop after this tick and snapshot it; used to fast-forward to a rollback point */
+  untilTick?: number;
+}
+
+/**
+ * State after a tick plus everything needed to continue the execution from
+ * there: field ownership, convergence tracking and the PRNG positions.
+ */
+export interface ExecutionSnapshot {
+  executionId: string;
+  tick: number;
+  iteration: number;
+  /** Id of the step that runs next; null when the plan had finished */
+  nextStep: string | null;
+  stateHash: string;
+  state: Record<string, any>;
+  resume: {
+    clock: { seed: string; asOf: string; positions: Record<string, number> };
+    fieldWriters: Array<[string, FieldWriter]>;
+    iterationBaseline: Record<string, any>;
+    convergence: Record<string, any>;
+    seenStateHashes: string[];
+    skippedRules: string[];
+    conflictKeys: string[];
+    rulesThisIteration: number;
+    /** Writes recorded up to this tick: a prefix of the execution's provenance */
+    provenanceLength: number;
+  };
+}
+
+export interface ResumePoint {
+  snapshot: ExecutionSnapshot;
+  /** The writes before the snapshot (its provenanceLength), so explain reaches back past it */
+  provenance?: FieldWrite[];
+  /** Set for a child execution: the run it was rolled back from and what changed */
+  parent?: {
+    executionId: string;
+    tick: number;
+    stateHash: string;
+    modifications: string[];
+    planChanged: boolean;
+  };
+}
+
+/**
+ * What an onStep hook sees before a step runs. `state` is a copy; edits go
+ * through setField so they are ledgered as SET entries.
+ */
+export interface StepStop {
+  tick: number;
+  iteration: number;
+  step: any;
+  ruleId?: string;
+  state: Record<string, any>;
+  previous?: { tick: number; primitive: string; ruleId?: string; output: any };
+  setField(field: string, value: any): void;
+}
+
+/**
+ * One write to a state field and what it was computed from. Operand values
+ * are copies taken when the rule ran; `seq` orders writes within the
+ * execution, so the writes an operand came from are the latest earlier ones.
+ */
+export interface FieldWrite {
+  seq: number;
+  field: string;
+  value: any;
+  previous?: any;
+  tick: number;
+  iteration: number;
+  step: string;
+  primitive: string;
+  ruleId?: string;
+  priority?: number;
+  condition?: string;
+  conditionOperands?: Record<string, any>;
+  expression?: any;
+  operands?: Record<string, any>;
+  /** Fields the condition or expression read that were not set at the time */
+  unset?: string[];
+  /** Sanitizer change, flattener mode, or "set" for debugger and rollback edits */
+  action?: string;
+  /** file:line:column of the `then` key (or step) in the YAML rule file */
+  location?: string;
+}
+
+/**
+ * A finished step as onTick sees it; `state` is a copy of the state after
+ * the step and any violation policy it triggered.
+ */
+export interface TickRecord {
+  tick: number;
+  iteration: number;
+  step: string;
+  primitive: string;
+  ruleId?: string;
+  input: any;
+  output: any;
+  state: Record<string, any>;
+}
+
+// Invariant and severity each primitive-reported `_violation` code is recorded under
+const SYNTHETIC_INVARIANTS: Record<string, { invariant: string; severity: string }> = {
+  NaN_detected: { invariant: "numerical_sanity", severity: "error" },
+  empty_scores_array: { invariant: "numerical_sanity", severity: "error" },
+  synthetic_NaN_test: { invariant: "numerical_sanity", severity: "error" },
+  empty_output_detected: { invariant: "state_progress", severity: "warn" },
+  sanitizer_coercion_failed: { invariant: "consistency_check", severity: "error" },
+  unresolved_placeholder: { invariant: "dependency_integrity", severity: "warn" },
+};
+
+const SEVERITIES = ["info", "warn", "error"];
+
+// Steps that normalize the input before the rules; stateSchema.input is checked after them
+const INPUT_PREPARATION = new Set(["OBJECT_FLATTENER", "CONTEXT_SANITIZER"]);
+
+// When one step records several violations, the strongest policy wins
+const POLICY_RANK: Record<string, number> = {
+  continue: 0, collect: 0, skip_rule: 1, rollback: 2, halt: 3, quarantine: 4,
+};
+
+// RuntimeConstraints enforced while the plan runs
+interface ExecutionBudget {
+  timeoutMs: number;
+  maxCpuMs?: number;
+  maxMemoryMB?: number;
+  maxRulesPerIteration?: number;
+}
+
+// The budget whose overrun ended the run with the "timeout" outcome.
+// scope "execution" is a RuntimeConstraints budget, "step" a step's timeoutMs,
+// "expression" the per-expression SecurityConstraints.timeoutMs.
+interface BudgetExceeded {
+  scope: "execution" | "step" | "expression";
+  budget: string;
+  limit: number;
+  used: number;
+  tick: number;
+  primitive?: string;
+  message: string;
 }
 
-class KernRuntime {
+interface StepSnapshot {
+  state: Record<string, any>;
+  fieldWriters: Map<string, FieldWriter>;
+  provenance: number;
+}
+
+interface FieldWriter {
+  rule: string;
+  priority: number;
+  value: any;
+  contributions?: Array<{ rule: string; value: any }>;
+}
+
+export interface ExecutionOutput {
+  state: Record<string, any>;
+  ledger: any[];
+  auditTrail: any[];
+  metrics: { snapshot: Record<string, any> };
+  convergence?: Record<string, any>;
+  conflicts: any[];
+  snapshots: ExecutionSnapshot[];
+  /** Every field write with the rule, condition and operand values behind it */
+  provenance: FieldWrite[];
+  proof: Record<string, any>;
+}
+
+export class KernRuntime {
   private state: Record<string, any> = {};
-  private ledger: any[] = [];
+  private clock: ExecutionContext;
+  private ledger: MnemeLedger;
   private auditTrail: any[] = [];
   private tick = 0;
   private metrics = {
     primitiveCounts: {} as Record<string, number>,
     invariantViolations: 0,
+    warnings: 0,
+    violationsBySeverity: { error: 0, warn: 0, info: 0 } as Record<string, number>,
     checksPassed: 0,
     checksSkipped: 0,
     violationsByType: {} as Record<string, number>,
   };
+  private convergence = {
+    achieved: false,
+    iterations: 0,
+    finalDelta: 0,
+    threshold: 0,
+    iterationDeltas: [] as number[],
+    stagnationCount: 0,
+  };
+  private iterationBaseline: Record<string, any> = {};
+  private seenStateHashes = new Set<string>();
+  private iterative = false;
+  private fieldWriters = new Map<string, FieldWriter>();
+  private conflicts: any[] = [];
+  private conflictKeys = new Set<string>();
+  private invariants: KernInvariantEngine;
   private invariantBindings: Record<string, string[]>;
-  private options: Required<RuntimeOptions>;
+  private invariantChecking: string;
+  private maxViolations: number;
+  private lastStateCheck = -1;
+  private errorHandling: Record<string, any>;
+  private snapshotSteps: boolean;
+  private stepViolations: any[] = [];
+  private skippedRules = new Set<string>();
+  private stoppedBy?: { policy: string; tick: number; invariant: string; message: string; location?: string };
+  private budget: ExecutionBudget;
+  private maxExpressionLength?: number;
+  private startedAt = 0;
+  private deadline = Infinity;
+  private cpuStart?: NodeJS.CpuUsage;
+  private heapStart = 0;
+  private rulesThisIteration = 0;
+  private stepTimeoutMs?: number;
+  private timedOut?: BudgetExceeded;
+  private onStep?: RuntimeOptions["onStep"];
+  private onTick?: RuntimeOptions["onTick"];
+  private previousStep?: StepStop["previous"];
+  private currentStep: any = {};
+  private provenance: FieldWrite[] = [];
+  private lastWrites = new Map<string, FieldWrite>();
+  private referenceCache = new Map<string, string[]>();
+  private executionId: string;
+  private snapshotInterval: number;
+  private snapshots: ExecutionSnapshot[] = [];
+  private resumePoint?: ResumePoint;
+  private untilTick?: number;
+  private stateSchema: { input?: ValidateFunction; output?: ValidateFunction; onInvalid: string };
+  private options: Required<Pick<RuntimeOptions, "haltOnError" | "collectAllViolations" | "logLevel" | "logger">>;
 
   constructor(
     private plan: any, 
     private manifest: any, 
-    invariantSchema: any,
+    public schemas: KernSchemas,
     options: RuntimeOptions = {}
   ) {
-    this.invariantBindings = invariantSchema.contracts?.primitiveBindings || {};
+    this.invariants = new KernInvariantEngine(options.invariants ?? KernInvariantEngine.DEFAULT_CONFIG, {
+      schema: schemas.invariant,
+    });
+    // The manifest's contracts.execution.invariantChecks binds validators to primitives too
+    this.invariantBindings = manifest?.manifest?.contracts?.execution?.invariantChecks || {};
+    this.invariantChecking = plan.contracts?.invariantChecking || "per_iteration";
+
+    const failureModes = this.invariants.failureModes;
+    this.maxViolations = failureModes.maxViolations
+      ?? schemas.invariant.properties.contracts.properties.failureModes.properties.maxViolations.default;
+    // Rolling a step back needs the state from before it, so only snapshot when a policy can
+    this.errorHandling = options.execution?.execution?.errorHandling || {};
+    const policies = [
+      this.errorHandling.onError,
+      this.errorHandling.onViolation,
+      ...Object.values(this.errorHandling.onSeverity || {}),
+      ...Object.values(this.errorHandling.onInvariant || {}),
+    ];
+    this.snapshotSteps = policies.some((policy) => policy === "skip_rule" || policy === "rollback")
+      || this.errorHandling.onTimeout === "rollback" || this.errorHandling.onTimeout === "retry";
+
+    const constraints = options.execution?.execution?.constraints || {};
+    const constraintSpec = schemas.execution.$defs.RuntimeConstraints.properties;
+    this.budget = {
+      timeoutMs: options.timeoutMs ?? constraints.timeoutMs ?? constraintSpec.timeoutMs.default,
+      maxCpuMs: constraints.maxCpuMs,
+      maxMemoryMB: constraints.maxMemoryMB ?? constraintSpec.maxMemoryMB.default,
+      maxRulesPerIteration: constraints.maxRulesPerIteration ?? constraintSpec.maxRulesPerIteration.default,
+    };
+    this.maxExpressionLength = options.execution?.execution?.security?.codeExecution?.maxExpressionLength;
+    this.onStep = options.onStep;
+    this.onTick = options.onTick;
+
+    // Snapshots make any tick a rollback point; a ledger contract can require them
+    const stateManagement = options.execution?.execution?.stateManagement || {};
+    const auditability = options.ledger?.contracts?.auditability || {};
+    const snapshotting = stateManagement.snapshotting
+      || auditability.requireRollbackCapability || auditability.requireStateSnapshots;
+    const intervalSpec = schemas.execution.properties.execution.properties.stateManagement.properties.snapshotInterval;
+    this.snapshotInterval = options.snapshotInterval
+      ?? (snapshotting ? stateManagement.snapshotInterval ?? intervalSpec.default : 0);
+    this.resumePoint = options.resume;
+    this.untilTick = options.untilTick;
+
+    // ruleSet.stateSchema: the state the rules accept and the state they must leave
+    const stateSchema = plan.stateSchema || {};
+    this.stateSchema = {
+      input: compileStateSchema(stateSchema.input, "input"),
+      output: compileStateSchema(stateSchema.output, "output"),
+      onInvalid: stateSchema.onInvalid || "reject",
+    };
+
     this.options = {
-      haltOnError: options.haltOnError ?? false,
-      collectAllViolations: options.collectAllViolations ?? true,
+      haltOnError: options.haltOnError ?? failureModes.haltOnError ?? false,
+      collectAllViolations: options.collectAllViolations ?? failureModes.collectAllViolations ?? true,
       logLevel: options.logLevel ?? 'normal',
+      logger: options.logger ?? console.log,
     };
+
+    try {
+      // A resumed run continues the snapshot's seed, clock and PRNG positions
+      this.clock = new ExecutionContext(options.resume?.snapshot.resume.clock ?? { seed: options.seed, asOf: options.asOf });
+    } catch (err: any) {
+      throw new KernRuntimeError("INPUT_INVALID", err.message, { asOf: options.asOf });
+    }
+    this.executionId = options.executionId ?? this.clock.uuid("execution");
+    this.ledger = new MnemeLedger({
+      clock: () => this.clock.now(),
+      idGenerator: () => this.clock.uuid("ledger"),
+    });
   }
 
-  async execute(initialState: Record<string, any>) {
+  async execute(initialState: Record<string, any>): Promise<ExecutionOutput> {
+    if (!initialState || typeof initialState !== "object" || Array.isArray(initialState)) {
+      throw new KernRuntimeError("INPUT_INVALID", "Initial state must be a JSON object", initialState);
+    }
     this.state = deepClone(initialState);
     const start = performance.now();
+    this.startedAt = start;
+    this.deadline = start + this.budget.timeoutMs;
+    this.cpuStart = process.cpuUsage();
+    this.heapStart = process.memoryUsage().heapUsed;
+
+    this.log("🚀 Starting deterministic execution...");
+    this.log(`   Mode: ${this.options.haltOnError ? 'HALT_ON_ERROR' : 'CONTINUE_ON_ERROR'}`);
+    this.log(`   Log Level: ${this.options.logLevel}\n`);
+
+    const pipeline = this.plan.transformation_pipeline || this.plan;
+    if (!Array.isArray(pipeline)) {
+      throw new KernRuntimeError("PLAN_INVALID", "Plan must be a step array or have a transformation_pipeline array");
+    }
+    const loopStart = this.resolveLoopStart(pipeline);
+    const startIndex = this.resumePoint ? this.restore(this.resumePoint, pipeline) : 0;
+    if (this.snapshotInterval) this.takeSnapshot(pipeline, startIndex);
+
+    // The input schema describes the state the rules see: after any reshape and sanitizer steps
+    const firstRuleStep = pipeline.findIndex((step: any) => !INPUT_PREPARATION.has(step.primitive));
+    const inputBoundary = firstRuleStep === -1 ? pipeline.length : firstRuleStep;
+    let inputChecked = !this.stateSchema.input || startIndex > inputBoundary;
+
+    for (let index = startIndex; index < pipeline.length; index++) {
+      const step = pipeline[index];
+      if (index === inputBoundary && !inputChecked) {
+        inputChecked = true;
+        if (this.checkInputSchema()) break;
+      }
+      if (index === loopStart) this.rulesThisIteration = 0;
+      if (step.primitive === "RULE_APPLICATOR") this.rulesThisIteration++;
+
+      // RuntimeConstraints are checked before every step; an overrun ends the run
+      const exceeded = this.exceededBudget(step.primitive);
+      if (exceeded) {
+        this.stopOnTimeout(exceeded);
+        break;
+      }
 
-    console.log("🚀 Starting deterministic execution...");
-    console.log(`   Mode: ${this.options.haltOnError ? 'HALT_ON_ERROR' : 'CONTINUE_ON_ERROR'}`);
-    console.log(`   Log Level: ${this.options.logLevel}\n`);
+      if (this.onStep) await this.pauseBeforeStep(step);
 
-    for (const step of this.plan.transformation_pipeline || this.plan) {
       this.tick++;
+      this.currentStep = step;
 
+      if (index === loopStart) this.iterationBaseline = deepClone(this.state);
+
+      this.stepViolations = [];
       const primitiveFn = PrimitiveLibrary[step.primitive];
       if (!primitiveFn) {
-        this.recordViolation(`Unknown primitive: ${step.primitive}`, step.primitive, {});
-        if (this.options.haltOnError) break;
+        this.recordViolation({
+          invariant: "dependency_integrity",
+          message: `Unknown primitive: ${step.primitive}`,
+          primitiveError: true,
+        }, step.primitive, {});
+        if (this.applyViolationPolicy({}, null)) break;
         continue;
       }
 
@@ -327,103 +1326,685 @@ class KernRuntime {
       const params = step.params || {};
       const combinedInputs = { ...inputs, ...params };      
 
-      const output = primitiveFn(combinedInputs, this);
+      // A skip_rule policy disables the rule for the rest of the run
+      if (step.primitive === "RULE_APPLICATOR" && this.skippedRules.has(params.ruleId)) {
+        combinedInputs.enabled = false;
+      }
+      const before: StepSnapshot | null = this.snapshotSteps
+        ? { state: deepClone(this.state), fieldWriters: this.copyFieldWriters(), provenance: this.provenance.length }
+        : null;
+
+      let { output, exceeded: stepExceeded } = this.invokePrimitive(step.primitive, primitiveFn, combinedInputs);
+      if (stepExceeded) {
+        // Execution budgets always stop the run; step and expression timeouts follow onTimeout
+        const policy = stepExceeded.scope === "execution" ? "halt" : this.errorHandling.onTimeout ?? "halt";
+        const maxRetries = this.errorHandling.maxRetries ?? 0;
+        for (let attempt = 1; stepExceeded && policy === "retry" && attempt <= maxRetries; attempt++) {
+          this.rollbackStep(before!, combinedInputs, { policy: "retry", attempt, timeout: stepExceeded.message });
+          ({ output, exceeded: stepExceeded } = this.invokePrimitive(step.primitive, primitiveFn, combinedInputs));
+        }
+      }
+      if (stepExceeded) {
+        const policy = stepExceeded.scope === "execution" ? "halt" : this.errorHandling.onTimeout ?? "halt";
+        if (policy === "halt" || policy === "retry") {
+          this.appendLedgerEntry(step.primitive, combinedInputs, { error: stepExceeded.message, timeout: true });
+          this.stopOnTimeout(stepExceeded);
+          break;
+        }
+        if (policy === "rollback") {
+          this.rollbackStep(before!, combinedInputs, { policy: "rollback", timeout: stepExceeded.message });
+        }
+        // continue/collect: the step counts as a failed primitive and the run goes on
+        output = { error: stepExceeded.message, timeout: true };
+      }
 
       // 🔍 Check for synthetic violations in output
       if (output && output._violation) {
-        this.recordViolation(
-          `Synthetic violation: ${output._violation}`,
-          step.primitive,
-          combinedInputs,
-          output
-        );
+        this.recordViolation({
+          ...(SYNTHETIC_INVARIANTS[output._violation] || { invariant: "error_visibility", severity: "error" }),
+          message: `Synthetic violation: ${output._violation}`,
+        }, step.primitive, combinedInputs, output);
       }
 
-      // 🔍 Additional invariant checks
-      this.runCustomInvariants(step.primitive, output, combinedInputs);
-
-      this.applyOutputs(step.output_fields || [], output);
+      this.applyOutputs(step.output_fields || [], output, combinedInputs);
 
       this.metrics.primitiveCounts[step.primitive] =
         (this.metrics.primitiveCounts[step.primitive] || 0) + 1;
 
-      // 🔍 Run schema-bound invariants
-      const boundChecks = this.invariantBindings[step.primitive] || [];
-      for (const check of boundChecks) {
-        const passed = this.runInvariant(check, output);
-        if (!passed) {
-          this.metrics.invariantViolations++;
-          this.recordViolation(`Schema invariant failed: ${check}`, step.primitive, combinedInputs, output);
-        } else {
-          this.metrics.checksPassed++;
+      // 🔍 Invariants: step checks after every primitive, state checks at the
+      // plan's granularity and after primitives bound to a validator
+      if (this.invariantChecking !== "none") {
+        this.checkStepInvariants(step.primitive, combinedInputs, output);
+
+        const checkpoint = this.invariantChecking === "per_rule"
+          || (this.invariantChecking === "per_iteration" && step.primitive === "ITERATION_MANAGER");
+        const bound = this.invariants.boundValidators(step.primitive, this.invariantBindings);
+        if (checkpoint || bound.length) {
+          this.checkStateInvariants(step.primitive, combinedInputs, output, checkpoint ? null : bound);
         }
       }
 
       this.appendLedgerEntry(step.primitive, combinedInputs, output);
+      this.previousStep = { tick: this.tick, primitive: step.primitive, ruleId: params.ruleId, output };
       
       if (this.options.logLevel === 'verbose') {
-        console.log(`Tick ${this.tick}: ${step.id} (${step.primitive})`);
-        console.log(`  → Input:`, combinedInputs);
-        console.log(`  → Output:`, output);
+        this.log(`Tick ${this.tick}: ${step.id} (${step.primitive})`);
+        this.log(`  → Input:`, combinedInputs);
+        this.log(`  → Output:`, output);
       } else {
-        console.log(`Tick ${this.tick}: ${step.id} (${step.primitive}) →`, 
+        this.log(`Tick ${this.tick}: ${step.id} (${step.primitive}) →`, 
           output._violation ? `❌ VIOLATION: ${output._violation}` : '✅ Success');
       }
 
-      // Halt if configured and violations detected
-      if (this.options.haltOnError && this.metrics.invariantViolations > 0) {
-        console.log(`\n🛑 Halting execution due to violation (haltOnError=true)`);
-        break;
+      // Act on the strongest policy among this step's violations
+      const stopped = this.applyViolationPolicy(combinedInputs, before);
+      this.onTick?.({
+        tick: this.tick,
+        iteration: this.convergence.iterations + 1,
+        step: step.id,
+        primitive: step.primitive,
+        ...(params.ruleId ? { ruleId: params.ruleId } : {}),
+        input: combinedInputs,
+        output,
+        state: deepClone(this.state),
+      });
+      if (stopped) break;
+
+      if (step.primitive === "ITERATION_MANAGER") {
+        this.log(`🔁 Iteration ${output.iteration}: delta=${output.delta.toFixed(4)}` +
+          (output.converged ? " → converged" : output.continue ? " → repeating" : " → stopped"));
+        if (output.continue) index = loopStart - 1;
+      }
+
+      const rollbackPoint = this.tick === this.untilTick;
+      if (rollbackPoint || (this.snapshotInterval && this.tick % this.snapshotInterval === 0)) {
+        this.takeSnapshot(pipeline, index + 1);
+      }
+      if (rollbackPoint) break;
+    }
+
+    if (this.iterative && !this.convergence.achieved) {
+      this.log(`\n⚠️ No fixed point after ${this.convergence.iterations} iterations`);
+    }
+
+    // Final checkpoint, unless the last step already checked the state or the run stopped
+    if (this.invariantChecking !== "none" && this.lastStateCheck !== this.tick && !this.stoppedBy && !this.timedOut
+      && this.tick !== this.untilTick) {
+      this.stepViolations = [];
+      this.checkStateInvariants(undefined, {}, undefined, null);
+      this.applyViolationPolicy({}, null);
+    }
+
+    // The output schema is checked once the rules are done; mismatches can only be flagged
+    if (this.stateSchema.output && !this.stoppedBy && !this.timedOut && this.tick !== this.untilTick) {
+      this.stepViolations = [];
+      for (const finding of schemaFindings(this.stateSchema.output, this.state, "output_schema", "Output state")) {
+        this.recordViolation(finding, undefined, {});
       }
+      this.applyViolationPolicy({}, null);
     }
 
     const totalDuration = Math.round(performance.now() - start);
-    console.log(`\n✅ Execution complete in ${totalDuration}ms`);
+    this.log(`\n✅ Execution complete in ${totalDuration}ms`);
 
     const metricsSnapshot = this.generateMetricsSnapshot(totalDuration);
-    fs.writeFileSync("./metrics_snapshot.json", JSON.stringify(metricsSnapshot, null, 2));
 
     return {
       state: this.state,
-      ledger: this.ledger,
+      ledger: this.ledger.entries,
       auditTrail: this.auditTrail,
       metrics: metricsSnapshot,
+      convergence: this.iterative ? this.convergence : undefined,
+      conflicts: this.conflicts,
+      snapshots: this.snapshots,
+      provenance: this.provenance,
       proof: {
+        executionId: this.executionId,
+        ...(this.resumePoint?.parent ? { parent: this.resumePoint.parent } : {}),
         ticks: this.tick,
+        seed: this.clock.seed,
+        asOf: this.clock.asOf,
+        iterations: this.iterative ? Math.max(this.convergence.iterations, 1) : 1,
+        converged: this.iterative ? this.convergence.achieved : true,
         finalHash: hashState(this.state),
-        ledgerEntries: this.ledger.length,
+        ledgerEntries: this.ledger.entries.length,
         violations: this.metrics.invariantViolations,
-        outcome: this.metrics.invariantViolations > 0 ? "violations_detected" : "clean_execution",
+        violationsBySeverity: this.metrics.violationsBySeverity,
+        worstSeverity: this.worstSeverity(),
+        conflicts: this.conflicts.length,
+        snapshots: this.snapshots.length,
+        ...(this.stoppedBy ? { stoppedBy: this.stoppedBy } : {}),
+        ...(this.timedOut ? { timeout: this.timedOut } : {}),
+        outcome: this.timedOut ? "timeout"
+          : this.stoppedBy?.policy === "quarantine" ? "quarantined"
+          : this.stoppedBy ? "halted"
+          : this.iterative && !this.convergence.achieved ? "max_iterations"
+          : this.metrics.violationsBySeverity.error + this.metrics.violationsBySeverity.warn > 0
+            ? "violations_detected" : "clean_execution",
       },
     };
   }
 
-  private recordViolation(message: string, primitive: string, input: any, output?: any) {
+  // Record the state after the current tick as a rollback point; nextIndex is the step that runs next
+  private takeSnapshot(pipeline: any[], nextIndex: number) {
+    const nextStep = pipeline[nextIndex]?.id ?? null;
+    const stateHash = hashState(this.state);
+    const iteration = this.convergence.iterations + 1;
+    this.ledger.append("SNAPSHOT", { tick: this.tick, stateHash, nextStep }, { iteration });
+
+    // Taken after the SNAPSHOT entry so a resumed run does not reuse its id
+    this.snapshots.push({
+      executionId: this.executionId,
+      tick: this.tick,
+      iteration,
+      nextStep,
+      stateHash,
+      state: deepClone(this.state),
+      resume: {
+        clock: { seed: this.clock.seed, asOf: this.clock.asOf, positions: this.clock.positions() },
+        fieldWriters: [...this.copyFieldWriters()],
+        iterationBaseline: deepClone(this.iterationBaseline),
+        convergence: deepClone(this.convergence),
+        seenStateHashes: [...this.seenStateHashes],
+        skippedRules: [...this.skippedRules],
+        conflictKeys: [...this.conflictKeys],
+        rulesThisIteration: this.rulesThisIteration,
+        provenanceLength: this.provenance.length,
+      },
+    });
+  }
+
+  // Restore the runtime from a snapshot; returns the pipeline index to continue at
+  private restore({ snapshot, parent, provenance }: ResumePoint, pipeline: any[]): number {
+    const index = snapshot.nextStep === null
+      ? pipeline.length
+      : pipeline.findIndex((step) => step.id === snapshot.nextStep);
+    if (index === -1) {
+      throw new KernRuntimeError("PLAN_INVALID",
+        `Cannot resume at tick ${snapshot.tick}: step '${snapshot.nextStep}' is not in the plan`);
+    }
+
+    const { resume } = snapshot;
+    this.tick = snapshot.tick;
+    this.fieldWriters = new Map(deepClone(resume.fieldWriters));
+    this.iterationBaseline = deepClone(resume.iterationBaseline);
+    Object.assign(this.convergence, deepClone(resume.convergence));
+    this.seenStateHashes = new Set(resume.seenStateHashes);
+    this.skippedRules = new Set(resume.skippedRules);
+    this.conflictKeys = new Set(resume.conflictKeys);
+    this.rulesThisIteration = resume.rulesThisIteration;
+    for (const write of deepClone(provenance || [])) this.trackWrite(write);
+
+    if (parent) {
+      this.ledger.append("ROLLBACK", { ...parent, resumedAt: snapshot.nextStep }, {
+        iteration: snapshot.iteration,
+        tags: ["resume"],
+      });
+      this.currentStep = { id: "rollback", primitive: "ROLLBACK" };
+      for (const field of parent.modifications) {
+        this.recordWrite({ field, value: ownPath(this.state, field).value, action: "set" });
+      }
+      this.log(`⏪ Resuming ${parent.executionId} from tick ${parent.tick}` +
+        (parent.modifications.length ? ` with ${parent.modifications.join(", ")} changed` : "") +
+        (parent.planChanged ? " on a modified plan" : ""));
+    }
+    return index;
+  }
+
+  // Index the ITERATION_MANAGER jumps back to; plans without one run a single pass
+  private resolveLoopStart(pipeline: any[]): number {
+    const manager = pipeline.find((step) => step.primitive === "ITERATION_MANAGER");
+    this.iterative = Boolean(manager);
+    if (!manager?.params?.loopStart) return 0;
+
+    const index = pipeline.findIndex((step) => step.id === manager.params.loopStart);
+    if (index === -1) {
+      throw new KernRuntimeError("PLAN_INVALID",
+        `ITERATION_MANAGER loopStart '${manager.params.loopStart}' is not a step id in the plan`);
+    }
+    return index;
+  }
+
+  private log(...args: any[]) {
+    if (this.options.logLevel !== 'quiet') this.options.logger(...args);
+  }
+
+  /**
+   * Record an InvariantViolation (v3_invariant.json) in the audit trail,
+   * metrics and ledger. `tick`, `type` and the samples are kept for
+   * existing consumers of violations_audit.json.
+   */
+  private recordViolation(
+    finding: { invariant: string; message: string; severity?: string; details?: any; primitiveError?: boolean },
+    primitive: string | undefined,
+    input: any,
+    output?: any
+  ) {
+    const iteration = this.convergence.iterations + 1;
+    const severity = finding.severity || "error";
+    // error_visibility findings for an output's `error` field are primitive errors too
+    const primitiveError = finding.primitiveError
+      || (finding.invariant === "error_visibility" && Boolean(output?.error));
+    // Only step-level findings come from a place in the rule file
+    const location = primitive ? formatLocation(this.currentStep.source, outputKey(output)) : undefined;
     const violation = {
       tick: this.tick,
-      primitive,
+      invariant: finding.invariant,
+      severity,
       type: "InvariantViolation",
-      message,
+      ...(primitive ? { primitive } : {}),
+      ...(input?.ruleId ? { ruleName: input.ruleId } : {}),
+      ...(location ? { location } : {}),
+      message: finding.message,
+      ...(finding.details ? { details: finding.details } : {}),
+      iteration,
+      policy: this.violationPolicy(finding.invariant, severity, primitiveError),
       inputSample: this.sampleData(input),
       outputSample: this.sampleData(output),
-      timestamp: timestamp(),
+      timestamp: this.clock.now(),
     };
     
     this.auditTrail.push(violation);
+    this.stepViolations.push(violation);
     this.metrics.invariantViolations++;
+    this.metrics.violationsBySeverity[severity]++;
+    if (severity === "warn") this.metrics.warnings++;
     
-    // Track by violation type
-    const violationType = message.split(':')[0].trim();
-    this.metrics.violationsByType[violationType] = 
-      (this.metrics.violationsByType[violationType] || 0) + 1;
+    // Track by invariant
+    this.metrics.violationsByType[finding.invariant] = 
+      (this.metrics.violationsByType[finding.invariant] || 0) + 1;
     
     // Also add to ledger for visibility
-    this.ledger.push({
-      id: crypto.randomUUID(),
-      timestamp: timestamp(),
-      operation: "VIOLATION_RECORDED",
-      payload: violation,
-      hash: hashState(violation),
+    this.ledger.append("VIOLATION", violation, {
+      ...(primitive ? { primitive } : {}),
+      ...(input?.ruleId ? { ruleId: input.ruleId } : {}),
+      ...(location ? { location } : {}),
+      iteration,
+    });
+  }
+
+  /**
+   * Check the state against stateSchema.input. Under onInvalid "reject" a
+   * mismatch fails the run with INPUT_INVALID before any rule fires; under
+   * "flag" each mismatch is recorded and its policy applied. Returns true
+   * when a policy stopped the run.
+   */
+  private checkInputSchema(): boolean {
+    const findings = schemaFindings(this.stateSchema.input!, this.state, "input_schema", "Input state");
+    if (findings.length === 0) return false;
+
+    if (this.stateSchema.onInvalid === "reject") {
+      const more = findings.length > 1 ? ` (+${findings.length - 1} more)` : "";
+      throw new KernRuntimeError("INPUT_INVALID", `Input rejected by stateSchema.input: ${findings[0].message}${more}`, {
+        violations: findings.map((finding) => ({ ...finding, type: "InvariantViolation" })),
+      });
+    }
+
+    this.log(`\n⚠️ Input state does not match stateSchema.input (${findings.length} mismatches)`);
+    this.stepViolations = [];
+    for (const finding of findings) this.recordViolation(finding, undefined, {});
+    return this.applyViolationPolicy({}, null);
+  }
+
+  /**
+   * Policy for a violation from execution.errorHandling, most specific first:
+   * onInvariant[invariant], onError (primitive errors), onSeverity[severity],
+   * then onViolation for error severity. Anything else continues. haltOnError
+   * turns a continue on an error-severity violation into a halt.
+   */
+  private violationPolicy(invariant: string, severity: string, primitiveError: boolean): string {
+    const handling = this.errorHandling;
+    const policy = handling.onInvariant?.[invariant]
+      ?? (primitiveError ? handling.onError : undefined)
+      ?? handling.onSeverity?.[severity]
+      ?? (severity === "error" ? handling.onViolation : undefined)
+      ?? "continue";
+
+    if (this.options.haltOnError && severity === "error" && POLICY_RANK[policy] === 0) return "halt";
+    return policy;
+  }
+
+  /**
+   * Apply the strongest policy among the current step's violations. Returns
+   * true when the run must stop (halt, quarantine). skip_rule and rollback
+   * restore the state from before the step and log a ROLLBACK entry.
+   */
+  private applyViolationPolicy(input: any, before: StepSnapshot | null): boolean {
+    if (this.stepViolations.length === 0) return false;
+    const violation = this.stepViolations.reduce((strongest, candidate) =>
+      POLICY_RANK[candidate.policy] > POLICY_RANK[strongest.policy] ? candidate : strongest);
+
+    switch (violation.policy) {
+      case "halt":
+      case "quarantine":
+        this.stoppedBy = {
+          policy: violation.policy,
+          tick: this.tick,
+          invariant: violation.invariant,
+          message: violation.message,
+          ...(violation.location ? { location: violation.location } : {}),
+        };
+        const at = violation.location ? ` (${violation.location})` : "";
+        this.log(violation.policy === "quarantine"
+          ? `\n🚧 Record quarantined: ${violation.message}${at}`
+          : `\n🛑 Halting execution: ${violation.message}${at}`);
+        return true;
+
+      case "skip_rule":
+        if (input.ruleId) this.skippedRules.add(input.ruleId);
+      // falls through
+      case "rollback":
+        if (before) {
+          this.rollbackStep(before, input, { policy: violation.policy, invariant: violation.invariant });
+        }
+        return false;
+
+      default:
+        return false;
+    }
+  }
+
+  // Restore the state from before the current step and ledger the rollback.
+  // The snapshot stays intact so a retried step can be rolled back again.
+  private rollbackStep(before: StepSnapshot, input: any, details: Record<string, any>) {
+    const reverted = stateDelta(before.state, this.state) > 0;
+    this.state = deepClone(before.state);
+    this.fieldWriters = this.copyFieldWriters(before.fieldWriters);
+    this.truncateProvenance(before.provenance);
+    this.ledger.append("ROLLBACK", { tick: this.tick, ...details, reverted }, {
+      ...(input.ruleId ? { ruleId: input.ruleId } : {}),
+      iteration: this.convergence.iterations + 1,
+    });
+    this.log(`↩️  Rolled back tick ${this.tick} (${details.policy}${input.ruleId ? `: ${input.ruleId}` : ""})`);
+  }
+
+  // Hand the upcoming step to the onStep hook. The clock stops while it waits,
+  // so a paused debugger session does not run into timeoutMs.
+  private async pauseBeforeStep(step: any) {
+    const paused = performance.now();
+    await this.onStep!({
+      tick: this.tick + 1,
+      iteration: this.convergence.iterations + 1,
+      step,
+      ruleId: step.params?.ruleId,
+      state: deepClone(this.state),
+      previous: this.previousStep,
+      setField: (field, value) => {
+        if (field.split(".").some((key) => POLLUTING_KEYS.has(key))) {
+          throw new Error(`Refusing to set '${field}'`);
+        }
+        const previous = ownPath(this.state, field).value;
+        assignPath(this.state, field, value);
+        this.ledger.append("SET", { field, value, previous }, {
+          iteration: this.convergence.iterations + 1,
+          tags: ["debugger"],
+        });
+        this.currentStep = { id: "debugger", primitive: "DEBUGGER" };
+        this.recordWrite({ field, value, previous, action: "set" });
+      },
+    });
+    const waited = performance.now() - paused;
+    this.startedAt += waited;
+    this.deadline += waited;
+  }
+
+  // Deadline and limits for the expressions the current primitive evaluates
+  evaluationBudget() {
+    return {
+      deadline: this.deadline,
+      timeoutMs: this.stepTimeoutMs,
+      maxLength: this.maxExpressionLength,
+    };
+  }
+
+  // Run a primitive under its step's params.timeoutMs. Expression timeouts
+  // surface as thrown 'timeout' errors; other primitives are timed on return.
+  private invokePrimitive(
+    primitive: string,
+    primitiveFn: (input: any, context: any) => any,
+    input: any
+  ): { output?: any; exceeded?: BudgetExceeded } {
+    this.stepTimeoutMs = input.timeoutMs;
+    const started = performance.now();
+    try {
+      const output = primitiveFn(input, this);
+      const elapsed = performance.now() - started;
+      if (input.timeoutMs && elapsed > input.timeoutMs) {
+        return { exceeded: this.budgetExceeded("step", "timeoutMs", input.timeoutMs, elapsed, primitive,
+          `${primitive} ran ${Math.round(elapsed)}ms, over its timeoutMs ${input.timeoutMs}`) };
+      }
+      return { output };
+    } catch (err: any) {
+      if (err?.kind !== "timeout") throw err;
+      const now = performance.now();
+      if (now >= this.deadline) {
+        return { exceeded: this.budgetExceeded("execution", "timeoutMs", this.budget.timeoutMs,
+          now - this.startedAt, primitive, `Execution exceeded timeoutMs ${this.budget.timeoutMs}`) };
+      }
+      return { exceeded: this.budgetExceeded(input.timeoutMs ? "step" : "expression", "timeoutMs",
+        input.timeoutMs ?? this.schemas.expressions.constraints.timeoutMs, now - started, primitive, err.message) };
+    } finally {
+      this.stepTimeoutMs = undefined;
+    }
+  }
+
+  // First RuntimeConstraints budget the run has used up, if any
+  private exceededBudget(primitive: string): BudgetExceeded | undefined {
+    const elapsed = performance.now() - this.startedAt;
+    if (elapsed >= this.budget.timeoutMs) {
+      return this.budgetExceeded("execution", "timeoutMs", this.budget.timeoutMs, elapsed, primitive,
+        `Execution exceeded timeoutMs ${this.budget.timeoutMs}`);
+    }
+    if (this.budget.maxCpuMs) {
+      const cpu = process.cpuUsage(this.cpuStart);
+      const cpuMs = (cpu.user + cpu.system) / 1000;
+      if (cpuMs >= this.budget.maxCpuMs) {
+        return this.budgetExceeded("execution", "maxCpuMs", this.budget.maxCpuMs, cpuMs, primitive,
+          `Execution used ${Math.round(cpuMs)}ms of CPU, over maxCpuMs ${this.budget.maxCpuMs}`);
+      }
+    }
+    if (this.budget.maxMemoryMB) {
+      // Heap growth since execute() started, so the runtime's own footprint is not charged
+      const memoryMB = (process.memoryUsage().heapUsed - this.heapStart) / (1024 * 1024);
+      if (memoryMB >= this.budget.maxMemoryMB) {
+        return this.budgetExceeded("execution", "maxMemoryMB", this.budget.maxMemoryMB, memoryMB, primitive,
+          `Execution grew the heap by ${Math.round(memoryMB)}MB, over maxMemoryMB ${this.budget.maxMemoryMB}`);
+      }
+    }
+    if (this.budget.maxRulesPerIteration && this.rulesThisIteration > this.budget.maxRulesPerIteration) {
+      return this.budgetExceeded("execution", "maxRulesPerIteration", this.budget.maxRulesPerIteration,
+        this.rulesThisIteration, primitive,
+        `Iteration ${this.convergence.iterations + 1} reached rule ${this.rulesThisIteration}, over maxRulesPerIteration ${this.budget.maxRulesPerIteration}`);
+    }
+    return undefined;
+  }
+
+  private budgetExceeded(
+    scope: BudgetExceeded["scope"],
+    budget: string,
+    limit: number,
+    used: number,
+    primitive: string,
+    message: string
+  ): BudgetExceeded {
+    return { scope, budget, limit, used: Math.round(used * 100) / 100, tick: this.tick, primitive, message };
+  }
+
+  private stopOnTimeout(exceeded: BudgetExceeded) {
+    this.timedOut = exceeded;
+    this.log(`\n⏱️ Execution timed out: ${exceeded.message}`);
+  }
+
+  private copyFieldWriters(source = this.fieldWriters): Map<string, FieldWriter> {
+    return new Map([...source].map(([field, writer]) => [field, {
+      ...writer,
+      ...(writer.contributions ? { contributions: [...writer.contributions] } : {}),
+    }]));
+  }
+
+  private worstSeverity(): string {
+    return [...SEVERITIES].reverse().find((severity) => this.metrics.violationsBySeverity[severity] > 0) || "none";
+  }
+
+  // collectAllViolations: false stops invariant checking at failureModes.maxViolations
+  private collectingViolations(): boolean {
+    return this.options.collectAllViolations || this.metrics.invariantViolations < this.maxViolations;
+  }
+
+  private checkStepInvariants(primitive: string, input: any, output: any) {
+    if (!this.collectingViolations()) return;
+
+    const result = this.invariants.checkStep({
+      primitive,
+      ruleName: input.ruleId,
+      // Priority order only holds for plans the adapter ordered by priority
+      priority: this.plan.contracts?.executionMode === "dependency_resolved" ? undefined : input.priority,
+      iteration: this.convergence.iterations + 1,
+      output,
+      state: this.state,
+    });
+    this.recordInvariantResult(result, primitive, input, output);
+  }
+
+  /**
+   * State checks against the whole state. `only` limits them to the
+   * validators bound to the primitive that just ran; a full check is a
+   * checkpoint at the plan's invariantChecking granularity.
+   */
+  private checkStateInvariants(primitive: string | undefined, input: any, output: any, only: string[] | null) {
+    if (!only) this.lastStateCheck = this.tick;
+    if (!this.collectingViolations()) return;
+
+    const result = this.invariants.checkState({
+      state: this.state,
+      ledger: this.ledger.entries,
+      convergence: this.iterative ? this.convergence : null,
+      primitive,
+      iterationEnd: primitive === "ITERATION_MANAGER",
+      loopContinues: Boolean(output?.continue),
+      iterationBaseline: this.iterationBaseline,
+    }, only);
+    // Only a per-rule checkpoint is attributable to the rule that just ran
+    const ruleInput = this.invariantChecking === "per_rule" && input?.ruleId ? { ruleId: input.ruleId } : {};
+    this.recordInvariantResult(result, primitive, ruleInput, undefined);
+  }
+
+  private recordInvariantResult(result: any, primitive: string | undefined, input: any, output: any) {
+    this.metrics.checksPassed += result.passed;
+    this.metrics.checksSkipped += result.skipped;
+    for (const finding of result.violations) {
+      this.recordViolation(finding, primitive, input, output);
+    }
+  }
+
+  /**
+   * Decide whether a rule may write a field another rule already wrote,
+   * per contracts.conflictResolution. Lower priority numbers win under
+   * priority_override (ties go to the later rule); collect merges the
+   * competing values into an array. Writes of an equal value are not conflicts.
+   */
+  claimField(field: string, value: any, rule: string, priority: number) {
+    const policy = this.plan.contracts?.conflictResolution || "priority_override";
+    const previous = this.fieldWriters.get(field);
+
+    if (previous?.contributions) {
+      const own = previous.contributions.find((c) => c.rule === rule);
+      if (own && sameValue(own.value, value)) return { write: false };
+      if (own) {
+        own.value = value;
+      } else {
+        const last = previous.contributions[previous.contributions.length - 1];
+        this.recordConflict(field, last.rule, last.value, rule, value, "merge");
+        previous.contributions.push({ rule, value });
+      }
+      return { write: true, value: previous.contributions.map((c) => c.value) };
+    }
+
+    if (!previous || previous.rule === rule) {
+      this.fieldWriters.set(field, { rule, priority, value });
+      return { write: true, value };
+    }
+    if (sameValue(previous.value, value)) return { write: true, value };
+
+    switch (policy) {
+      case "first_wins":
+        this.recordConflict(field, previous.rule, previous.value, rule, value, "reject");
+        return { write: false };
+
+      case "error":
+        this.recordConflict(field, previous.rule, previous.value, rule, value, "reject");
+        return {
+          write: false,
+          error: `Conflicting write to '${field}': rule '${rule}' would overwrite value from rule '${previous.rule}'`,
+        };
+
+      case "collect":
+        this.recordConflict(field, previous.rule, previous.value, rule, value, "merge");
+        previous.contributions = [{ rule: previous.rule, value: previous.value }, { rule, value }];
+        return { write: true, value: previous.contributions.map((c) => c.value) };
+
+      case "last_wins":
+        break;
+
+      default:
+        if (priority > previous.priority) {
+          this.recordConflict(field, previous.rule, previous.value, rule, value, "reject");
+          return { write: false };
+        }
+    }
+
+    this.recordConflict(field, previous.rule, previous.value, rule, value, "override");
+    this.fieldWriters.set(field, { rule, priority, value });
+    return { write: true, value };
+  }
+
+  private recordConflict(field: string, previousRule: string, previousValue: any,
+                         currentRule: string, currentValue: any, resolution: string) {
+    // Unguarded rules re-fire every iteration; record each distinct conflict once
+    const key = JSON.stringify([field, previousRule, currentRule, currentValue]);
+    if (this.conflictKeys.has(key)) return;
+    this.conflictKeys.add(key);
+
+    const conflict = {
+      field,
+      previousRule,
+      currentRule,
+      previousValue,
+      currentValue,
+      resolution,
+      iteration: this.convergence.iterations + 1,
+      timestamp: this.clock.now(),
+    };
+    this.conflicts.push(conflict);
+
+    const location = formatLocation(this.currentStep.source, field);
+    this.ledger.append("CONFLICT", conflict, {
+      primitive: "RULE_APPLICATOR",
+      ruleId: currentRule,
+      ...(location ? { location } : {}),
+      iteration: conflict.iteration,
+    });
+
+    this.log(`⚔️  Conflict on ${field}: ${previousRule} vs ${currentRule} → ${resolution}`);
+  }
+
+  /**
+   * One ledger entry per field a cleaning primitive touched, so the cleaned
+   * input can be audited field by field: SET for filled defaults, DELETE for
+   * stripped or dropped fields, UPDATE for coercions and normalization.
+   */
+  recordFieldChange(primitive: string, change: { path: string; action: string; [key: string]: any }) {
+    const operation = change.action === "default" ? "SET"
+      : change.action === "drop" || change.action === "strip_key" ? "DELETE"
+      : "UPDATE";
+    this.recordWrite({ field: change.path, value: change.after, previous: change.before, action: change.action });
+
+    const location = formatLocation(this.currentStep.source);
+    this.ledger.append(operation, change, {
+      primitive,
+      field: change.path,
+      ...(location ? { location } : {}),
+      iteration: this.convergence.iterations + 1,
     });
   }
 
@@ -439,123 +2020,677 @@ class KernRuntime {
     return sampled;
   }
 
-  private runCustomInvariants(primitive: string, output: any, input: any) {
-    // NaN detection invariant
-    if (output && typeof output.normalized_score === 'number' && Number.isNaN(output.normalized_score)) {
-      this.recordViolation('NaN normalized_score detected', primitive, input, output);
-    }
-    
-    // Empty output object invariant  
-    if (!output || (typeof output === 'object' && Object.keys(output).length === 0)) {
-      this.recordViolation('Empty output object', primitive, input, output);
-    }
-    
-    // Error field invariant
-    if (output && output.error) {
-      this.recordViolation(`Primitive error: ${output.error}`, primitive, input, output);
-    }
-  }
-
   private resolve(pathStr: string): any {
-    return pathStr.split(".").reduce((o, k) => (o ? o[k] : undefined), this.state);
+    return ownPath(this.state, pathStr).value;
   }
 
   private set(pathStr: string, value: any) {
-    const parts = pathStr.split(".");
-    let obj = this.state;
-    while (parts.length > 1) {
-      const k = parts.shift()!;
-      if (!obj[k]) obj[k] = {};
-      obj = obj[k];
+    let target;
+    try {
+      target = writablePath(this.state, pathStr, Boolean);
+    } catch (err: any) {
+      throw new KernRuntimeError("PLAN_INVALID", err.message, { field: pathStr });
     }
-    obj[parts[0]] = value;
+    target.parent[target.key] = value;
   }
 
-  private applyOutputs(fields: string[], output: any) {
+  private applyOutputs(fields: string[], output: any, input: any) {
     for (const field of fields) {
       const key = field.split(".").pop()!;
-      if (output[key] !== undefined) this.set(field, output[key]);
+      if (output[key] === undefined) continue;
+      this.set(field, output[key]);
+      this.recordWrite({
+        field,
+        value: output[key],
+        ...(input.ruleName ? { ruleId: input.ruleName } : {}),
+        ...(typeof input.condition === "string"
+          ? { condition: input.condition, conditionOperands: this.operandValues(input.condition) } : {}),
+        ...(typeof input.expression === "string"
+          ? { expression: input.expression, operands: this.operandValues(input.expression) } : {}),
+      });
     }
   }
 
-  private appendLedgerEntry(primitive: string, input: any, output: any) {
-    const entry = {
-      id: crypto.randomUUID(),
-      timestamp: timestamp(),
-      operation: primitive,
-      payload: { input, output },
-      hash: hashState({ input, output }),
+  // Copies of the state fields an expression (or template) reads
+  operandValues(source: string, template = false): Record<string, any> {
+    let fields = this.referenceCache.get(source);
+    if (!fields) {
+      try {
+        fields = template
+          ? this.schemas.templates.fieldReferences(source) as string[]
+          : this.schemas.expressions.fieldReferences(source) as string[];
+      } catch {
+        fields = [];
+      }
+      this.referenceCache.set(source, fields);
+    }
+    const operands: Record<string, any> = {};
+    for (const field of fields) {
+      const value = ownPath(this.state, field).value;
+      if (value !== undefined) operands[field] = deepClone(value);
+    }
+    return operands;
+  }
+
+  /**
+   * Record a field write for provenance. A rule re-firing with the same value
+   * and operands adds nothing to the explanation and is not recorded again.
+   */
+  recordWrite(write: Omit<FieldWrite, "seq" | "tick" | "iteration" | "step" | "primitive" | "unset">) {
+    // Fields the condition or expression read that were not set have no operand value
+    const reads = [write.condition, write.expression]
+      .flatMap((source) => typeof source === "string" ? this.referenceCache.get(source) || [] : []);
+    const unset = [...new Set(reads)].filter((field) =>
+      !(write.conditionOperands && field in write.conditionOperands) && !(write.operands && field in write.operands));
+
+    const record: FieldWrite = {
+      seq: this.provenance.length,
+      field: write.field,
+      value: write.value === undefined ? undefined : deepClone(write.value),
+      tick: this.tick,
+      iteration: this.convergence.iterations + 1,
+      step: this.currentStep.id,
+      primitive: this.currentStep.primitive,
+      ...Object.fromEntries(Object.entries(write).filter(([key, value]) => value !== undefined && key !== "value")),
+      ...(unset.length ? { unset } : {}),
     };
-    this.ledger.push(entry);
+    const location = formatLocation(this.currentStep.source, write.field);
+    if (location) record.location = location;
+    const last = this.lastWrites.get(record.field);
+    if (last && last.step === record.step && sameValue(last.value, record.value)
+      && sameValue(last.operands, record.operands) && sameValue(last.conditionOperands, record.conditionOperands)) {
+      return;
+    }
+    this.trackWrite(record);
+  }
+
+  private trackWrite(record: FieldWrite) {
+    this.provenance.push(record);
+    this.lastWrites.set(record.field, record);
+  }
+
+  // Drop the writes of a rolled-back step
+  private truncateProvenance(length: number) {
+    const removed = this.provenance.splice(length);
+    for (const write of removed) {
+      const earlier = [...this.provenance].reverse().find((candidate) => candidate.field === write.field);
+      if (earlier) this.lastWrites.set(write.field, earlier);
+      else this.lastWrites.delete(write.field);
+    }
   }
 
-  private runInvariant(name: string, output: any): boolean {
-    if (name === "stateProgress" && output?.success === false) return false;
-    if (name === "consistencyCheck" && output?.newValue === undefined) return false;
-    return true;
+  private appendLedgerEntry(primitive: string, input: any, output: any) {
+    const location = formatLocation(this.currentStep.source, output?.error ? outputKey(output) : undefined);
+    this.ledger.append("UPDATE", { input, output }, {
+      primitive,
+      ...(input.ruleId ? { ruleId: input.ruleId } : {}),
+      ...(location ? { location } : {}),
+      iteration: this.convergence.iterations + 1,
+    });
   }
 
+  // Identified and dated like the rest of the run, so a seeded run reproduces it (timing aside)
   private generateMetricsSnapshot(durationMs: number) {
     return {
       snapshot: {
-        runId: "run_" + Date.now(),
-        timestamp: timestamp(),
+        runId: this.executionId,
+        timestamp: this.clock.now(),
         engineVersion: "3.1.0-hardened",
         timing: { durationMs },
         primitives: this.metrics.primitiveCounts,
         invariants: {
           violations: this.metrics.invariantViolations,
+          warnings: this.metrics.warnings,
+          violationsBySeverity: this.metrics.violationsBySeverity,
           violationsByType: this.metrics.violationsByType,
           checksPassed: this.metrics.checksPassed,
+          checksSkipped: this.metrics.checksSkipped,
         },
         execution: {
           totalTicks: this.tick,
-          haltedEarly: this.options.haltOnError && this.metrics.invariantViolations > 0,
-          options: this.options,
+          haltedEarly: Boolean(this.stoppedBy || this.timedOut),
+          options: {
+            haltOnError: this.options.haltOnError,
+            collectAllViolations: this.options.collectAllViolations,
+            logLevel: this.options.logLevel,
+          },
         },
+        ...(this.iterative ? { convergence: this.convergence } : {}),
         outcome:
-          this.metrics.invariantViolations > 0 ? "violation_detected" : "success",
+          this.timedOut ? "timeout"
+          : this.stoppedBy?.policy === "quarantine" ? "quarantined"
+          : this.stoppedBy ? "halted"
+          : this.iterative && !this.convergence.achieved ? "max_iterations"
+          : this.worstSeverity() === "error" || this.worstSeverity() === "warn" ? "violation_detected" : "success",
       },
     };
   }
 }
 
 // ================================================================
-// VI. CLI ENTRYPOINT WITH OPTIONS
+// VI. LIBRARY API
+// ================================================================
+
+export interface EngineConfig {
+  /** Manifest object or path; defaults to systemmanifest_instance.json */
+  manifest?: any;
+  /** Plan object or path to a *_kern_plan.json */
+  plan: any;
+  /**
+   * v3_invariant.json instance or path; defaults to the manifest's
+   * components.invariants (resolved against the manifest's directory).
+   * For this and the next two, null means none rather than the manifest's.
+   */
+  invariants?: any;
+  /** v3_kernexecution.json instance or path; defaults to the manifest's components.execution */
+  execution?: any;
+  /** v3_mnemeledger.json instance or path; defaults to the manifest's components.ledger */
+  ledger?: any;
+  options?: RuntimeOptions;
+  schemaDir?: string;
+}
+
+export interface KernEngine {
+  manifest: any;
+  plan: any;
+  /** The v3_kernexecution.json instance in effect (diagnostics, errorHandling, constraints) */
+  execution?: any;
+  /** The v3_invariant.json instance in effect (the built-in checks when none was given) */
+  invariants: any;
+  /** The v3_mnemeledger.json instance in effect */
+  ledger?: any;
+  execute(state: Record<string, any>, options?: RuntimeOptions): Promise<ExecutionOutput>;
+  /**
+   * Roll a finished execution back to a tick and run it on from there as a
+   * child execution, optionally with edited state or a different plan.
+   */
+  resume(request: ResumeRequest, options?: RuntimeOptions): Promise<ExecutionOutput>;
+}
+
+export interface ResumeRequest {
+  /** The parent's snapshots (ExecutionOutput.snapshots or a snapshots file) */
+  snapshots: ExecutionSnapshot[];
+  /** The parent's provenance; without it the child's provenance starts at the tick */
+  provenance?: FieldWrite[];
+  /** Resume from the state after this tick */
+  tick: number;
+  /** Dotted field → value edits applied to the rolled-back state */
+  set?: Record<string, any>;
+  /** Plan for the child; its steps are matched to the snapshot by id. Defaults to the engine's plan */
+  plan?: any;
+}
+
+/**
+ * Validate the manifest and plan once, then run any number of executions
+ * in-process. Each execute() gets a fresh KernRuntime, so runs never share
+ * ledger, metrics or field-writer state. Library callers default to quiet logs.
+ */
+export function createEngine({
+  manifest, plan, invariants, execution, ledger, options = {}, schemaDir = DEFAULT_SCHEMA_DIR,
+}: EngineConfig): KernEngine {
+  const schemas = loadSchemas(schemaDir);
+  const manifestPath = typeof manifest === "string" || manifest === undefined
+    ? path.resolve(manifest || DEFAULT_MANIFEST_PATH)
+    : undefined;
+  const manifestData = manifestPath ? readJson(manifestPath, "Manifest") : manifest;
+  validateManifest(manifestData, schemaDir);
+
+  const components = manifestData.manifest?.components || {};
+  const manifestDir = manifestPath ? path.dirname(manifestPath) : process.cwd();
+  const component = (source: any, name: string) => (source === undefined ? components[name]?.path : source);
+  const invariantConfig = loadInvariantConfig(component(invariants, "invariants"), manifestDir, schemas);
+  const executionConfig = loadExecutionConfig(component(execution, "execution"), manifestDir, schemas);
+  const ledgerConfig = loadComponentInstance(component(ledger, "ledger"), manifestDir, schemas.ledger,
+    schemas.validateLedger, "LEDGER_INVALID", "Ledger configuration");
+
+  const planData = loadPlan(plan);
+
+  const run = (runPlan: any, state: Record<string, any>, overrides: RuntimeOptions) =>
+    new KernRuntime(runPlan, manifestData, schemas, {
+      logLevel: "quiet",
+      invariants: invariantConfig,
+      execution: executionConfig,
+      ledger: ledgerConfig,
+      ...options,
+      ...overrides,
+    }).execute(state);
+
+  return {
+    manifest: manifestData,
+    plan: planData,
+    execution: executionConfig,
+    invariants: invariantConfig,
+    ledger: ledgerConfig,
+    execute: (state, overrides = {}) => run(planData, state, overrides),
+
+    resume: async ({ snapshots, provenance = [], tick, set = {}, plan: childPlan }, overrides = {}) => {
+      const base = [...snapshots || []]
+        .filter((snapshot) => snapshot.tick <= tick)
+        .sort((a, b) => b.tick - a.tick)[0];
+      if (!base) {
+        throw new KernRuntimeError("INPUT_INVALID", `No snapshot at or before tick ${tick}`,
+          { ticks: (snapshots || []).map((snapshot) => snapshot.tick) });
+      }
+
+      // Between snapshots, replay the parent plan from the nearest one up to the tick
+      let point = base;
+      let writes = provenance.slice(0, base.resume.provenanceLength);
+      if (base.tick < tick) {
+        const replay = await run(planData, base.state, {
+          executionId: base.executionId,
+          resume: { snapshot: base, provenance: writes },
+          untilTick: tick,
+          snapshotInterval: 0,
+          logLevel: "quiet",
+        });
+        point = replay.snapshots[replay.snapshots.length - 1];
+        if (!point || point.tick !== tick) {
+          throw new KernRuntimeError("INPUT_INVALID",
+            `Execution ${base.executionId} ended at tick ${replay.proof.ticks}, before tick ${tick}`);
+        }
+        writes = replay.provenance.slice(0, point.resume.provenanceLength);
+      }
+
+      const state = deepClone(point.state);
+      for (const [field, value] of Object.entries(set)) {
+        if (field.split(".").some((key) => POLLUTING_KEYS.has(key))) {
+          throw new KernRuntimeError("INPUT_INVALID", `Refusing to set '${field}'`);
+        }
+        assignPath(state, field, deepClone(value));
+      }
+
+      const resumePlan = childPlan === undefined ? planData : loadPlan(childPlan);
+      const modifications = Object.keys(set).sort();
+      const planChanged = resumePlan !== planData && canonicalHash(resumePlan) !== canonicalHash(planData);
+      return run(resumePlan, state, {
+        // Same parent, tick and changes give the same child id
+        ...overrides,
+        executionId: overrides.executionId ?? childExecutionId(point, set, planChanged ? resumePlan : null),
+        resume: {
+          snapshot: { ...point, state },
+          provenance: writes,
+          parent: { executionId: point.executionId, tick, stateHash: point.stateHash, modifications, planChanged },
+        },
+      });
+    },
+  };
+}
+
+function loadPlan(plan: any) {
+  const planData = typeof plan === "string" ? readJson(path.resolve(plan), "Plan") : plan;
+  if (!planData || !Array.isArray(planData.transformation_pipeline || planData)) {
+    throw new KernRuntimeError("PLAN_INVALID", "Plan must be a step array or have a transformation_pipeline array");
+  }
+  return planData;
+}
+
+// UUID-shaped digest of what distinguishes a child execution from its parent
+function childExecutionId(point: ExecutionSnapshot, set: Record<string, any>, plan: any) {
+  const hex = canonicalHash({ parent: point.executionId, tick: point.tick, set, plan });
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${"89ab"[parseInt(hex[16], 16) & 3]}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Read a component instance (object, or path relative to the manifest) and
+ * validate it against its schema. Returns undefined when there is none or
+ * when the manifest still points at the schema itself.
+ */
+function loadComponentInstance(
+  source: any, baseDir: string, schema: any, validate: ValidateFunction, code: KernErrorCode, what: string
+) {
+  if (source === undefined || source === null) return undefined;
+
+  const config: any = typeof source === "string" ? readJson(path.resolve(baseDir, source), what) : source;
+  if (config.$id === schema.$id) return undefined;
+
+  if (!validate(config)) {
+    throw new KernRuntimeError(code, `${what} failed validation against ${schema.$id}`, validate.errors);
+  }
+  return config;
+}
+
+/**
+ * Invariant configuration (v3_invariant.json); without one the built-in checks run
+ */
+export function loadInvariantConfig(source: any, baseDir = process.cwd(), schemas = loadSchemas()) {
+  const config = loadComponentInstance(source, baseDir, schemas.invariant, schemas.validateInvariants,
+    "INVARIANTS_INVALID", "Invariant configuration");
+  if (!config) return KernInvariantEngine.DEFAULT_CONFIG;
+
+  try {
+    // Also rejects unknown validator names in checkSequence
+    new KernInvariantEngine(config, { schema: schemas.invariant });
+  } catch (err: any) {
+    throw new KernRuntimeError("INVARIANTS_INVALID", err.message);
+  }
+  return config;
+}
+
+/**
+ * Execution configuration (v3_kernexecution.json); its errorHandling sets the violation policies
+ */
+export function loadExecutionConfig(source: any, baseDir = process.cwd(), schemas = loadSchemas()) {
+  return loadComponentInstance(source, baseDir, schemas.execution, schemas.validateExecution,
+    "EXECUTION_INVALID", "Execution configuration");
+}
+
+/**
+ * Build the v3_executionresult.json document for an execution. The full
+ * ledger is not inlined; `ledger.path` says where the caller wrote it.
+ */
+export function buildResultDocument(result: ExecutionOutput, ledgerPath?: string, schemaDir = DEFAULT_SCHEMA_DIR) {
+  const lastEntry = result.ledger[result.ledger.length - 1];
+  const document = {
+    kind: "kern.execution_result",
+    version: "1.0",
+    state: result.state,
+    proof: result.proof,
+    metrics: result.metrics.snapshot,
+    violations: result.auditTrail,
+    conflicts: result.conflicts,
+    provenance: result.provenance,
+    ledger: {
+      ...(ledgerPath ? { path: ledgerPath } : {}),
+      entries: result.ledger.length,
+      lastHash: lastEntry ? lastEntry.hash : null,
+    },
+  };
+
+  const { validateResult } = loadSchemas(schemaDir);
+  if (!validateResult(document)) {
+    throw new KernRuntimeError("RESULT_INVALID", "Result document failed v3_executionresult validation", validateResult.errors);
+  }
+  return document;
+}
+
+// ================================================================
+// VII. CLI ENTRYPOINT WITH OPTIONS
 // ================================================================
 
-(async () => {
-  const argv = await yargs(hideBin(process.argv))
-    .option("input", { type: "string", demandOption: true })
-    .option("plan", { type: "string", demandOption: true })
-    .option("haltOnError", { type: "boolean", default: false })
-    .option("collectAllViolations", { type: "boolean", default: true })
-    .option("logLevel", { choices: ['verbose', 'normal', 'quiet'], default: 'normal' })
+async function main() {
+  await yargs(hideBin(process.argv))
+    .command("$0", "Execute a plan against an input state", (y) => y
+      .option("input", { type: "string", demandOption: true })
+      .option("plan", { type: "string", demandOption: true })
+      .option("manifest", { type: "string", default: "./systemmanifest_instance.json" })
+      .option("invariants", {
+        type: "string",
+        describe: "v3_invariant.json instance (defaults to the manifest's components.invariants)",
+      })
+      .option("execution", {
+        type: "string",
+        describe: "v3_kernexecution.json instance with errorHandling policies (defaults to the manifest's components.execution)",
+      })
+      .option("haltOnError", { type: "boolean", describe: "Halt on error-severity violations; defaults to the invariant failureModes" })
+      .option("collectAllViolations", { type: "boolean", describe: "Defaults to the invariant failureModes, then true" })
+      .option("timeoutMs", { type: "number", describe: "Wall-clock budget for the run; defaults to execution.constraints.timeoutMs" })
+      .option("logLevel", { choices: ['verbose', 'normal', 'quiet'], default: 'normal' })
+      .option("seed", { type: "string", describe: "PRNG seed for uuid() and ledger ids (recorded in the proof)" })
+      .option("asOf", { type: "string", describe: "Fixed ISO date-time for now() and ledger timestamps" })
+      .option("snapshot-interval", {
+        type: "number",
+        describe: "Snapshot every N ticks and write audit/snapshots/<executionId>.json for rollback; defaults to execution.stateManagement",
+      })
+      .option("output", {
+        choices: ['text', 'json', 'ndjson'],
+        default: 'text',
+        describe: "json/ndjson print the result document on stdout and send logs to stderr",
+      })
+      .option("result-file", { type: "string", describe: "Also write the JSON result document to this path" }),
+      runExecution)
+    .command("debug", "Step through a plan with breakpoints, watch expressions and state edits", (y) => y
+      .option("input", { type: "string", demandOption: true })
+      .option("plan", { type: "string", demandOption: true })
+      .option("manifest", { type: "string", default: "./systemmanifest_instance.json" })
+      .option("invariants", { type: "string", describe: "v3_invariant.json instance" })
+      .option("execution", { type: "string", describe: "v3_kernexecution.json instance; its diagnostics seed breakpoints and watches" })
+      .option("break", { type: "array", string: true, describe: "Breakpoint: tick:N, rule:NAME or when:CONDITION (repeatable)" })
+      .option("watch", { type: "array", string: true, describe: "Watch expression printed at every stop (repeatable)" })
+      .option("seed", { type: "string" })
+      .option("asOf", { type: "string" }),
+      runDebugger)
+    .command("rollback", "Roll an execution back to a tick and resume it as a child execution", (y) => y
+      .option("snapshots", {
+        type: "string",
+        demandOption: true,
+        describe: "Snapshots file written by the parent run (audit/snapshots/<executionId>.json)",
+      })
+      .option("tick", { type: "number", demandOption: true, describe: "Resume from the state after this tick" })
+      .option("plan", { type: "string", demandOption: true, describe: "The parent's plan; replays ticks between snapshots" })
+      .option("resume-plan", { type: "string", describe: "Plan for the child execution; defaults to --plan" })
+      .option("set", { type: "array", string: true, describe: "field=<json> state edit before resuming (repeatable)" })
+      .option("manifest", { type: "string", default: "./systemmanifest_instance.json" })
+      .option("invariants", { type: "string", describe: "v3_invariant.json instance" })
+      .option("execution", { type: "string", describe: "v3_kernexecution.json instance" })
+      .option("timeoutMs", { type: "number" })
+      .option("logLevel", { choices: ['verbose', 'normal', 'quiet'], default: 'normal' })
+      .option("output", { choices: ['text', 'json', 'ndjson'], default: 'text' })
+      .option("result-file", { type: "string", describe: "Also write the JSON result document to this path" }),
+      runRollback)
+    .command("explain <execution> <field>", "Explain why a field has its value: the rule that wrote it and how its inputs were derived", (y) => y
+      .positional("execution", {
+        type: "string",
+        demandOption: true,
+        describe: "Result document (--result-file / --output json) or an execution id stored in --db",
+      })
+      .positional("field", { type: "string", demandOption: true, describe: "Dotted state field, e.g. approval.status" })
+      .option("db", { type: "string", default: "./database/kern_state.db", describe: "SQLite database for execution ids" })
+      .option("format", { choices: ['text', 'json'], default: 'text' })
+      .option("depth", { type: "number", default: 20, describe: "Maximum derivation depth" }),
+      explainField)
+    .command("ledger", "MNEME ledger tools", (y) => y
+      .command("verify <file>", "Recompute the hash chain and report the first invalid entry", (v) => v
+        .positional("file", { type: "string", demandOption: true }),
+        verifyLedgerFile)
+      .demandCommand(1))
+    .strictCommands()
+    .fail((msg, err, y) => {
+      // Runtime errors go to the structured handler below; usage errors show help
+      if (err) throw err;
+      y.showHelp();
+      console.error(`\n${msg}`);
+      process.exit(1);
+    })
     .help()
-    .argv;
+    .parseAsync();
+}
 
-  const inputPath = path.resolve(argv.input);
-  const planPath = path.resolve(argv.plan);
+function verifyLedgerFile(argv: any) {
+  const document = readJson(path.resolve(argv.file), "Ledger");
+  const validation = MnemeLedger.verify(document);
 
-  const inputData = JSON.parse(fs.readFileSync(inputPath, "utf-8"));
-  const planData = JSON.parse(fs.readFileSync(planPath, "utf-8"));
+  if (validation.valid) {
+    console.log(`✅ Ledger chain intact: ${validation.lastValidIndex + 1} entries verified`);
+  } else {
+    const [first] = validation.errors;
+    console.log(`❌ Ledger chain broken at index ${first.index} (${first.type}): ${first.message}`);
+    console.log(`   Last valid index: ${validation.lastValidIndex}`);
+  }
+  console.log(JSON.stringify(validation, null, 2));
+  process.exitCode = validation.valid ? 0 : 1;
+}
+
+async function explainField(argv: any) {
+  let provenance: FieldWrite[];
+  let state: Record<string, any>;
+
+  if (fs.existsSync(argv.execution)) {
+    const document = readJson(path.resolve(argv.execution), "Result document");
+    if (!Array.isArray(document.provenance)) {
+      throw new KernRuntimeError("INPUT_INVALID", `${argv.execution} has no provenance; re-run the execution to record it`);
+    }
+    ({ provenance, state } = document);
+  } else {
+    // Loaded on demand so the runtime does not need sqlite3 otherwise
+    const { default: KernSqlitePersistence } = await import("./src/sqlite-persistence-layer.js");
+    const persistence = new KernSqlitePersistence(argv.db, { logger: () => {} });
+    await persistence.initialize();
+    try {
+      const execution = await persistence.getExecution(argv.execution);
+      provenance = await persistence.getFieldProvenance(argv.execution);
+      state = JSON.parse(execution.output_data || "{}");
+    } catch (err: any) {
+      throw new KernRuntimeError("INPUT_INVALID", err.message);
+    } finally {
+      await persistence.close();
+    }
+    if (provenance.length === 0) {
+      throw new KernRuntimeError("INPUT_INVALID", `No provenance stored for execution ${argv.execution}`);
+    }
+  }
+
+  const explainer = new KernExplainer(provenance, { state });
+  let tree;
+  try {
+    tree = explainer.explain(argv.field, { maxDepth: argv.depth });
+  } catch (err: any) {
+    throw new KernRuntimeError("INPUT_INVALID", err.message);
+  }
+  console.log(argv.format === "json" ? JSON.stringify(tree, null, 2) : explainer.format(tree));
+}
 
-  const engine = new KernRuntime(
-    planData, 
-    manifestInstance, 
-    invariantSchema,
-    {
+async function runDebugger(argv: any) {
+  const engine = createEngine({
+    manifest: argv.manifest,
+    plan: argv.plan,
+    invariants: argv.invariants,
+    execution: argv.execution,
+    options: { logLevel: "quiet", seed: argv.seed, asOf: argv.asOf },
+  });
+  const diagnostics = engine.execution?.diagnostics || {};
+  const debug = new KernDebugger({
+    expressions: loadSchemas().expressions,
+    plan: engine.plan,
+    diagnostics: {
+      ...diagnostics,
+      breakpoints: [...(diagnostics.breakpoints || []), ...(argv.break || [])],
+      watchExpressions: [...(diagnostics.watchExpressions || []), ...(argv.watch || [])],
+    },
+  });
+
+  const inputData = readJson(path.resolve(argv.input), "Input");
+  console.log("🐞 KERN debugger (h for help)");
+  const result = await engine.execute(inputData, { onStep: (stop) => debug.onStep(stop) });
+
+  console.log(`\n🏁 Finished after ${result.proof.ticks} ticks: ${result.proof.outcome}`);
+  console.log(`   finalHash ${result.proof.finalHash}`);
+  debug.close();
+}
+
+// Exit code by the worst violation severity; 1 is left for runtime failures
+const SEVERITY_EXIT_CODES: Record<string, number> = { none: 0, info: 0, warn: 2, error: 3 };
+const TIMEOUT_EXIT_CODE = 4;
+
+async function runExecution(argv: any) {
+  // In machine-readable modes stdout carries only the result document
+  const machineOutput = argv.output !== "text";
+  const log = machineOutput ? console.error : console.log;
+
+  const engine = createEngine({
+    manifest: argv.manifest,
+    plan: argv.plan,
+    invariants: argv.invariants,
+    execution: argv.execution,
+    options: {
       haltOnError: argv.haltOnError,
       collectAllViolations: argv.collectAllViolations,
-      logLevel: argv.logLevel,
-    }
-  );
-  
+      timeoutMs: argv.timeoutMs,
+      logLevel: argv.logLevel as RuntimeOptions["logLevel"],
+      seed: argv.seed,
+      asOf: argv.asOf,
+      snapshotInterval: argv.snapshotInterval,
+      logger: log,
+    },
+  });
+  log("✅ Manifest instance validated successfully.");
+  log("🧩 All component schemas loaded.\n");
+
+  const inputData = readJson(path.resolve(argv.input), "Input");
   const result = await engine.execute(inputData);
+  reportExecution(argv, engine, result, log);
+}
 
+async function runRollback(argv: any) {
+  const machineOutput = argv.output !== "text";
+  const log = machineOutput ? console.error : console.log;
+
+  const engine = createEngine({
+    manifest: argv.manifest,
+    plan: argv.plan,
+    invariants: argv.invariants,
+    execution: argv.execution,
+    options: {
+      timeoutMs: argv.timeoutMs,
+      logLevel: argv.logLevel as RuntimeOptions["logLevel"],
+      logger: log,
+    },
+  });
+
+  const set: Record<string, any> = {};
+  for (const edit of argv.set || []) {
+    const separator = edit.indexOf("=");
+    if (separator < 1) throw new KernRuntimeError("INPUT_INVALID", `Expected field=<json>, got '${edit}'`);
+    const text = edit.slice(separator + 1);
+    try {
+      set[edit.slice(0, separator)] = JSON.parse(text);
+    } catch {
+      set[edit.slice(0, separator)] = text;
+    }
+  }
+
+  const { snapshots, provenance } = readJson(path.resolve(argv.snapshots), "Snapshots");
+  const result = await engine.resume({
+    snapshots,
+    provenance,
+    tick: argv.tick,
+    set,
+    plan: argv.resumePlan,
+  });
+  reportExecution(argv, engine, result, log);
+}
+
+// Write the audit files, and the snapshots when the run took any (snapshotting is
+// opt-in), then print the result in the requested format
+function reportExecution(argv: any, engine: KernEngine, result: ExecutionOutput, log: (...args: any[]) => void) {
+  const ledgerPath = "./audit/mneme_ledger.json";
+  fs.writeFileSync("./metrics_snapshot.json", JSON.stringify(result.metrics, null, 2));
   fs.mkdirSync("./audit", { recursive: true });
-  fs.writeFileSync("./audit/mneme_ledger.json", JSON.stringify(result.ledger, null, 2));
+  fs.writeFileSync(ledgerPath, JSON.stringify(MnemeLedger.toDocument(result.ledger, { id: "mneme_ledger" }), null, 2));
   fs.writeFileSync("./audit/violations_audit.json", JSON.stringify(result.auditTrail, null, 2));
+  if (result.snapshots.length > 0) {
+    const snapshotsPath = `./audit/snapshots/${result.proof.executionId}.json`;
+    fs.mkdirSync(path.dirname(snapshotsPath), { recursive: true });
+    fs.writeFileSync(snapshotsPath, JSON.stringify({
+      executionId: result.proof.executionId,
+      ...(result.proof.parent ? { parent: result.proof.parent } : {}),
+      snapshots: result.snapshots,
+      // Stored once; each snapshot records how much of it came before its tick
+      provenance: result.provenance,
+    }, null, 2));
+    log(`📸 ${result.snapshots.length} snapshots written to ${snapshotsPath}`);
+  }
+
+  const document = buildResultDocument(result, ledgerPath);
+  process.exitCode = result.proof.outcome === "timeout"
+    ? TIMEOUT_EXIT_CODE
+    : SEVERITY_EXIT_CODES[result.proof.worstSeverity];
+  if (argv.resultFile) {
+    fs.writeFileSync(path.resolve(argv.resultFile), JSON.stringify(document, null, 2));
+    log(`📄 Result document written to ${argv.resultFile}`);
+  }
+
+  if (argv.output === "json") {
+    process.stdout.write(JSON.stringify(document, null, 2) + "\n");
+    return;
+  }
+  if (argv.output === "ndjson") {
+    // One ledger entry per line, closed by the result document
+    for (const entry of result.ledger) {
+      process.stdout.write(JSON.stringify({ type: "ledger", entry }) + "\n");
+    }
+    process.stdout.write(JSON.stringify({ type: "result", result: document }) + "\n");
+    return;
+  }
 
   console.log("\n📊 Final State:");
   console.log(JSON.stringify(result.state, null, 2));
@@ -565,9 +2700,44 @@ class KernRuntime {
   console.log("📋 Violations Audit written to audit/violations_audit.json");
   
   if (result.metrics.snapshot.invariants.violations > 0) {
-    console.log(`\n❌ Detected ${result.metrics.snapshot.invariants.violations} invariant violations:`);
+    const { error, warn, info } = result.proof.violationsBySeverity;
+    console.log(`\n❌ Detected ${result.metrics.snapshot.invariants.violations} invariant violations` +
+      ` (${error} error, ${warn} warn, ${info} info):`);
     console.log(JSON.stringify(result.metrics.snapshot.invariants.violationsByType, null, 2));
+    if (result.proof.stoppedBy) {
+      const { stoppedBy } = result.proof;
+      console.log(`${stoppedBy.policy === "quarantine" ? "🚧 Quarantined" : "🛑 Halted"} at tick ` +
+        `${stoppedBy.tick}${stoppedBy.location ? ` (${stoppedBy.location})` : ""}: ${stoppedBy.message}`);
+    }
   } else {
     console.log("\n✅ No invariant violations detected!");
   }
-})();
+
+  if (result.proof.parent) {
+    const { parent } = result.proof;
+    console.log(`\n⏪ Child of ${parent.executionId} from tick ${parent.tick}` +
+      (parent.modifications.length ? `, edited: ${parent.modifications.join(", ")}` : "") +
+      (parent.planChanged ? ", on a modified plan" : ""));
+  }
+
+  if (result.proof.timeout) {
+    console.log(`\n⏱️ Timed out at tick ${result.proof.timeout.tick} (${result.proof.timeout.scope} ` +
+      `${result.proof.timeout.budget}): ${result.proof.timeout.message}`);
+  }
+
+  if (result.conflicts.length > 0) {
+    console.log(`\n⚔️  ${result.conflicts.length} rule conflicts (${engine.plan.contracts?.conflictResolution || "priority_override"}):`);
+    console.log(JSON.stringify(result.conflicts, null, 2));
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    if (err instanceof KernRuntimeError) {
+      console.error(`❌ ${err.message}`, err.details ?? "");
+    } else {
+      console.error("❌ Execution failed:", err);
+    }
+    process.exit(1);
+  });
+}
@@ -8,7 +8,6 @@
 const GitForLogic = require('./git-for-logic');
 const YamlToKernBridge = require('./yaml-to-kern-bridge');
 const KernSqlitePersistence = require('./sqlite-persistence');
-const { spawn } = require('child_process');
 const path = require('path');
 
 class KernBridge {
@@ -22,7 +21,6 @@ class KernBridge {
     this.yamlBridge = new YamlToKernBridge();
     this.persistence = options.useSqlite ? new KernSqlitePersistence() : null;
     
-    this.kernPath = options.kernPath || './kern_runtime_v3_full.ts';
     this.mode = options.mode || 'simple'; // 'simple' or 'enterprise'
   }
 
@@ -104,54 +102,21 @@ class KernBridge {
   }
 
   /**
-   * Run KERN v3 engine as subprocess
+   * Run KERN v3 engine in-process via the library API
    */
   async runKernEngine(planPath, inputPath) {
-    return new Promise((resolve, reject) => {
-      const kernProcess = spawn('ts-node', [
-        this.kernPath,
-        '--input', inputPath,
-        '--plan', planPath
-      ]);
-      
-      let stdout = '';
-      let stderr = '';
-      
-      kernProcess.stdout.on('data', (data) => {
-        stdout += data.toString();
-        console.log(data.toString());
-      });
-      
-      kernProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-      
-      kernProcess.on('close', (code) => {
-        if (code === 0) {
-          // Parse KERN output
-          resolve(this.parseKernOutput(stdout));
-        } else {
-          reject(new Error(`KERN execution failed: ${stderr}`));
-        }
-      });
-    });
-  }
-
-  /**
-   * Parse KERN v3 output
-   */
-  parseKernOutput(stdout) {
-    // Extract final state and metrics from KERN output
-    const lines = stdout.split('\n');
+    const { createEngine } = require('./kern_engine');
+    const engine = createEngine({ plan: planPath });
+    const input = JSON.parse(require('fs').readFileSync(inputPath, 'utf8'));
     
-    // Look for final state output
-    const finalStateMatch = stdout.match(/📊 Final State:\s*({.*})/s);
-    const verificationMatch = stdout.match(/🔍 Verification Proof:\s*({.*})/s);
+    const result = await engine.execute(input);
     
     return {
-      finalState: finalStateMatch ? JSON.parse(finalStateMatch[1]) : null,
-      verification: verificationMatch ? JSON.parse(verificationMatch[1]) : null,
-      rawOutput: stdout,
+      finalState: result.state,
+      verification: result.proof,
+      metrics: result.metrics,
+      violations: result.auditTrail,
+      executionTime: result.metrics.snapshot.timing.durationMs,
       engine: 'KERN_v3'
     };
   }
@@ -0,0 +1,52 @@
+/**
+ * 🔑 KERN Canonical JSON
+ * RFC 8785 (JCS) style serialization and the one content hash used by the
+ * runtime proof, the MNEME ledger, SQLite persistence and git-for-logic.
+ *
+ * - object keys sorted by UTF-16 code units, at every level
+ * - no whitespace
+ * - numbers in ECMAScript shortest round-trip form (what JSON.stringify emits)
+ * - undefined properties dropped, toJSON() honoured
+ *
+ * Unlike strict JCS, non-finite numbers serialize as null (as JSON.stringify
+ * does) instead of throwing, so states carrying a NaN violation still hash.
+ *
+ * canonicalHash() is the full 64-character SHA-256 hex digest; nothing should
+ * truncate it, so hashes are comparable across components.
+ */
+
+const crypto = require('crypto');
+
+function canonicalize(value) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+        value = value.toJSON();
+    }
+
+    if (value === null || value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+        return 'null';
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? JSON.stringify(value) : 'null';
+    }
+    if (typeof value === 'bigint') {
+        throw new TypeError('Cannot canonicalize a BigInt');
+    }
+    if (typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => canonicalize(item)).join(',')}]`;
+    }
+
+    const members = Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function' && typeof value[key] !== 'symbol')
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+}
+
+function canonicalHash(value) {
+    return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+module.exports = { canonicalize, canonicalHash };
@@ -0,0 +1,108 @@
+/**
+ * 🎲 KERN Execution Context
+ * Seeded PRNG and fixed "as-of" clock for deterministic executions.
+ *
+ * Every nondeterministic built-in (now(), uuid(), ledger ids and timestamps)
+ * draws from an ExecutionContext instead of the wall clock or Math.random.
+ * The seed and asOf are recorded in the proof; replaying with the same pair
+ * reproduces the final hash bit-for-bit.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * sfc32 generator; state is four 32-bit words derived from SHA-256(seed)
+ */
+function createPrng(seed) {
+    const digest = crypto.createHash('sha256').update(String(seed)).digest();
+    let a = digest.readUInt32LE(0);
+    let b = digest.readUInt32LE(4);
+    let c = digest.readUInt32LE(8);
+    let d = digest.readUInt32LE(12);
+
+    return () => {
+        const t = (((a + b) >>> 0) + d) >>> 0;
+        d = (d + 1) >>> 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) >>> 0;
+        c = ((c << 21) | (c >>> 11)) >>> 0;
+        c = (c + t) >>> 0;
+        return t / 4294967296;
+    };
+}
+
+class ExecutionContext {
+    /**
+     * @param {object} options - { seed: string|number, asOf: ISO date-time,
+     *   positions: { stream: draws } to continue from (see positions()) }
+     *   Omitted values are generated once and then fixed for the execution.
+     */
+    constructor({ seed, asOf, positions = {} } = {}) {
+        this.seed = seed === undefined || seed === null ? crypto.randomBytes(8).toString('hex') : String(seed);
+
+        const asOfDate = asOf === undefined || asOf === null ? new Date() : new Date(asOf);
+        if (Number.isNaN(asOfDate.getTime())) {
+            throw new Error(`Invalid asOf date-time: ${asOf}`);
+        }
+        this.asOf = asOfDate.toISOString();
+
+        this.streams = new Map();
+        this.draws = new Map();
+
+        // Fast-forward each stream so a resumed execution draws what the original would have
+        for (const [name, count] of Object.entries(positions)) {
+            const next = this.stream(name);
+            for (let i = 0; i < count; i++) next();
+        }
+    }
+
+    /**
+     * Independent PRNG stream per purpose, so adding ledger entries never
+     * shifts the values templates see from uuid()
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            const prng = createPrng(`${this.seed}:${name}`);
+            this.draws.set(name, 0);
+            this.streams.set(name, () => {
+                this.draws.set(name, this.draws.get(name) + 1);
+                return prng();
+            });
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Values drawn so far per stream; with the seed, enough to resume the sequence
+     */
+    positions() {
+        return Object.fromEntries(this.draws);
+    }
+
+    random(stream = 'rules') {
+        return this.stream(stream)();
+    }
+
+    /**
+     * RFC 4122 version 4 layout, random bits from the seeded stream
+     */
+    uuid(stream = 'rules') {
+        const next = this.stream(stream);
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+            const r = Math.floor(next() * 16);
+            const v = c === 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
+    }
+
+    now() {
+        return this.asOf;
+    }
+
+    toJSON() {
+        return { seed: this.seed, asOf: this.asOf };
+    }
+}
+
+module.exports = ExecutionContext;
+module.exports.createPrng = createPrng;
@@ -0,0 +1,366 @@
+/**
+ * 🐞 KERN Step Debugger
+ * Interactive onStep hook for the runtime's `debug` command.
+ *
+ * The runtime awaits the hook before every step. The debugger decides
+ * whether to stop there; at a stop it prints the upcoming step, the state
+ * fields changed since the previous stop and the watch expressions, then
+ * reads commands until one resumes the run.
+ *
+ * Breakpoints (diagnostics.breakpoints or `break <spec>`):
+ *   tick:12 / 12                          before tick 12
+ *   rule:calculate_debt_to_income         before that rule's RULE_APPLICATOR step
+ *   a rule name from the plan             same as rule:<name>
+ *   when:ratios.debt_to_income > 43       when the condition becomes true
+ *   anything else                         treated as a condition
+ *
+ * Watch expressions use the rule expression language and are evaluated
+ * against the state at every stop.
+ */
+
+const readline = require('readline');
+
+const HELP = `Commands:
+  s, step [n]          run n steps (default 1) and stop
+  c, continue          run to the next breakpoint
+  b, break [spec]      add a breakpoint (tick:N, rule:NAME, when:CONDITION); list them without a spec
+  d, delete <n>        remove breakpoint n
+  w, watch [expr]      add a watch expression; list them without one
+  unwatch <n>          remove watch n
+  p, print <expr>      evaluate an expression against the state
+  set <field> <json>   edit a state field (ledgered as SET), e.g. set loan.interest_rate 6.5
+  state [field]        dump the state, or one field
+  q, quit              detach and let the run finish
+  h, help              this text`;
+
+// Dotted path → JSON-encoded leaf, for diffs between stops
+function leafValues(value, prefix = '', out = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        for (const [key, child] of Object.entries(value)) {
+            leafValues(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out[prefix] = JSON.stringify(value);
+    }
+    return out;
+}
+
+function readField(state, field) {
+    return field.split('.').reduce((value, key) =>
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+            ? value[key] : undefined, state);
+}
+
+function formatValue(value) {
+    if (value === undefined) return 'undefined';
+    const text = JSON.stringify(value);
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+class KernDebugger {
+    /**
+     * @param {object} options - { expressions: KernExpressionEngine, plan, diagnostics
+     *   (v3_kernexecution diagnostics), input, output streams (default stdin/stdout) }
+     */
+    constructor({ expressions, plan = [], diagnostics = {}, input = process.stdin, output = process.stdout } = {}) {
+        this.expressions = expressions;
+        this.output = output;
+        this.ruleIds = new Set((plan.transformation_pipeline || plan)
+            .map(step => step.params && step.params.ruleId)
+            .filter(Boolean));
+
+        this.breakpoints = [];
+        this.watches = [];
+        (diagnostics.breakpoints || []).forEach(spec => this.addBreakpoint(spec));
+        (diagnostics.watchExpressions || []).forEach(expression => this.addWatch(expression));
+        this.dumpState = Boolean(diagnostics.dumpState);
+
+        // Without breakpoints there is nothing to run to, so start by stepping
+        this.stepping = Boolean(diagnostics.stepping) || this.breakpoints.length === 0;
+        this.stepsLeft = 1;
+        this.detached = false;
+        this.lastStopState = null;
+
+        this.readline = readline.createInterface({ input, terminal: false });
+        this.lines = this.readline[Symbol.asyncIterator]();
+    }
+
+    close() {
+        this.readline.close();
+    }
+
+    /**
+     * Parse a breakpoint spec; conditions are parsed now so typos fail at `break`, not mid-run
+     */
+    parseBreakpoint(spec) {
+        const text = String(spec).trim();
+        const [, prefix, rest] = text.match(/^(tick|rule|when):\s*(.*)$/) || [];
+
+        if (prefix === 'tick' || (!prefix && /^\d+$/.test(text))) {
+            const tick = Number(prefix ? rest : text);
+            if (!Number.isInteger(tick) || tick < 1) throw new Error(`Invalid tick breakpoint '${text}'`);
+            return { kind: 'tick', tick, spec: `tick:${tick}` };
+        }
+        if (prefix === 'rule' || (!prefix && this.ruleIds.has(text))) {
+            const rule = prefix ? rest : text;
+            if (!this.ruleIds.has(rule)) throw new Error(`No rule '${rule}' in the plan`);
+            return { kind: 'rule', rule, spec: `rule:${rule}` };
+        }
+
+        const condition = prefix ? rest : text;
+        this.expressions.parse(condition);
+        return { kind: 'condition', condition, spec: `when:${condition}`, holds: false };
+    }
+
+    addBreakpoint(spec) {
+        const breakpoint = this.parseBreakpoint(spec);
+        this.breakpoints.push(breakpoint);
+        return breakpoint;
+    }
+
+    addWatch(expression) {
+        this.expressions.parse(expression);
+        this.watches.push(expression);
+    }
+
+    /**
+     * RuntimeOptions.onStep: stop when stepping or at a breakpoint, then take commands
+     */
+    async onStep(stop) {
+        if (this.detached) return;
+
+        const hit = this.breakpointHit(stop);
+        const stepped = this.stepping && --this.stepsLeft <= 0;
+        if (!hit && !stepped) return;
+
+        this.printStop(stop, hit);
+        await this.prompt(stop);
+    }
+
+    /**
+     * First breakpoint that fires before this step. Condition breakpoints fire
+     * when their condition turns true, not at every step while it holds.
+     */
+    breakpointHit(stop) {
+        let hit = null;
+        this.breakpoints.forEach((breakpoint, index) => {
+            let fires = false;
+            if (breakpoint.kind === 'tick') fires = stop.tick === breakpoint.tick;
+            if (breakpoint.kind === 'rule') fires = stop.ruleId === breakpoint.rule;
+            if (breakpoint.kind === 'condition') {
+                const holds = this.safeEvaluate(breakpoint.condition, stop.state, true).value === true;
+                fires = holds && !breakpoint.holds;
+                breakpoint.holds = holds;
+            }
+            if (fires && !hit) hit = { index: index + 1, breakpoint };
+        });
+        return hit;
+    }
+
+    safeEvaluate(expression, state, condition = false) {
+        try {
+            const value = condition
+                ? this.expressions.evaluateCondition(expression, state)
+                : this.expressions.evaluate(expression, state);
+            return { value };
+        } catch (error) {
+            return { error: error.reason || error.message };
+        }
+    }
+
+    printStop(stop, hit) {
+        const { step } = stop;
+        const target = stop.ruleId ? ` ${stop.ruleId}` : '';
+        const reason = hit ? `  [breakpoint ${hit.index}: ${hit.breakpoint.spec}]` : '';
+        const source = step.source ? ` · ${step.source.file}:${step.source.line}:${step.source.column}` : '';
+        this.write(`\n⏸️  Before tick ${stop.tick} · iteration ${stop.iteration} · ${step.primitive}${target} (${step.id})${source}${reason}`);
+
+        if (stop.previous) {
+            const previous = stop.previous;
+            this.write(`   Last: tick ${previous.tick} ${previous.primitive}${previous.ruleId ? ` ${previous.ruleId}` : ''} → ${formatValue(previous.output)}`);
+        }
+
+        const changes = this.diff(this.lastStopState, stop.state);
+        this.lastStopState = stop.state;
+        if (changes.length) {
+            this.write('   Changed since last stop:');
+            changes.forEach(({ field, before, after }) => this.write(`     ~ ${field}: ${before} → ${after}`));
+        }
+
+        if (this.watches.length) {
+            this.write('   Watch:');
+            this.watches.forEach((expression, index) => {
+                const { value, error } = this.safeEvaluate(expression, stop.state);
+                this.write(`     ${index + 1}. ${expression} = ${error ? `⚠️ ${error}` : formatValue(value)}`);
+            });
+        }
+
+        if (this.dumpState) {
+            this.write(JSON.stringify(stop.state, null, 2));
+        }
+    }
+
+    diff(before, after) {
+        if (!before) return [];
+        const a = leafValues(before);
+        const b = leafValues(after);
+        const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+        // An empty object that gained fields is not a change of its own
+        const isParent = field => fields.some(other => other.startsWith(`${field}.`));
+        return fields
+            .filter(field => a[field] !== b[field] && !isParent(field))
+            .sort()
+            .map(field => ({ field, before: a[field] ?? 'undefined', after: b[field] ?? 'undefined' }));
+    }
+
+    /**
+     * Read commands until one resumes the run. End of input detaches.
+     */
+    async prompt(stop) {
+        for (;;) {
+            this.output.write('(kern) ');
+            const { value: line, done } = await this.lines.next();
+            if (done) {
+                this.write('\n👋 Input closed, detaching');
+                this.detached = true;
+                return;
+            }
+
+            const [command = '', ...args] = line.trim().split(/\s+/);
+            const rest = line.trim().slice(command.length).trim();
+            try {
+                if (this.runCommand(command, args, rest, stop)) return;
+            } catch (error) {
+                this.write(`❌ ${error.reason || error.message}`);
+            }
+        }
+    }
+
+    /**
+     * @returns {boolean} true when the command resumes the run
+     */
+    runCommand(command, args, rest, stop) {
+        switch (command) {
+            case 's':
+            case 'step': {
+                const count = args.length ? Number(args[0]) : 1;
+                if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid step count '${args[0]}'`);
+                this.stepping = true;
+                this.stepsLeft = count;
+                return true;
+            }
+
+            case 'c':
+            case 'continue':
+                this.stepping = false;
+                return true;
+
+            case 'b':
+            case 'break':
+                if (rest) {
+                    const breakpoint = this.addBreakpoint(rest);
+                    this.write(`🔴 Breakpoint ${this.breakpoints.length}: ${breakpoint.spec}`);
+                } else {
+                    this.list('Breakpoints', this.breakpoints.map(breakpoint => breakpoint.spec));
+                }
+                return false;
+
+            case 'd':
+            case 'delete':
+                this.breakpoints.splice(this.indexArgument(args[0], this.breakpoints), 1);
+                return false;
+
+            case 'w':
+            case 'watch':
+                if (rest) {
+                    this.addWatch(rest);
+                    const { value, error } = this.safeEvaluate(rest, stop.state);
+                    this.write(`👁️  ${this.watches.length}. ${rest} = ${error ? `⚠️ ${error}` : formatValue(value)}`);
+                } else {
+                    this.list('Watches', this.watches);
+                }
+                return false;
+
+            case 'unwatch':
+                this.watches.splice(this.indexArgument(args[0], this.watches), 1);
+                return false;
+
+            case 'p':
+            case 'print': {
+                const { value, error } = this.safeEvaluate(rest, stop.state);
+                this.write(error ? `⚠️ ${error}` : JSON.stringify(value, null, 2) ?? 'undefined');
+                return false;
+            }
+
+            case 'set': {
+                const [field] = args;
+                const text = rest.slice(field ? field.length : 0).trim();
+                if (!field || !text) throw new Error('Usage: set <field> <json value>');
+                let value;
+                try {
+                    value = JSON.parse(text);
+                } catch {
+                    value = text;
+                }
+                stop.setField(field, value);
+                this.setLocal(stop.state, field, value);
+                this.write(`✏️  ${field} = ${formatValue(value)}`);
+                return false;
+            }
+
+            case 'state':
+                this.write(JSON.stringify(args[0] ? readField(stop.state, args[0]) : stop.state, null, 2) ?? 'undefined');
+                return false;
+
+            case 'q':
+            case 'quit':
+                this.detached = true;
+                return true;
+
+            case '':
+                return false;
+
+            case 'h':
+            case 'help':
+                this.write(HELP);
+                return false;
+
+            default:
+                throw new Error(`Unknown command '${command}' (h for help)`);
+        }
+    }
+
+    // Mirror an edit in the stop's state copy so print/watch see it before resuming
+    setLocal(state, field, value) {
+        const keys = field.split('.');
+        let object = state;
+        for (const key of keys.slice(0, -1)) {
+            if (object[key] === null || typeof object[key] !== 'object') object[key] = {};
+            object = object[key];
+        }
+        object[keys[keys.length - 1]] = value;
+    }
+
+    indexArgument(arg, list) {
+        const index = Number(arg) - 1;
+        if (!Number.isInteger(index) || index < 0 || index >= list.length) {
+            throw new Error(`No entry ${arg}`);
+        }
+        return index;
+    }
+
+    list(title, entries) {
+        if (entries.length === 0) {
+            this.write(`${title}: none`);
+            return;
+        }
+        this.write(`${title}:`);
+        entries.forEach((entry, index) => this.write(`  ${index + 1}. ${entry}`));
+    }
+
+    write(text) {
+        this.output.write(`${text}\n`);
+    }
+}
+
+module.exports = KernDebugger;
@@ -0,0 +1,517 @@
+/**
+ * 🗂️ KERN Decision Tables
+ * `decision_table:` rules: input columns tested by each row, output columns
+ * the matching rows write, and a DMN hit policy deciding which rows apply.
+ *
+ *   - name: determine_credit_adjustment
+ *     priority: 5
+ *     if: household.credit_score > 0
+ *     decision_table:
+ *       hit_policy: UNIQUE
+ *       inputs: [household.credit_score]
+ *       outputs: [loan.credit_adjustment]
+ *       rows:
+ *         - [">= 760",     -0.5]
+ *         - ["[720..760)", -0.25]
+ *         - ["< 720",      0]
+ *
+ * Input cells:
+ *   -                any value
+ *   < 5, >= 5, ...   comparison with a number
+ *   == x, != x       (in)equality; a bare literal (fha, 42, true) means == x
+ *   [1..5), (1..5]   range of numbers; a square bracket includes the bound
+ *   [fha, va]        one of a set (a YAML sequence)
+ * Output cells are literals or {{ }} templates, as in `then`.
+ *
+ * Hit policies:
+ *   UNIQUE    rows may not overlap; the row that matches applies (default)
+ *   FIRST     the first matching row in table order applies
+ *   PRIORITY  the matching row whose outputs come first in the output
+ *             columns' `values` lists applies
+ *   COLLECT   every matching row applies; each output is the list of their
+ *             values, or one value with `aggregation: SUM | COUNT | MIN | MAX`
+ *
+ * expand() compiles a table rule into plain rules. Each row becomes
+ * `<rule>.row<N>`, whose condition is the rule's `if` and the row's tests
+ * (under FIRST and PRIORITY also that no earlier row it overlaps matches), so
+ * every row is its own RULE_APPLICATOR step. A COLLECT table is one rule
+ * with list or aggregate expressions. When no row matches, nothing is written.
+ *
+ * analyze() splits each input column into atoms: the bounds its cells name
+ * and the open intervals between them, or the values its cells name plus
+ * "any other value". Row overlaps and input combinations no row covers are
+ * computed exactly over those atoms.
+ */
+
+const KernExpressionEngine = require('./kern_expression');
+const KernTemplateResolver = require('./kern_template');
+const { ExpressionError } = KernExpressionEngine;
+
+const HIT_POLICIES = ['UNIQUE', 'FIRST', 'PRIORITY', 'COLLECT'];
+const AGGREGATIONS = ['SUM', 'COUNT', 'MIN', 'MAX'];
+const ORDERING = ['<', '<=', '>', '>='];
+
+// Input combinations enumerated when looking for gaps; bigger tables are not checked
+const MAX_COMBINATIONS = 10000;
+
+// Stands for every value a discrete column's cells do not name
+const OTHER = Symbol('other');
+
+/**
+ * A table that cannot be compiled. `at` is the path inside the
+ * decision_table block, e.g. ['rows', 2, 0].
+ */
+class DecisionTableError extends Error {
+    constructor(message, at = []) {
+        super(message);
+        this.name = 'DecisionTableError';
+        this.at = at;
+    }
+
+    // decision_table.rows[2][0]
+    get location() {
+        return `decision_table${this.at.map(segment => (typeof segment === 'number' ? `[${segment}]` : `.${segment}`)).join('')}`;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A bare cell value: 42, -0.5, true, 'quoted', "quoted" or the text itself
+function parseValue(text) {
+    const trimmed = text.trim();
+    if (/^(['"]).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    if (trimmed !== '' && !Number.isNaN(Number(trimmed))) return Number(trimmed);
+    return trimmed;
+}
+
+// A value as an expression-language literal
+function literal(value) {
+    return JSON.stringify(value);
+}
+
+// The rule's `if` and a row's condition as one condition
+function withGuard(guard, condition) {
+    const text = guard === undefined || guard === null || guard === true ? 'true' : String(guard).trim() || 'true';
+    if (text === 'true') return condition;
+    if (condition === 'true') return text;
+    return `(${text}) && ${condition}`;
+}
+
+class KernDecisionTable {
+    constructor(expressions = new KernExpressionEngine(), templates = new KernTemplateResolver(expressions)) {
+        this.expressions = expressions;
+        this.templates = templates;
+    }
+
+    /**
+     * Parse and check a decision_table block.
+     *
+     * @param {object} options - { ruleName, assignments: the rule's own `then` }
+     * @returns {{ hitPolicy, aggregation, inputs, outputs, rows, match, overlaps, gaps, checked }}
+     *   inputs   - { field, kind: 'range' | 'discrete', values? }
+     *   outputs  - { field, values? }
+     *   rows     - { index, tests: [test | null], outputs: [value], match: expression }
+     *   match    - expression true when any row matches
+     *   overlaps - { rows: [i, j], where } for rows an input matches both of
+     *   gaps     - { where } for input combinations no row matches
+     *   checked  - false when there were too many combinations to look for gaps
+     * @throws DecisionTableError
+     */
+    analyze(table, { ruleName, assignments = {} } = {}) {
+        const hitPolicy = table.hit_policy || 'UNIQUE';
+        if (!HIT_POLICIES.includes(hitPolicy)) {
+            throw new DecisionTableError(`hit_policy must be one of ${HIT_POLICIES.join(', ')}`, ['hit_policy']);
+        }
+        if (table.aggregation !== undefined && hitPolicy !== 'COLLECT') {
+            throw new DecisionTableError('aggregation only applies to COLLECT tables', ['aggregation']);
+        }
+        if (table.aggregation !== undefined && !AGGREGATIONS.includes(table.aggregation)) {
+            throw new DecisionTableError(`aggregation must be one of ${AGGREGATIONS.join(', ')}`, ['aggregation']);
+        }
+
+        const column = (spec, at) => {
+            const { field, values } = typeof spec === 'string' ? { field: spec } : (isPlainObject(spec) ? spec : {});
+            if (typeof field !== 'string' || field.trim() === '') {
+                throw new DecisionTableError('a column is a field path or { field, values }', at);
+            }
+            return { field: field.trim(), ...(Array.isArray(values) ? { values } : {}) };
+        };
+        const inputs = (table.inputs || []).map((spec, k) => column(spec, ['inputs', k]));
+        const outputs = (table.outputs || []).map((spec, k) => column(spec, ['outputs', k]));
+        if (inputs.length === 0 || outputs.length === 0) {
+            throw new DecisionTableError('a decision table needs at least one input and one output column', [inputs.length ? 'outputs' : 'inputs']);
+        }
+        outputs.forEach((output, k) => {
+            if (outputs.findIndex(other => other.field === output.field) !== k) {
+                throw new DecisionTableError(`'${output.field}' is already an output column`, ['outputs', k]);
+            }
+            if (isPlainObject(assignments) && Object.prototype.hasOwnProperty.call(assignments, output.field)) {
+                throw new DecisionTableError(`'${output.field}' is both an output column and a then assignment`, ['outputs', k]);
+            }
+        });
+        if (hitPolicy === 'PRIORITY' && !outputs.some(output => output.values)) {
+            throw new DecisionTableError('a PRIORITY table needs an output column with `values` in priority order', ['outputs']);
+        }
+
+        const rows = (table.rows || []).map((cells, r) => {
+            if (!Array.isArray(cells) || cells.length !== inputs.length + outputs.length) {
+                throw new DecisionTableError(`a row has ${inputs.length} input and ${outputs.length} output cells`, ['rows', r]);
+            }
+            return {
+                index: r,
+                tests: inputs.map((input, k) => this.parseTest(cells[k], ['rows', r, k])),
+                outputs: outputs.map((output, k) => this.parseOutput(cells[inputs.length + k], output, hitPolicy,
+                    table.aggregation, ['rows', r, inputs.length + k], ruleName))
+            };
+        });
+        if (rows.length === 0) {
+            throw new DecisionTableError('a decision table needs at least one row', ['rows']);
+        }
+
+        const columns = inputs.map((input, k) => this.classify(input, rows.map(row => row.tests[k]), k));
+        inputs.forEach((input, k) => { input.kind = columns[k].kind; });
+        rows.forEach(row => {
+            const tests = row.tests.map((test, k) => (test ? this.testExpression(test, inputs[k].field) : null)).filter(Boolean);
+            row.match = tests.length ? tests.join(' && ') : 'true';
+        });
+
+        // Atoms each row's cells match, per column
+        const boxes = rows.map(row => columns.map((info, k) =>
+            new Set(info.atoms.map((atom, a) => (this.matches(row.tests[k], atom) ? a : -1)).filter(a => a >= 0))));
+
+        const overlaps = [];
+        for (let j = 0; j < rows.length; j++) {
+            for (let i = 0; i < j; i++) {
+                const shared = boxes[i].map((atoms, k) => new Set([...atoms].filter(a => boxes[j][k].has(a))));
+                if (shared.every(atoms => atoms.size > 0)) {
+                    overlaps.push({ rows: [i, j], where: this.describe(shared, columns, inputs) });
+                }
+            }
+        }
+
+        const combinations = columns.reduce((product, info) => product * info.atoms.length, 1);
+        const checked = combinations <= MAX_COMBINATIONS;
+        const gaps = checked
+            ? this.merge(this.uncovered(columns, boxes)).map(box => ({ where: this.describe(box, columns, inputs) }))
+            : [];
+
+        const match = rows.some(row => row.match === 'true')
+            ? 'true'
+            : rows.length === 1 ? rows[0].match : rows.map(row => `(${row.match})`).join(' || ');
+
+        return {
+            hitPolicy,
+            ...(table.aggregation ? { aggregation: table.aggregation } : {}),
+            inputs,
+            outputs,
+            rows,
+            match: rows.length === 1 || match === 'true' ? match : `(${match})`,
+            overlaps,
+            gaps,
+            checked
+        };
+    }
+
+    /**
+     * The rules a decision table rule runs as, in the YAML rule shape: one
+     * per row, named `<name>.row<N>`, or one for a COLLECT table. Each has
+     * `row` (its index in `rows`; absent for COLLECT) and the analyzed `table`.
+     * Output assignments come before the rule's own `then`, which can read them.
+     *
+     * @throws DecisionTableError, also for overlapping rows in a UNIQUE table
+     */
+    expand(rule, { name = rule.name } = {}) {
+        const table = this.analyze(rule.decision_table, { ruleName: name, assignments: rule.then });
+        if (table.hitPolicy === 'UNIQUE' && table.overlaps.length) {
+            const { rows: [i, j], where } = table.overlaps[0];
+            throw new DecisionTableError(`rows ${i + 1} and ${j + 1} both match ${where}; the rows of a UNIQUE table may not overlap`, ['rows', j]);
+        }
+
+        const { decision_table: _table, ...base } = rule;
+        return this.compile(table).map(entry => ({
+            ...base,
+            name: entry.row === undefined ? name : `${name}.row${entry.row + 1}`,
+            if: withGuard(rule.if, entry.condition),
+            then: { ...entry.then, ...(isPlainObject(rule.then) ? rule.then : {}) },
+            ...(entry.row === undefined ? {} : { row: entry.row }),
+            table
+        }));
+    }
+
+    // { row?, condition, then } per compiled rule
+    compile(table) {
+        if (table.hitPolicy === 'COLLECT') {
+            return [{ condition: table.match, then: Object.fromEntries(table.outputs.map((output, k) => [output.field, this.collect(table, k)])) }];
+        }
+
+        const order = [...table.rows];
+        if (table.hitPolicy === 'PRIORITY') {
+            const rank = (row) => table.outputs
+                .map((output, k) => (output.values ? output.values.indexOf(row.outputs[k]) : 0));
+            order.sort((a, b) => {
+                const [rankA, rankB] = [rank(a), rank(b)];
+                const k = rankA.findIndex((value, index) => value !== rankB[index]);
+                return k === -1 ? a.index - b.index : rankA[k] - rankB[k];
+            });
+        }
+
+        const overlapping = (i, j) => table.overlaps.some(({ rows }) => rows.includes(i) && rows.includes(j));
+        return order.map((row, position) => {
+            // FIRST / PRIORITY: a row applies only when no row ahead of it that it overlaps matches
+            const shadows = order.slice(0, position)
+                .filter(earlier => overlapping(earlier.index, row.index))
+                .map(earlier => (earlier.match === 'true' ? 'false' : `!(${earlier.match})`));
+            const condition = [row.match, ...shadows].filter(part => part !== 'true').join(' && ') || 'true';
+            return {
+                row: row.index,
+                condition,
+                then: Object.fromEntries(table.outputs.map((output, k) => [output.field, row.outputs[k]]))
+            };
+        });
+    }
+
+    // A COLLECT output as one {{ }} expression over every row
+    collect(table, k) {
+        const value = (row) => this.outputExpression(row.outputs[k]);
+        const when = (row, then, otherwise) => (row.match === 'true' ? then : `(${row.match} ? ${then} : ${otherwise})`);
+        switch (table.aggregation) {
+            case 'SUM':
+                return `{{${table.rows.map(row => when(row, value(row), 0)).join(' + ')}}}`;
+            case 'COUNT':
+                return `{{${table.rows.map(row => when(row, 1, 0)).join(' + ')}}}`;
+            case 'MIN':
+                return `{{Math.min(${table.rows.map(row => when(row, value(row), '1 / 0')).join(', ')})}}`;
+            case 'MAX':
+                return `{{Math.max(${table.rows.map(row => when(row, value(row), '-1 / 0')).join(', ')})}}`;
+            default:
+                return `{{[].concat(${table.rows.map(row => when(row, `[${value(row)}]`, '[]')).join(', ')})}}`;
+        }
+    }
+
+    outputExpression(value) {
+        if (typeof value === 'string' && this.templates.isTemplate(value)) {
+            return `(${this.templates.parse(value)[0].expression})`;
+        }
+        return literal(value);
+    }
+
+    parseTest(cell, at) {
+        if (typeof cell === 'number' || typeof cell === 'boolean') {
+            return { op: '==', value: cell };
+        }
+        if (Array.isArray(cell)) {
+            if (cell.length === 0 || cell.some(value => value === null || typeof value === 'object')) {
+                throw new DecisionTableError('a set of values lists one or more literals', at);
+            }
+            return { op: 'in', values: cell.map(value => (typeof value === 'string' ? parseValue(value) : value)) };
+        }
+        if (typeof cell !== 'string' || cell.trim() === '') {
+            throw new DecisionTableError("an input cell is '-', a test such as '>= 5' or '[1..5)', a literal or a list of literals", at);
+        }
+
+        const text = cell.trim();
+        if (text === '-') return null;
+
+        const range = /^([[(])\s*(.+?)\s*\.\.\s*(.+?)\s*([\])])$/.exec(text);
+        if (range) {
+            const [low, high] = [parseValue(range[2]), parseValue(range[3])];
+            if (typeof low !== 'number' || typeof high !== 'number' || low >= high) {
+                throw new DecisionTableError(`'${text}' is not a range of numbers from low to high`, at);
+            }
+            return { op: 'range', low, high, lowClosed: range[1] === '[', highClosed: range[4] === ']' };
+        }
+
+        const comparison = /^(<=|>=|==|!=|<|>)\s*(.+)$/.exec(text);
+        if (comparison) {
+            const value = parseValue(comparison[2]);
+            if (ORDERING.includes(comparison[1]) && typeof value !== 'number') {
+                throw new DecisionTableError(`'${text}' compares with something that is not a number`, at);
+            }
+            return { op: comparison[1], value };
+        }
+
+        return { op: '==', value: parseValue(text) };
+    }
+
+    parseOutput(cell, output, hitPolicy, aggregation, at, ruleName) {
+        if (cell === null || typeof cell === 'object') {
+            throw new DecisionTableError('an output cell is a literal or a {{ }} template', at);
+        }
+        if (typeof cell === 'string' && this.templates.isTemplate(cell)) {
+            try {
+                const parts = this.templates.parse(cell, { ruleName });
+                if (hitPolicy === 'COLLECT' && (parts.length !== 1 || parts[0].filters.length > 0)) {
+                    throw new DecisionTableError('a COLLECT output is a literal or a single {{ }} expression without filters', at);
+                }
+            } catch (error) {
+                if (error instanceof ExpressionError) throw new DecisionTableError(error.message, at);
+                throw error;
+            }
+            if (output.values) {
+                throw new DecisionTableError(`'${output.field}' lists its values, so its cells must be literals`, at);
+            }
+            return cell;
+        }
+        if (output.values && !output.values.includes(cell)) {
+            throw new DecisionTableError(`${literal(cell)} is not one of the values of '${output.field}'`, at);
+        }
+        if (['SUM', 'MIN', 'MAX'].includes(aggregation) && typeof cell !== 'number') {
+            throw new DecisionTableError(`${aggregation} needs numbers, got ${literal(cell)}`, at);
+        }
+        return cell;
+    }
+
+    /**
+     * A column is a range column when a cell compares or gives a range; its
+     * atoms are then the bounds and the open intervals around them. Otherwise
+     * it is discrete: the values named (or declared) plus "any other value".
+     */
+    classify(input, tests, k) {
+        const present = tests.map((test, r) => ({ test, r })).filter(({ test }) => test);
+        const named = (test) => (test.op === 'in' ? test.values : test.op === 'range' ? [test.low, test.high] : [test.value]);
+        const isRange = present.some(({ test }) => test.op === 'range' || ORDERING.includes(test.op));
+
+        if (isRange) {
+            if (input.values) {
+                throw new DecisionTableError('`values` only applies to columns compared by equality', ['inputs', k]);
+            }
+            const bounds = new Set();
+            for (const { test, r } of present) {
+                for (const value of named(test)) {
+                    if (typeof value !== 'number') {
+                        throw new DecisionTableError(`${literal(value)} is not a number, and '${input.field}' is compared as one`, ['rows', r, k]);
+                    }
+                    bounds.add(value);
+                }
+            }
+            const sorted = [...bounds].sort((a, b) => a - b);
+            const atoms = [sorted[0] - 1];
+            sorted.forEach((bound, b) => {
+                atoms.push(bound, b + 1 < sorted.length ? (bound + sorted[b + 1]) / 2 : bound + 1);
+            });
+            return { kind: 'range', atoms, bounds: sorted };
+        }
+
+        const values = input.values ? [...input.values] : [];
+        for (const { test, r } of present) {
+            for (const value of named(test)) {
+                if (input.values && !input.values.includes(value)) {
+                    throw new DecisionTableError(`${literal(value)} is not one of the values of '${input.field}'`, ['rows', r, k]);
+                }
+                if (!values.includes(value)) values.push(value);
+            }
+        }
+        return { kind: 'discrete', atoms: input.values ? values : [...values, OTHER] };
+    }
+
+    matches(test, value) {
+        if (!test) return true;
+        switch (test.op) {
+            case 'in': return test.values.includes(value);
+            case '==': return value === test.value;
+            case '!=': return value !== test.value;
+            case '<': return value < test.value;
+            case '<=': return value <= test.value;
+            case '>': return value > test.value;
+            case '>=': return value >= test.value;
+            case 'range':
+                return (test.lowClosed ? value >= test.low : value > test.low) &&
+                    (test.highClosed ? value <= test.high : value < test.high);
+            default:
+                return false;
+        }
+    }
+
+    testExpression(test, field) {
+        switch (test.op) {
+            case 'in':
+                return test.values.length === 1
+                    ? `${field} == ${literal(test.values[0])}`
+                    : `(${test.values.map(value => `${field} == ${literal(value)}`).join(' || ')})`;
+            case 'range':
+                return `${field} ${test.lowClosed ? '>=' : '>'} ${test.low} && ${field} ${test.highClosed ? '<=' : '<'} ${test.high}`;
+            default:
+                return `${field} ${test.op} ${literal(test.value)}`;
+        }
+    }
+
+    // Every atom combination no row box contains, each as a box of single atoms
+    uncovered(columns, boxes) {
+        const gaps = [];
+        const combination = columns.map(() => 0);
+        for (;;) {
+            if (!boxes.some(box => box.every((atoms, k) => atoms.has(combination[k])))) {
+                gaps.push(combination.map(a => new Set([a])));
+            }
+            let k = columns.length - 1;
+            while (k >= 0 && ++combination[k] === columns[k].atoms.length) {
+                combination[k] = 0;
+                k--;
+            }
+            if (k < 0) return gaps;
+        }
+    }
+
+    // Union boxes that differ in one column only, so a gap reads as ranges
+    merge(boxes) {
+        let merged = boxes;
+        for (let pass = 0; pass < 2; pass++) {
+            for (let column = 0; column < (merged[0] || []).length; column++) {
+                const groups = new Map();
+                for (const box of merged) {
+                    const key = box.map((atoms, k) => (k === column ? '*' : [...atoms].sort((a, b) => a - b).join(','))).join('|');
+                    const group = groups.get(key);
+                    if (group) {
+                        box[column].forEach(atom => group[column].add(atom));
+                    } else {
+                        groups.set(key, box.map(atoms => new Set(atoms)));
+                    }
+                }
+                merged = [...groups.values()];
+            }
+        }
+        return merged;
+    }
+
+    // "loan.type fha, household.credit_score [580..640)"; columns matching anything are left out
+    describe(box, columns, inputs) {
+        const parts = box
+            .map((atoms, k) => (atoms.size === columns[k].atoms.length ? null : `${inputs[k].field} ${this.describeAtoms(atoms, columns[k])}`))
+            .filter(Boolean);
+        return parts.length ? parts.join(', ') : 'any input';
+    }
+
+    describeAtoms(atoms, info) {
+        if (info.kind === 'discrete') {
+            const names = [...atoms].sort((a, b) => a - b)
+                .map(a => (info.atoms[a] === OTHER ? 'any other value' : String(info.atoms[a])));
+            return names.length === 1 ? names[0] : `[${names.join(', ')}]`;
+        }
+
+        // Range atoms alternate: (-inf, b0), b0, (b0, b1), b1, ..., (bn, inf)
+        const { bounds } = info;
+        const last = 2 * bounds.length;
+        const indices = [...atoms].sort((a, b) => a - b);
+        const runs = [];
+        for (const a of indices) {
+            const run = runs[runs.length - 1];
+            if (run && run[1] === a - 1) run[1] = a; else runs.push([a, a]);
+        }
+        return runs.map(([start, end]) => {
+            if (start === end && start % 2 === 1) return String(bounds[(start - 1) / 2]);
+            const low = start === 0 ? null : start % 2 === 1 ? `[${bounds[(start - 1) / 2]}` : `(${bounds[start / 2 - 1]}`;
+            const high = end === last ? null : end % 2 === 1 ? `${bounds[(end - 1) / 2]}]` : `${bounds[end / 2]})`;
+            if (low === null && high === null) return '-';
+            if (low === null) return `${high.endsWith(']') ? '<=' : '<'} ${high.slice(0, -1)}`;
+            if (high === null) return `${low.startsWith('[') ? '>=' : '>'} ${low.slice(1)}`;
+            return `${low}..${high}`;
+        }).join(' or ');
+    }
+}
+
+module.exports = KernDecisionTable;
+module.exports.DecisionTableError = DecisionTableError;
+module.exports.withGuard = withGuard;
@@ -0,0 +1,47 @@
+/**
+ * 🔌 KERN v3 Engine Loader
+ *
+ * Lets plain Node.js callers use the TypeScript runtime in-process:
+ *
+ *   const { createEngine } = require('./kern_engine');
+ *   const engine = createEngine({ plan: './kern_schemas/mortgage-rules_v3_rulesconfig_kern_plan.json' });
+ *   const { state, proof } = await engine.execute(applicant);
+ *
+ * Requiring this module has no side effects. ts-node is registered once
+ * (transpile-only) when createEngine() is first called, or another runtime
+ * export is first read, instead of starting a ts-node process per record.
+ */
+
+const path = require('path');
+
+const RUNTIME_PATH = path.join(__dirname, '..', 'kern_runtime_v3_full.ts');
+
+// Everything kern_runtime_v3_full.ts exports, loaded on first use
+const RUNTIME_EXPORTS = [
+    'KernRuntimeError', 'validateManifest', 'loadSchemas', 'PrimitiveLibrary', 'KernRuntime',
+    'loadInvariantConfig', 'loadExecutionConfig', 'buildResultDocument'
+];
+
+let runtime = null;
+
+function loadRuntime() {
+    if (!runtime) {
+        if (!process[Symbol.for('ts-node.register.instance')]) {
+            require('ts-node').register({
+                project: path.join(__dirname, '..', 'tsconfig.json'),
+                transpileOnly: true
+            });
+        }
+        runtime = require(RUNTIME_PATH);
+    }
+    return runtime;
+}
+
+function createEngine(config) {
+    return loadRuntime().createEngine(config);
+}
+
+module.exports = { createEngine, loadRuntime };
+for (const name of RUNTIME_EXPORTS) {
+    Object.defineProperty(module.exports, name, { enumerable: true, get: () => loadRuntime()[name] });
+}
@@ -0,0 +1,163 @@
+/**
+ * 🧭 KERN Field Explainer
+ * Answers "why does this field have this value?" from an execution's
+ * provenance: the FieldWrite records in ExecutionOutput.provenance, the
+ * result document or the field_provenance table.
+ *
+ * A field is explained by its last write: the rule, its condition and the
+ * expression, each with the operand values it read. Every operand is then
+ * explained the same way from the latest write before the one that read it,
+ * down to values that came in with the input:
+ *
+ *   approval.status ← determine_final_approval
+ *     approval.dti_status ← check_debt_to_income_limit
+ *       ratios.debt_to_income ← calculate_debt_to_income
+ *         household.combined_income ← ...
+ */
+
+function readField(state, field) {
+    return field.split('.').reduce((value, key) =>
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+            ? value[key] : undefined, state);
+}
+
+function formatValue(value) {
+    if (value === undefined) return 'undefined';
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function shorten(text, max = 120) {
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    return value.length > max ? `${value.slice(0, max - 3)}...` : value;
+}
+
+class KernExplainer {
+    /**
+     * @param {Array} provenance - FieldWrite records, in any order
+     * @param {object} options - { state: final state, for fields no write explains }
+     */
+    constructor(provenance = [], { state } = {}) {
+        this.writes = [...provenance].sort((a, b) => a.seq - b.seq);
+        this.state = state;
+    }
+
+    /**
+     * Derivation tree for a field. Nodes are
+     * { field, value, source: rule|primitive|edit|input, via, write, inputs };
+     * a write already expanded elsewhere in the tree is marked `repeated`.
+     */
+    explain(field, { maxDepth = 20 } = {}) {
+        const write = this.lastWrite(field, Infinity);
+        const stateValue = this.state === undefined ? undefined : readField(this.state, field);
+        if (!write && stateValue === undefined) {
+            throw new Error(`Field '${field}' is not in the final state and was never written`);
+        }
+        const value = this.state === undefined ? this.writtenValue(field, write) : stateValue;
+        return this.node(field, value, write, [], new Set(), 0, maxDepth);
+    }
+
+    /**
+     * Latest write before `beforeSeq` to the field, or to an object containing it
+     */
+    lastWrite(field, beforeSeq) {
+        for (let i = this.writes.length - 1; i >= 0; i--) {
+            const write = this.writes[i];
+            if (write.seq >= beforeSeq) continue;
+            if (write.field === field || field.startsWith(`${write.field}.`)) return write;
+        }
+        return null;
+    }
+
+    writtenValue(field, write) {
+        if (!write) return undefined;
+        return write.field === field ? write.value : readField(write.value, field.slice(write.field.length + 1));
+    }
+
+    node(field, value, write, via, expanded, depth, maxDepth) {
+        const node = { field, value, source: 'input', ...(via.length ? { via } : {}) };
+        if (!write) return { ...node, inputs: [] };
+
+        const { operands, conditionOperands, unset, value: _value, previous, ...summary } = write;
+        node.source = write.action === 'set' ? 'edit' : write.primitive === 'RULE_APPLICATOR' ? 'rule' : 'primitive';
+        node.write = summary;
+        node.inputs = [];
+
+        if (expanded.has(write.seq)) return { ...node, repeated: true };
+        expanded.add(write.seq);
+        if (depth >= maxDepth) return { ...node, truncated: true };
+
+        // The condition ran before any of the step's writes, the expression
+        // just before this one. Seq strictly decreases along a path, so the
+        // recursion always ends.
+        const reads = new Map();
+        const readAt = [['condition', conditionOperands, this.stepStart(write)], ['expression', operands, write.seq]];
+        for (const [role, values, beforeSeq] of readAt) {
+            for (const [name, operandValue] of Object.entries(values || {})) {
+                const writer = this.lastWrite(name, beforeSeq);
+                const key = JSON.stringify([name, writer ? writer.seq : null, operandValue]);
+                const read = reads.get(key) || { name, value: operandValue, writer, via: [] };
+                read.via.push(role);
+                reads.set(key, read);
+            }
+        }
+        for (const read of reads.values()) {
+            node.inputs.push(this.node(read.name, read.value, read.writer, read.via, expanded, depth + 1, maxDepth));
+        }
+        for (const name of unset || []) {
+            node.inputs.push({ field: name, value: undefined, source: 'input', inputs: [] });
+        }
+        return node;
+    }
+
+    // Seq of the first write made by the same step at the same tick
+    stepStart(write) {
+        let seq = write.seq;
+        for (const other of this.writes) {
+            if (other.seq >= seq) break;
+            if (other.tick === write.tick && other.step === write.step) seq = other.seq;
+        }
+        return seq;
+    }
+
+    /**
+     * Render a tree from explain() as indented text
+     */
+    format(tree) {
+        const lines = [];
+        const visit = (node, lead, childLead) => {
+            lines.push(`${lead}${node.field} = ${formatValue(node.value)}  ${this.origin(node)}`);
+            const expanded = node.inputs.length > 0;
+            for (const detail of this.details(node)) {
+                lines.push(`${childLead}${expanded ? '│  ' : '   '}${detail}`);
+            }
+            node.inputs.forEach((input, index) => {
+                const last = index === node.inputs.length - 1;
+                visit(input, `${childLead}${last ? '└─ ' : '├─ '}`, `${childLead}${last ? '   ' : '│  '}`);
+            });
+        };
+        visit(tree, '', '');
+        return lines.join('\n');
+    }
+
+    origin(node) {
+        if (node.source === 'input') return node.value === undefined ? '← not set' : '← input';
+        const { write } = node;
+        const by = node.source === 'rule' ? `rule ${write.ruleId}`
+            : node.source === 'edit' ? `${write.primitive.toLowerCase()} edit`
+            : `${write.primitive}${write.action ? ` ${write.action}` : ''}${write.ruleId ? ` (${write.ruleId})` : ''}`;
+        const marker = node.repeated ? '  (explained above)' : node.truncated ? '  (depth limit)' : '';
+        const at = write.location ? ` · ${write.location}` : '';
+        return `← ${by}${at} · tick ${write.tick} · iteration ${write.iteration}${marker}`;
+    }
+
+    details(node) {
+        if (!node.write || node.repeated) return [];
+        const details = [];
+        if (node.write.condition && node.write.condition !== 'true') details.push(`if   ${shorten(node.write.condition)}`);
+        if (node.write.expression !== undefined) details.push(`then ${shorten(node.write.expression)}`);
+        return details;
+    }
+}
+
+module.exports = KernExplainer;
@@ -0,0 +1,778 @@
+/**
+ * 🧮 KERN Expression Language
+ * Sandboxed tokenizer, parser and interpreter for rule conditions
+ * and {{ }} template expressions.
+ *
+ * Expressions are parsed into an AST and interpreted against the rule
+ * state - nothing is handed to `new Function` or `eval`. The only things
+ * an expression can reach are state fields, the globals whitelisted in
+ * SecurityConstraints.safeGlobals and built-ins supplied by the caller
+ * (e.g. now(), uuid()).
+ *
+ * Supported syntax:
+ *   literals      42, 1.5e3, 'text', "text", true, false, null, undefined, [a, b]
+ *   fields        applicant.annual_income, debts[0].balance
+ *   operators     ! - + * / % + - < > <= >= == != === !== && || ?? ?:
+ *   calls         Math.min(a, b), Number(x), now(), 'abc'.toUpperCase()
+ *
+ * Member access is null-safe: reading a field of a missing object yields
+ * undefined instead of throwing, so a condition over absent data is false.
+ *
+ * Evaluation runs under SecurityConstraints.timeoutMs: the interpreter
+ * checks its deadline as it walks the tree and after every call, and
+ * raises a 'timeout' ExpressionError once it has passed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const PRIMITIVES_SCHEMA_PATH = path.join(__dirname, '..', 'kern_schemas', 'v3_primitives.json');
+
+// Never reachable, whatever the configured blacklist says
+const FORBIDDEN_MEMBERS = new Set([
+    '__proto__', 'constructor', 'prototype',
+    '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+const KEYWORD_LITERALS = new Map([
+    ['true', true],
+    ['false', false],
+    ['null', null],
+    ['undefined', undefined]
+]);
+
+// Members exposed for each entry of SecurityConstraints.safeGlobals.
+// Math.random and Date.now are deliberately absent: they are not deterministic.
+const GLOBAL_DEFINITIONS = {
+    Math: {
+        target: Math,
+        members: ['abs', 'ceil', 'floor', 'round', 'trunc', 'sign', 'min', 'max', 'pow', 'sqrt',
+            'cbrt', 'exp', 'log', 'log10', 'log2', 'hypot', 'PI', 'E', 'LN2', 'LN10', 'SQRT2']
+    },
+    Number: {
+        call: Number,
+        target: Number,
+        members: ['isFinite', 'isInteger', 'isNaN', 'isSafeInteger', 'parseFloat', 'parseInt',
+            'MAX_SAFE_INTEGER', 'MIN_SAFE_INTEGER', 'EPSILON']
+    },
+    String: { call: String },
+    Boolean: { call: Boolean },
+    parseInt: { call: parseInt },
+    parseFloat: { call: parseFloat },
+    Date: { target: Date, members: ['parse', 'UTC'] }
+};
+
+// Methods callable on values produced by an expression
+const VALUE_METHODS = {
+    string: ['toUpperCase', 'toLowerCase', 'trim', 'includes', 'startsWith', 'endsWith', 'slice', 'indexOf', 'toString'],
+    number: ['toFixed', 'toPrecision', 'toString'],
+    array: ['includes', 'indexOf', 'join', 'slice', 'concat']
+};
+
+const PUNCTUATORS = [
+    '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']'
+];
+
+const BINARY_PRECEDENCE = [
+    ['??'],
+    ['||'],
+    ['&&'],
+    ['==', '!=', '===', '!=='],
+    ['<', '>', '<=', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+// Nodes evaluated between two deadline checks
+const DEADLINE_CHECK_INTERVAL = 256;
+
+/**
+ * Error raised for parse, security, evaluation and timeout failures.
+ * Carries the rule name and character position of the offending token.
+ */
+class ExpressionError extends Error {
+    constructor(message, { expression, position, ruleName, kind = 'parse' } = {}) {
+        const rulePrefix = ruleName ? `Rule '${ruleName}': ` : '';
+        const location = position !== undefined ? ` at position ${position}` : '';
+        super(`${rulePrefix}${message}${location}`);
+        this.name = 'ExpressionError';
+        this.kind = kind;
+        this.reason = message;
+        this.expression = expression;
+        this.position = position;
+        this.ruleName = ruleName;
+    }
+}
+
+/**
+ * Reference to a whitelisted global or built-in function.
+ * Never escapes as an expression result.
+ */
+class GlobalRef {
+    constructor(name, fn, members = {}) {
+        this.name = name;
+        this.fn = fn;
+        this.members = members;
+    }
+}
+
+// Direct sub-expressions of an AST node, for walks that visit every node
+function childNodes(node) {
+    switch (node.type) {
+        case 'Member':
+            return node.computed ? [node.object, node.property] : [node.object];
+        case 'Call':
+            return [node.callee, ...node.args];
+        case 'Array':
+            return node.elements;
+        case 'Unary':
+            return [node.argument];
+        case 'Logical':
+        case 'Binary':
+            return [node.left, node.right];
+        case 'Conditional':
+            return [node.test, node.consequent, node.alternate];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Load SecurityConstraints defaults from v3_primitives.json
+ */
+function loadSecurityDefaults(schema = null) {
+    try {
+        const primitivesSchema = schema || JSON.parse(fs.readFileSync(PRIMITIVES_SCHEMA_PATH, 'utf8'));
+        const properties = primitivesSchema.$defs.SecurityConstraints.properties;
+        const defaults = {};
+        for (const [key, definition] of Object.entries(properties)) {
+            if (definition.default !== undefined) defaults[key] = definition.default;
+        }
+        return defaults;
+    } catch (error) {
+        throw new Error(`Unable to load SecurityConstraints from v3_primitives.json: ${error.message}`);
+    }
+}
+
+class KernExpressionEngine {
+    /**
+     * @param {object} constraints - SecurityConstraints overrides (maxLength, safeGlobals, blacklist)
+     * @param {object} options - { schema: primitives schema, maxConditionLength }
+     */
+    constructor(constraints = {}, options = {}) {
+        const defaults = loadSecurityDefaults(options.schema);
+        this.constraints = { ...defaults, ...constraints };
+        this.maxConditionLength = options.maxConditionLength || this.constraints.maxLength;
+        this.blacklist = new Set(this.constraints.blacklist || []);
+        this.globals = this.buildGlobals(this.constraints.safeGlobals || []);
+        this.cache = new Map();
+    }
+
+    buildGlobals(safeGlobals) {
+        const globals = new Map();
+        for (const name of safeGlobals) {
+            const definition = GLOBAL_DEFINITIONS[name];
+            if (!definition) continue;
+
+            const members = {};
+            for (const member of definition.members || []) {
+                const value = definition.target[member];
+                members[member] = typeof value === 'function'
+                    ? new GlobalRef(`${name}.${member}`, value)
+                    : value;
+            }
+            globals.set(name, new GlobalRef(name, definition.call || null, members));
+        }
+        return globals;
+    }
+
+    // ================================================================
+    // TOKENIZER
+    // ================================================================
+
+    tokenize(expression, ruleName) {
+        const tokens = [];
+        let pos = 0;
+
+        const fail = (message, position) => {
+            throw new ExpressionError(message, { expression, position, ruleName });
+        };
+
+        while (pos < expression.length) {
+            const ch = expression[pos];
+
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
+
+            // Numbers: 42, 3.14, .5, 1e-3
+            if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(expression[pos + 1] || ''))) {
+                const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(expression.slice(pos));
+                tokens.push({ type: 'number', value: Number(match[0]), pos });
+                pos += match[0].length;
+                continue;
+            }
+
+            if (ch === '"' || ch === "'") {
+                const start = pos;
+                let value = '';
+                pos++;
+                while (pos < expression.length && expression[pos] !== ch) {
+                    if (expression[pos] === '\\') {
+                        const next = expression[pos + 1];
+                        const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+                        if (next === undefined) fail('Unterminated string literal', start);
+                        value += escapes[next] !== undefined ? escapes[next] : next;
+                        pos += 2;
+                    } else {
+                        value += expression[pos++];
+                    }
+                }
+                if (pos >= expression.length) fail('Unterminated string literal', start);
+                pos++;
+                tokens.push({ type: 'string', value, pos: start });
+                continue;
+            }
+
+            if (/[A-Za-z_$]/.test(ch)) {
+                const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(expression.slice(pos));
+                tokens.push({ type: 'identifier', value: match[0], pos });
+                pos += match[0].length;
+                continue;
+            }
+
+            const punctuator = PUNCTUATORS.find(p => expression.startsWith(p, pos));
+            if (punctuator) {
+                tokens.push({ type: 'punct', value: punctuator, pos });
+                pos += punctuator.length;
+                continue;
+            }
+
+            fail(`Unexpected character '${ch}'`, pos);
+        }
+
+        tokens.push({ type: 'eof', value: null, pos: expression.length });
+        return tokens;
+    }
+
+    // ================================================================
+    // PARSER
+    // ================================================================
+
+    /**
+     * Parse an expression into an AST. Results are cached per expression text.
+     */
+    parse(expression, { ruleName, maxLength } = {}) {
+        if (typeof expression !== 'string') {
+            throw new ExpressionError(`Expression must be a string, got ${typeof expression}`, { ruleName });
+        }
+
+        const limit = maxLength || this.constraints.maxLength;
+        if (limit && expression.length > limit) {
+            throw new ExpressionError(`Expression length ${expression.length} exceeds maxLength ${limit}`, {
+                expression, ruleName, kind: 'security'
+            });
+        }
+
+        if (this.cache.has(expression)) {
+            return this.cache.get(expression);
+        }
+
+        const tokens = this.tokenize(expression, ruleName);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isPunct = (value) => peek().type === 'punct' && peek().value === value;
+        const fail = (message, token = peek(), kind = 'parse') => {
+            throw new ExpressionError(message, { expression, position: token.pos, ruleName, kind });
+        };
+        const describe = (token) => token.type === 'eof' ? 'end of expression' : `token '${token.value}'`;
+        const expect = (value) => {
+            if (!isPunct(value)) fail(`Expected '${value}' but found ${describe(peek())}`);
+            return next();
+        };
+        const checkName = (token) => {
+            if (this.blacklist.has(token.value) || FORBIDDEN_MEMBERS.has(token.value)) {
+                fail(`Forbidden identifier '${token.value}'`, token, 'security');
+            }
+        };
+
+        const parseConditional = () => {
+            const test = parseBinary(0);
+            if (!isPunct('?')) return test;
+            const token = next();
+            const consequent = parseConditional();
+            expect(':');
+            const alternate = parseConditional();
+            return { type: 'Conditional', test, consequent, alternate, pos: token.pos };
+        };
+
+        const parseBinary = (level) => {
+            if (level >= BINARY_PRECEDENCE.length) return parseUnary();
+
+            let left = parseBinary(level + 1);
+            while (peek().type === 'punct' && BINARY_PRECEDENCE[level].includes(peek().value)) {
+                const token = next();
+                const right = parseBinary(level + 1);
+                const type = ['&&', '||', '??'].includes(token.value) ? 'Logical' : 'Binary';
+                left = { type, operator: token.value, left, right, pos: token.pos };
+            }
+            return left;
+        };
+
+        const parseUnary = () => {
+            if (isPunct('!') || isPunct('-') || isPunct('+')) {
+                const token = next();
+                return { type: 'Unary', operator: token.value, argument: parseUnary(), pos: token.pos };
+            }
+            return parsePostfix();
+        };
+
+        const parsePostfix = () => {
+            let node = parsePrimary();
+
+            while (true) {
+                if (isPunct('.')) {
+                    next();
+                    const token = next();
+                    if (token.type !== 'identifier') fail(`Expected property name but found ${describe(token)}`, token);
+                    checkName(token);
+                    node = { type: 'Member', object: node, property: token.value, computed: false, pos: token.pos };
+                } else if (isPunct('[')) {
+                    const token = next();
+                    const property = parseConditional();
+                    expect(']');
+                    node = { type: 'Member', object: node, property, computed: true, pos: token.pos };
+                } else if (isPunct('(')) {
+                    const token = next();
+                    const args = [];
+                    if (!isPunct(')')) {
+                        do {
+                            args.push(parseConditional());
+                        } while (isPunct(',') && next());
+                    }
+                    expect(')');
+                    node = { type: 'Call', callee: node, args, pos: token.pos };
+                } else {
+                    return node;
+                }
+            }
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+
+            if (token.type === 'number' || token.type === 'string') {
+                return { type: 'Literal', value: token.value, pos: token.pos };
+            }
+
+            if (token.type === 'identifier') {
+                if (KEYWORD_LITERALS.has(token.value)) {
+                    return { type: 'Literal', value: KEYWORD_LITERALS.get(token.value), pos: token.pos };
+                }
+                checkName(token);
+                return { type: 'Identifier', name: token.value, pos: token.pos };
+            }
+
+            if (token.type === 'punct' && token.value === '(') {
+                const inner = parseConditional();
+                expect(')');
+                return inner;
+            }
+
+            if (token.type === 'punct' && token.value === '[') {
+                const elements = [];
+                if (!isPunct(']')) {
+                    do {
+                        elements.push(parseConditional());
+                    } while (isPunct(',') && next());
+                }
+                expect(']');
+                return { type: 'Array', elements, pos: token.pos };
+            }
+
+            return fail(`Unexpected ${describe(token)}`, token);
+        };
+
+        const ast = parseConditional();
+        if (peek().type !== 'eof') {
+            fail(`Unexpected ${describe(peek())}`);
+        }
+
+        this.cache.set(expression, ast);
+        return ast;
+    }
+
+    // ================================================================
+    // STATIC ANALYSIS
+    // ================================================================
+
+    /**
+     * List the state field paths an expression reads, e.g.
+     * "a.b > 0 && Math.min(c, d[0].e)" -> ["a.b", "c", "d"].
+     * Globals, called built-ins and method names are not fields.
+     */
+    fieldReferences(expression, options = {}) {
+        const fields = new Set();
+        this.collectReferences(this.parse(expression, options), fields);
+        return [...fields].sort();
+    }
+
+    collectReferences(node, fields) {
+        switch (node.type) {
+            case 'Identifier':
+            case 'Member': {
+                const fieldPath = this.memberPath(node, fields);
+                if (fieldPath) fields.add(fieldPath);
+                return;
+            }
+
+            case 'Call':
+                // Method calls read the receiver; bare callees are built-ins
+                if (node.callee.type === 'Member') this.collectReferences(node.callee.object, fields);
+                node.args.forEach(arg => this.collectReferences(arg, fields));
+                return;
+
+            case 'Array':
+                node.elements.forEach(element => this.collectReferences(element, fields));
+                return;
+
+            case 'Unary':
+                this.collectReferences(node.argument, fields);
+                return;
+
+            case 'Logical':
+            case 'Binary':
+                this.collectReferences(node.left, fields);
+                this.collectReferences(node.right, fields);
+                return;
+
+            case 'Conditional':
+                this.collectReferences(node.test, fields);
+                this.collectReferences(node.consequent, fields);
+                this.collectReferences(node.alternate, fields);
+                return;
+
+            default:
+                return;
+        }
+    }
+
+    // Dotted path of a static member chain, truncated at the first computed access
+    memberPath(node, fields) {
+        if (node.type === 'Identifier') {
+            return this.globals.has(node.name) ? null : node.name;
+        }
+        if (node.type !== 'Member') {
+            this.collectReferences(node, fields);
+            return null;
+        }
+
+        const objectPath = this.memberPath(node.object, fields);
+        if (node.computed) {
+            if (objectPath) fields.add(objectPath);
+            this.collectReferences(node.property, fields);
+            return null;
+        }
+        return objectPath ? `${objectPath}.${node.property}` : null;
+    }
+
+    /**
+     * List the calls an expression makes and whether the interpreter would
+     * run them: whitelisted globals and their members, value methods, and
+     * the caller-supplied built-ins named in `functions`, e.g.
+     * "Math.min(a, b) + foo(c)" -> [{ name: 'Math.min', allowed: true, position: 8 },
+     *   { name: 'foo', allowed: false, position: 20 }].
+     * Value methods are named '.method'; their receiver type is only known
+     * at evaluation time, so any VALUE_METHODS entry counts as allowed.
+     */
+    functionCalls(expression, { functions = [], ...options } = {}) {
+        const calls = [];
+        const visit = (node) => {
+            if (node.type === 'Call') calls.push({ ...this.describeCall(node.callee, functions), position: node.pos });
+            childNodes(node).forEach(visit);
+        };
+        visit(this.parse(expression, options));
+        return calls;
+    }
+
+    describeCall(callee, functions) {
+        if (callee.type === 'Identifier') {
+            const global = this.globals.get(callee.name);
+            return { name: callee.name, allowed: functions.includes(callee.name) || Boolean(global && global.fn) };
+        }
+        if (callee.type === 'Member' && !callee.computed) {
+            if (callee.object.type === 'Identifier' && this.globals.has(callee.object.name)) {
+                const member = this.globals.get(callee.object.name).members[callee.property];
+                return { name: `${callee.object.name}.${callee.property}`, allowed: member instanceof GlobalRef };
+            }
+            const allowed = Object.values(VALUE_METHODS).some(methods => methods.includes(callee.property));
+            return { name: `.${callee.property}`, allowed };
+        }
+        return { name: '(computed)', allowed: false };
+    }
+
+    /**
+     * Split a condition into its top-level && terms, e.g.
+     * "a > 0 && (b || c) && !d" -> the terms a > 0, b || c and !d, each as
+     * { fields, evaluate(state) }. A term that is falsy makes the whole
+     * condition false, whatever the other terms read.
+     */
+    conditionTerms(condition, options = {}) {
+        const terms = [];
+        const split = (node) => {
+            if (node.type === 'Logical' && node.operator === '&&') {
+                split(node.left);
+                split(node.right);
+                return;
+            }
+            const fields = new Set();
+            this.collectReferences(node, fields);
+            terms.push({
+                fields: [...fields].sort(),
+                evaluate: (state = {}) => {
+                    const budget = this.constraints.timeoutMs;
+                    const scope = { state, functions: {}, expression: condition, ruleName: options.ruleName, budget, steps: 0 };
+                    scope.deadline = budget ? performance.now() + budget : Infinity;
+                    return this.operand(this.evaluateNode(node, scope), node, scope);
+                }
+            });
+        };
+        split(this.parse(condition, options));
+        return terms;
+    }
+
+    // ================================================================
+    // INTERPRETER
+    // ================================================================
+
+    /**
+     * Evaluate an expression against a state object.
+     *
+     * @param {string} expression
+     * @param {object} state - Rule state; only its own properties are visible
+     * @param {object} options - { ruleName, functions: { name: fn } built-ins, maxLength,
+     *   timeoutMs: per-expression budget (defaults to SecurityConstraints.timeoutMs),
+     *   deadline: performance.now() timestamp the evaluation must not run past }
+     */
+    evaluate(expression, state = {}, { ruleName, functions = {}, maxLength, timeoutMs, deadline } = {}) {
+        const ast = this.parse(expression, { ruleName, maxLength });
+        const budget = timeoutMs || this.constraints.timeoutMs;
+        const scope = { state: state || {}, functions, expression, ruleName, budget, steps: 0 };
+        scope.deadline = budget ? performance.now() + budget : Infinity;
+        if (deadline !== undefined && deadline < scope.deadline) {
+            scope.deadline = deadline;
+            scope.budget = null;
+        }
+
+        this.checkDeadline(ast, scope);
+        const value = this.evaluateNode(ast, scope);
+
+        if (value instanceof GlobalRef) {
+            throw new ExpressionError(`'${value.name}' cannot be used as a value`, {
+                expression, position: ast.pos, ruleName, kind: 'evaluation'
+            });
+        }
+        return value;
+    }
+
+    /**
+     * Evaluate a rule condition to a boolean. "true"/empty conditions always pass.
+     */
+    evaluateCondition(condition, state = {}, options = {}) {
+        if (condition === undefined || condition === null || condition === true) return true;
+        if (typeof condition === 'string' && (condition.trim() === '' || condition.trim() === 'true')) return true;
+        const maxLength = Math.min(options.maxLength || Infinity, this.maxConditionLength);
+        return !!this.evaluate(condition, state, { ...options, maxLength });
+    }
+
+    evaluateNode(node, scope) {
+        if (++scope.steps % DEADLINE_CHECK_INTERVAL === 0) {
+            this.checkDeadline(node, scope);
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+
+            case 'Identifier':
+                return this.lookup(node.name, scope);
+
+            case 'Array':
+                return node.elements.map(element => this.evaluateNode(element, scope));
+
+            case 'Member': {
+                const object = this.evaluateNode(node.object, scope);
+                const key = node.computed ? this.evaluateNode(node.property, scope) : node.property;
+                return this.readMember(object, key, node, scope);
+            }
+
+            case 'Call': {
+                const result = this.callNode(node, scope);
+                this.checkDeadline(node, scope);
+                return result;
+            }
+
+            case 'Unary': {
+                const value = this.operand(this.evaluateNode(node.argument, scope), node, scope);
+                if (node.operator === '!') return !value;
+                if (node.operator === '-') return -value;
+                return +value;
+            }
+
+            case 'Logical': {
+                const left = this.operand(this.evaluateNode(node.left, scope), node, scope);
+                if (node.operator === '&&') return left ? this.operand(this.evaluateNode(node.right, scope), node, scope) : left;
+                if (node.operator === '||') return left ? left : this.operand(this.evaluateNode(node.right, scope), node, scope);
+                return left !== null && left !== undefined ? left : this.operand(this.evaluateNode(node.right, scope), node, scope);
+            }
+
+            case 'Binary': {
+                const left = this.operand(this.evaluateNode(node.left, scope), node, scope);
+                const right = this.operand(this.evaluateNode(node.right, scope), node, scope);
+                return this.applyBinary(node.operator, left, right);
+            }
+
+            case 'Conditional':
+                return this.operand(this.evaluateNode(node.test, scope), node, scope)
+                    ? this.evaluateNode(node.consequent, scope)
+                    : this.evaluateNode(node.alternate, scope);
+
+            default:
+                throw this.evaluationError(`Unsupported expression node '${node.type}'`, node, scope);
+        }
+    }
+
+    applyBinary(operator, left, right) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            default: throw new Error(`Unknown operator ${operator}`);
+        }
+    }
+
+    operand(value, node, scope) {
+        if (value instanceof GlobalRef) {
+            throw this.evaluationError(`'${value.name}' cannot be used as a value`, node, scope);
+        }
+        return value;
+    }
+
+    lookup(name, scope) {
+        if (Object.prototype.hasOwnProperty.call(scope.state, name)) {
+            return scope.state[name];
+        }
+        if (Object.prototype.hasOwnProperty.call(scope.functions, name)) {
+            return new GlobalRef(name, scope.functions[name]);
+        }
+        if (this.globals.has(name)) {
+            return this.globals.get(name);
+        }
+        return undefined;
+    }
+
+    readMember(object, key, node, scope) {
+        if (object === null || object === undefined) {
+            return undefined;
+        }
+
+        if (typeof key !== 'string' && typeof key !== 'number') {
+            throw this.evaluationError(`Invalid property key of type ${typeof key}`, node, scope);
+        }
+
+        const name = String(key);
+        if (FORBIDDEN_MEMBERS.has(name) || this.blacklist.has(name)) {
+            throw this.evaluationError(`Forbidden property '${name}'`, node, scope, 'security');
+        }
+
+        if (object instanceof GlobalRef) {
+            if (!Object.prototype.hasOwnProperty.call(object.members, name)) {
+                throw this.evaluationError(`'${object.name}.${name}' is not an allowed global member`, node, scope, 'security');
+            }
+            return object.members[name];
+        }
+
+        if (typeof object === 'string' || Array.isArray(object)) {
+            if (name === 'length') return object.length;
+            return /^\d+$/.test(name) ? object[Number(name)] : undefined;
+        }
+
+        if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, name)) {
+            return object[name];
+        }
+
+        return undefined;
+    }
+
+    callNode(node, scope) {
+        const args = () => node.args.map(arg => this.operand(this.evaluateNode(arg, scope), arg, scope));
+        const { callee } = node;
+
+        if (callee.type === 'Member') {
+            const object = this.evaluateNode(callee.object, scope);
+            const key = callee.computed ? this.evaluateNode(callee.property, scope) : callee.property;
+
+            if (!(object instanceof GlobalRef)) {
+                const kind = Array.isArray(object) ? 'array' : typeof object;
+                const allowed = VALUE_METHODS[kind] || [];
+                if (!allowed.includes(key)) {
+                    throw this.evaluationError(`'${key}' is not a callable method on ${kind}`, node, scope, 'security');
+                }
+                const prototype = kind === 'array' ? Array.prototype : kind === 'string' ? String.prototype : Number.prototype;
+                return prototype[key].apply(object, args());
+            }
+
+            return this.invoke(this.readMember(object, key, callee, scope), args, node, scope);
+        }
+
+        return this.invoke(this.evaluateNode(callee, scope), args, node, scope);
+    }
+
+    invoke(target, args, node, scope) {
+        if (!(target instanceof GlobalRef) || typeof target.fn !== 'function') {
+            const name = target instanceof GlobalRef ? target.name : 'Expression';
+            throw this.evaluationError(`${name} is not a callable function`, node, scope, 'security');
+        }
+        return target.fn(...args());
+    }
+
+    /**
+     * Raise a 'timeout' error once the evaluation deadline has passed.
+     * A null scope.budget means the caller's deadline was the tighter one.
+     */
+    checkDeadline(node, scope) {
+        if (performance.now() < scope.deadline) return;
+        const message = scope.budget
+            ? `Evaluation exceeded timeoutMs ${scope.budget}`
+            : 'Evaluation deadline passed';
+        throw this.evaluationError(message, node, scope, 'timeout');
+    }
+
+    evaluationError(message, node, scope, kind = 'evaluation') {
+        return new ExpressionError(message, {
+            expression: scope.expression,
+            position: node.pos,
+            ruleName: scope.ruleName,
+            kind
+        });
+    }
+}
+
+module.exports = KernExpressionEngine;
+module.exports.ExpressionError = ExpressionError;
+module.exports.loadSecurityDefaults = loadSecurityDefaults;
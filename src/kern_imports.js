@@ -0,0 +1,147 @@
+/**
+ * 📦 KERN Rule Set Imports
+ * Resolves a YAML rule file's `imports:` into one flat list of rules.
+ *
+ *   imports:
+ *     - credit-tiers.yaml                        # rules keep their names
+ *     - { file: shared/fees.yaml, namespace: fees }   # fees.origination_fee
+ *
+ * Paths are relative to the importing file, and imports nest. A namespace
+ * prefixes the names of every rule the import brings in, and the names in
+ * their `dependencies`, so nested namespaces compose (auto.credit.assign_tier).
+ * Field paths are not namespaced.
+ *
+ * Imported rules come first, in import order, then the file's own rules. A
+ * name may only be defined once across imports. An own rule with an imported
+ * rule's name must say `override: true`, and then replaces it in place.
+ * Import cycles, missing files, unmatched overrides and root-only sections in
+ * an imported file (sanitizer, reshape, state_schema, contracts) fail with
+ * the file, line and column of the import or rule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const KernYamlDialect = require('./kern_yaml_dialect');
+
+// Sections that shape the whole run; only the file being converted may set them
+const ROOT_ONLY = ['max_iterations', 'execution_mode', 'conflict_resolution', 'invariant_checking', 'sanitizer', 'reshape', 'state_schema'];
+
+class KernRuleSetResolver {
+    constructor({ dialect = new KernYamlDialect() } = {}) {
+        this.dialect = dialect;
+    }
+
+    /**
+     * @returns {{ document, rules: Array, imports: Array }}
+     *   document - the root file, from dialect.load()
+     *   rules    - { name, rule, index, document, dependencies } in pipeline order;
+     *              name and dependencies are namespaced, rule is the YAML as written
+     *   imports  - { file, namespace?, importedBy, hash, rules } per import, hash
+     *              being the SHA-256 of the imported file's bytes
+     * @throws YamlDialectError
+     */
+    resolve(yamlFilePath) {
+        const imports = [];
+        const root = this.resolveFile(path.resolve(yamlFilePath), [], imports);
+        return { document: root.document, rules: root.rules, imports };
+    }
+
+    /**
+     * Files a rule file imports directly, as absolute paths; [] when it does
+     * not parse (conversion reports that)
+     */
+    importedFiles(yamlFilePath) {
+        const document = this.dialect.check(fs.readFileSync(yamlFilePath, 'utf8'), yamlFilePath);
+        const specs = document.data && Array.isArray(document.data.imports) ? document.data.imports : [];
+        return specs
+            .map(spec => (typeof spec === 'string' ? spec : spec && spec.file))
+            .filter(file => typeof file === 'string')
+            .map(file => path.resolve(path.dirname(yamlFilePath), file));
+    }
+
+    resolveFile(absolutePath, chain, imports) {
+        const text = fs.readFileSync(absolutePath, 'utf8');
+        const document = this.dialect.load(text, this.displayPath(absolutePath));
+        const data = document.data;
+
+        if (chain.length > 0) {
+            const section = ROOT_ONLY.find(key => data[key] !== undefined);
+            if (section) {
+                throw document.error([section], `'${section}' is only read from the rule file being converted, not from an imported one`);
+            }
+        }
+
+        const rules = [];
+        const owners = new Map();
+        (data.imports || []).forEach((spec, index) => {
+            const { file, namespace } = typeof spec === 'string' ? { file: spec } : spec;
+            const target = path.resolve(path.dirname(absolutePath), file);
+            const at = ['imports', index];
+            const importing = [...chain, absolutePath];
+
+            if (importing.includes(target)) {
+                const cycle = [...importing.slice(importing.indexOf(target)), target];
+                throw document.error(at, `import cycle: ${cycle.map(file => this.displayPath(file)).join(' -> ')}`);
+            }
+            if (!fs.existsSync(target)) {
+                throw document.error(at, `imported file not found: ${this.displayPath(target)}`);
+            }
+
+            const imported = this.resolveFile(target, importing, imports);
+            imports.push({
+                file: this.displayPath(target),
+                ...(namespace ? { namespace } : {}),
+                importedBy: document.file,
+                hash: crypto.createHash('sha256').update(fs.readFileSync(target)).digest('hex'),
+                rules: imported.rules.length
+            });
+
+            const qualify = (name) => (namespace ? `${namespace}.${name}` : name);
+            for (const entry of imported.rules) {
+                const name = qualify(entry.name);
+                const existing = owners.get(name);
+                if (existing) {
+                    throw document.error(at, `rule '${name}' is also imported from ${this.citation(existing)}; give one of the imports a namespace`);
+                }
+                const qualified = { ...entry, name, dependencies: entry.dependencies.map(qualify) };
+                owners.set(name, qualified);
+                rules.push(qualified);
+            }
+        });
+
+        data.rules.forEach((rule, index) => {
+            const entry = { name: rule.name, rule, index, document, dependencies: rule.dependencies || [] };
+            const existing = owners.get(rule.name);
+            if (rule.override) {
+                if (!existing) {
+                    throw document.error(['rules', index, 'override'], `no imported rule named '${rule.name}' to override`);
+                }
+                rules[rules.indexOf(existing)] = entry;
+                owners.delete(rule.name);
+                return;
+            }
+            if (existing) {
+                throw document.error(['rules', index, 'name'],
+                    `rule '${rule.name}' is already imported from ${this.citation(existing)}; set override: true to replace it`);
+            }
+            rules.push(entry);
+        });
+
+        return { document, rules };
+    }
+
+    // file:line:column of a resolved rule
+    citation(entry) {
+        const { line, column } = entry.document.locate(['rules', entry.index]);
+        return `${entry.document.file}:${line}:${column}`;
+    }
+
+    // Rule files are cited relative to the working directory, with forward slashes
+    displayPath(absolutePath) {
+        return path.relative(process.cwd(), absolutePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = KernRuleSetResolver;
+module.exports.ROOT_ONLY = ROOT_ONLY;
@@ -0,0 +1,503 @@
+/**
+ * 🛡️ KERN Invariant Engine
+ * Evaluates the validators of a v3_invariant.json instance.
+ *
+ * Step checks look at one primitive's output and run after every step:
+ *   errorVisibility    primitive errors (and, at minErrorLevel warn, empty outputs)
+ *   stateProgress      steps reporting success: false
+ *   consistencyCheck   writes that did not persist (crossFieldValidation)
+ *   monotonicRules     rules re-firing or firing out of priority order
+ *   numericalSanity    NaN / Infinity / precision in the output
+ *
+ * State checks look at the whole state and run at the granularity the
+ * runtime picks from contracts.invariantChecking:
+ *   numericalSanity, boundsValidation, consistencyCheck (typeConsistency),
+ *   stateProgress (stagnation, minChangesPerIteration), flowCoherence,
+ *   dependencyIntegrity, auditContinuity
+ *
+ * Findings use the InvariantViolation shape: { invariant, severity, message, details }.
+ * A state condition that persists across checkpoints is reported once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MnemeLedger = require('./kern_ledger');
+
+const INVARIANT_SCHEMA_PATH = path.join(__dirname, '..', 'kern_schemas', 'v3_invariant.json');
+
+// invariantValidator key → InvariantViolation.invariant enum value
+const INVARIANT_NAMES = {
+    numericalSanity: 'numerical_sanity',
+    boundsValidation: 'bounds_validation',
+    monotonicRules: 'monotonic_rules',
+    stateProgress: 'state_progress',
+    consistencyCheck: 'consistency_check',
+    flowCoherence: 'flow_coherence',
+    dependencyIntegrity: 'dependency_integrity',
+    auditContinuity: 'audit_continuity',
+    errorVisibility: 'error_visibility'
+};
+
+const SEVERITY_RANK = { info: 0, warn: 1, error: 2 };
+
+// Primitives that reshape input on purpose; type changes they make are not drift
+const NORMALIZING_PRIMITIVES = new Set(['CONTEXT_SANITIZER', 'OBJECT_FLATTENER']);
+
+// Output keys that echo values written to state; state checks cover those
+const STATE_WRITE_KEYS = new Set(['updates', 'results', 'newValue', 'sanitized', 'resolved']);
+
+// Used when no instance is configured: the checks the runtime always made
+const DEFAULT_CONFIG = {
+    invariantValidator: {
+        numericalSanity: { enabled: true, tolerance: 1e-12 },
+        stateProgress: { enabled: true },
+        consistencyCheck: { enabled: true },
+        errorVisibility: { enabled: true }
+    }
+};
+
+/**
+ * Per-validator defaults from v3_invariant.json (ValidationRule + each validator's own properties)
+ */
+function loadValidatorDefaults(schema = null) {
+    const invariantSchema = schema || JSON.parse(fs.readFileSync(INVARIANT_SCHEMA_PATH, 'utf8'));
+    const base = {};
+    for (const [key, property] of Object.entries(invariantSchema.$defs.ValidationRule.properties)) {
+        if (property.default !== undefined) base[key] = property.default;
+    }
+
+    const defaults = {};
+    for (const [name, validator] of Object.entries(invariantSchema.properties.invariantValidator.properties)) {
+        defaults[name] = { ...base };
+        for (const [key, property] of Object.entries(validator.properties || {})) {
+            if (property.default !== undefined) defaults[name][key] = property.default;
+        }
+    }
+    return defaults;
+}
+
+// Every leaf of a state as [dotted path, value]; arrays and empty objects are leaves
+function leaves(value, prefix = '', out = []) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        for (const [key, child] of Object.entries(value)) {
+            leaves(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out.push([prefix, value]);
+    }
+    return out;
+}
+
+function readPath(state, fieldPath) {
+    return fieldPath.split('.').reduce((obj, key) => (obj !== null && typeof obj === 'object' ? obj[key] : undefined), state);
+}
+
+function typeName(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+class KernInvariantEngine {
+    /**
+     * @param {object} config - v3_invariant.json instance ({ invariantValidator, contracts })
+     * @param {object} options - { schema: invariant schema, for validator defaults }
+     */
+    constructor(config = DEFAULT_CONFIG, options = {}) {
+        const defaults = loadValidatorDefaults(options.schema);
+        const configured = config.invariantValidator || {};
+        const contracts = config.contracts || {};
+
+        const sequence = contracts.checkSequence || Object.keys(INVARIANT_NAMES);
+        this.validators = {};
+        this.skipped = [];
+        for (const name of sequence) {
+            if (!INVARIANT_NAMES[name]) {
+                throw new Error(`Unknown invariant validator in checkSequence: ${name}`);
+            }
+            const settings = configured[name] ? { ...defaults[name], ...configured[name] } : null;
+            if (settings && settings.enabled !== false) this.validators[name] = settings;
+            else this.skipped.push(name);
+        }
+
+        this.bindings = contracts.primitiveBindings || {};
+        this.failureModes = contracts.failureModes || {};
+
+        // Cross-check state carried between checkpoints
+        this.reported = new Set();
+        this.fieldTypes = null;
+        this.firings = new Map();
+        this.lastPriority = { iteration: 0, priority: -Infinity };
+        this.dependencyCycle = this.validators.dependencyIntegrity
+            ? this.findDependencyCycle(this.validators.dependencyIntegrity.dependencies || {})
+            : null;
+    }
+
+    /**
+     * Validators bound to a primitive (contracts.primitiveBindings plus any
+     * extra bindings, e.g. the manifest's invariantChecks)
+     */
+    boundValidators(primitive, extraBindings = {}) {
+        const names = [...(this.bindings[primitive] || []), ...(extraBindings[primitive] || [])];
+        return [...new Set(names)].filter(name => this.validators[name]);
+    }
+
+    // ================================================================
+    // STEP CHECKS
+    // ================================================================
+
+    /**
+     * @param {object} step - { primitive, ruleName, priority, iteration, input, output, state }
+     * @returns {object} { violations, passed, skipped }
+     */
+    checkStep(step) {
+        return this.run(step, {
+            errorVisibility: () => this.checkErrorVisibility(step),
+            stateProgress: () => this.checkStepProgress(step),
+            consistencyCheck: () => this.checkWritesPersisted(step),
+            monotonicRules: () => this.checkRuleFiring(step),
+            numericalSanity: () => this.checkNumbers(this.outputLeaves(step.output), this.validators.numericalSanity, 'output ')
+        });
+    }
+
+    outputLeaves(output) {
+        if (!output || typeof output !== 'object') return [];
+        return Object.entries(output)
+            .filter(([key]) => !STATE_WRITE_KEYS.has(key))
+            .flatMap(([key, value]) => leaves(value, key));
+    }
+
+    checkErrorVisibility({ primitive, output }) {
+        const settings = this.validators.errorVisibility;
+        if (!settings.requireAuditEntries) return [];
+
+        const findings = [];
+        const minimum = SEVERITY_RANK[settings.minErrorLevel] ?? SEVERITY_RANK.error;
+        if (output && output.error) {
+            findings.push({ message: `Primitive error: ${output.error}`, severity: settings.severity, level: 'error' });
+        }
+        if (!output || (typeof output === 'object' && Object.keys(output).length === 0)) {
+            findings.push({ message: 'Empty output object', severity: 'warn', level: 'warn' });
+        }
+
+        return findings
+            .filter(finding => SEVERITY_RANK[finding.level] >= minimum)
+            .filter(finding => !settings.suppressDuplicates || this.firstReport(`error_visibility:${primitive}:${finding.message}`))
+            .map(({ message, severity }) => ({ message, severity }));
+    }
+
+    checkStepProgress({ output }) {
+        const settings = this.validators.stateProgress;
+        if (settings.requireProgress && output && output.success === false) {
+            return [{ message: `Step made no progress${output.message ? `: ${output.message}` : ''}` }];
+        }
+        return [];
+    }
+
+    checkWritesPersisted({ output, state }) {
+        const settings = this.validators.consistencyCheck;
+        if (!settings.crossFieldValidation || !output) return [];
+
+        const writes = Array.isArray(output.updates) ? output.updates
+            : output.updatedPath ? [{ field: output.updatedPath, value: output.newValue }]
+            : [];
+
+        // Only the last write to a field has to survive the step
+        const finalWrites = new Map(writes.map(write => [write.field, write.value]));
+        const findings = [];
+        for (const [field, value] of finalWrites) {
+            if (JSON.stringify(readPath(state, field)) !== JSON.stringify(value)) {
+                findings.push({ message: `Write to ${field} did not persist`, details: { field, expected: value } });
+            }
+        }
+        return findings;
+    }
+
+    checkRuleFiring({ primitive, ruleName, priority, iteration, output }) {
+        if (primitive !== 'RULE_APPLICATOR' || !output || !output.changedFields) return [];
+
+        const settings = this.validators.monotonicRules;
+        const findings = [];
+        const count = (this.firings.get(ruleName) || 0) + 1;
+        this.firings.set(ruleName, count);
+
+        if (!settings.allowDuplicates && count - 1 > settings.maxDuplicates) {
+            findings.push({
+                message: `Rule ${ruleName} changed state ${count} times`,
+                details: { ruleName, firings: count, maxDuplicates: settings.maxDuplicates }
+            });
+        }
+
+        if (this.lastPriority.iteration !== iteration) {
+            this.lastPriority = { iteration, priority: -Infinity };
+        }
+        if (settings.strictOrdering && typeof priority === 'number') {
+            if (priority < this.lastPriority.priority) {
+                findings.push({
+                    message: `Rule ${ruleName} (priority ${priority}) fired after priority ${this.lastPriority.priority}`,
+                    details: { ruleName, priority, previousPriority: this.lastPriority.priority }
+                });
+            }
+            this.lastPriority.priority = Math.max(this.lastPriority.priority, priority);
+        }
+        return findings;
+    }
+
+    // ================================================================
+    // STATE CHECKS
+    // ================================================================
+
+    /**
+     * @param {object} checkpoint - { state, ledger, convergence, primitive, iterationEnd, loopContinues, iterationBaseline }
+     * @param {string[]} only - restrict to these validators (primitive bindings)
+     * @returns {object} { violations, passed, skipped }
+     */
+    checkState(checkpoint, only = null) {
+        const stateLeaves = leaves(checkpoint.state);
+        return this.run(checkpoint, {
+            numericalSanity: () => this.checkNumbers(stateLeaves, this.validators.numericalSanity, ''),
+            boundsValidation: () => this.checkBounds(stateLeaves),
+            consistencyCheck: () => this.checkTypes(stateLeaves, checkpoint),
+            stateProgress: () => this.checkIterationProgress(stateLeaves, checkpoint),
+            flowCoherence: () => this.checkBalances(checkpoint.state),
+            dependencyIntegrity: () => this.checkDependencies(checkpoint.state),
+            auditContinuity: () => this.checkAudit(checkpoint.ledger || [])
+        }, only, true);
+    }
+
+    checkNumbers(entries, settings, where) {
+        const findings = [];
+        for (const [field, value] of entries) {
+            if (typeof value !== 'number') continue;
+
+            if (Number.isNaN(value)) {
+                if (!settings.allowNaN) findings.push({ message: `NaN in ${where}${field}`, details: { field } });
+            } else if (!Number.isFinite(value)) {
+                if (settings.checkFinite) findings.push({ message: `Non-finite value in ${where}${field}`, details: { field, value: String(value) } });
+            } else if (settings.checkBounds && Number.isInteger(value) && !Number.isSafeInteger(value)) {
+                findings.push({ message: `${where}${field} exceeds the safe integer range`, details: { field, value } });
+            } else if (settings.maxPrecision && value !== 0) {
+                // Float noise within tolerance (relative) is not a precision problem
+                const rounded = Number(value.toPrecision(settings.maxPrecision));
+                if (Math.abs(value - rounded) > settings.tolerance * Math.abs(value)) {
+                    findings.push({
+                        message: `${where}${field} needs more than ${settings.maxPrecision} significant digits`,
+                        details: { field, value, maxPrecision: settings.maxPrecision }
+                    });
+                }
+            }
+        }
+        return findings;
+    }
+
+    checkBounds(entries) {
+        const settings = this.validators.boundsValidation;
+        const fieldBounds = settings.fieldBounds || {};
+        const findings = [];
+
+        const outside = (value, bounds) => {
+            const inclusive = bounds.inclusive !== false;
+            const tolerance = settings.tolerance || 0;
+            if (bounds.min !== undefined && (inclusive ? value < bounds.min - tolerance : value <= bounds.min - tolerance)) return true;
+            if (bounds.max !== undefined && (inclusive ? value > bounds.max + tolerance : value >= bounds.max + tolerance)) return true;
+            return false;
+        };
+
+        for (const [field, value] of entries) {
+            if (typeof value !== 'number' || Number.isNaN(value)) continue;
+            const bounds = fieldBounds[field] || settings.globalBounds;
+            if (bounds && outside(value, bounds)) {
+                findings.push({ message: `${field} = ${value} is outside [${bounds.min ?? '-∞'}, ${bounds.max ?? '∞'}]`, details: { field, value, bounds } });
+            }
+        }
+        return findings;
+    }
+
+    checkTypes(entries, { primitive }) {
+        const settings = this.validators.consistencyCheck;
+        const types = new Map(entries.map(([field, value]) => [field, typeName(value)]));
+        const previous = this.fieldTypes;
+        this.fieldTypes = types;
+
+        if (!settings.typeConsistency || !previous || NORMALIZING_PRIMITIVES.has(primitive)) return [];
+
+        const findings = [];
+        for (const [field, type] of types) {
+            const before = previous.get(field);
+            if (before && before !== type && before !== 'null' && type !== 'null') {
+                findings.push({ message: `${field} changed type from ${before} to ${type}`, details: { field, from: before, to: type } });
+            }
+        }
+        return findings;
+    }
+
+    checkIterationProgress(entries, { convergence, iterationEnd, loopContinues, iterationBaseline }) {
+        const settings = this.validators.stateProgress;
+        const findings = [];
+
+        if (convergence && convergence.stagnationCount >= settings.stagnationThreshold) {
+            findings.push({
+                message: `State repeated ${convergence.stagnationCount} times without converging`,
+                details: { stagnationCount: convergence.stagnationCount, stagnationThreshold: settings.stagnationThreshold }
+            });
+        }
+
+        // A pass that will be repeated should still be moving the state
+        if (iterationEnd && loopContinues && iterationBaseline) {
+            const current = new Map(entries.map(([field, value]) => [field, JSON.stringify(value)]));
+            const baseline = new Map(leaves(iterationBaseline).map(([field, value]) => [field, JSON.stringify(value)]));
+            const fields = new Set([...current.keys(), ...baseline.keys()]);
+            const changed = [...fields].filter(field => current.get(field) !== baseline.get(field)).length;
+            if (changed < settings.minChangesPerIteration) {
+                findings.push({
+                    message: `Iteration ${convergence.iterations} changed ${changed} fields (minimum ${settings.minChangesPerIteration})`,
+                    details: { changed, minChangesPerIteration: settings.minChangesPerIteration },
+                    once: false
+                });
+            }
+        }
+        return findings;
+    }
+
+    checkBalances(state) {
+        const settings = this.validators.flowCoherence;
+        const findings = [];
+
+        for (const [total, parts] of Object.entries(settings.balances || {})) {
+            const totalValue = readPath(state, total);
+            if (totalValue === undefined) continue;
+
+            const partValues = parts.map(part => readPath(state, part));
+            const missing = parts.filter((part, index) => typeof partValues[index] !== 'number' || !Number.isFinite(partValues[index]));
+            if (missing.length) {
+                if (settings.validateCalculations) {
+                    findings.push({ message: `${total} is set but ${missing.join(', ')} are not numbers`, details: { total, missing } });
+                }
+                continue;
+            }
+
+            const sum = partValues.reduce((a, b) => a + b, 0);
+            if (settings.balanceCheck && Math.abs(totalValue - sum) > settings.tolerance) {
+                findings.push({
+                    message: `${total} = ${totalValue} does not equal ${parts.join(' + ')} = ${sum}`,
+                    details: { total, value: totalValue, parts, sum, tolerance: settings.tolerance }
+                });
+            }
+        }
+        return findings;
+    }
+
+    checkDependencies(state) {
+        const settings = this.validators.dependencyIntegrity;
+        const findings = [];
+
+        if (this.dependencyCycle) {
+            findings.push({ message: `Dependency cycle: ${this.dependencyCycle.join(' -> ')}`, details: { cycle: this.dependencyCycle } });
+        }
+
+        for (const [field, required] of Object.entries(settings.dependencies || {})) {
+            if (readPath(state, field) === undefined) continue;
+            const missing = required.filter(dependency => readPath(state, dependency) === undefined);
+            if (missing.length) {
+                findings.push({ message: `${field} is set without ${missing.join(', ')}`, details: { field, missing } });
+            }
+        }
+        return findings;
+    }
+
+    findDependencyCycle(dependencies) {
+        const visiting = [];
+        const done = new Set();
+
+        const visit = (field) => {
+            if (done.has(field)) return null;
+            const index = visiting.indexOf(field);
+            if (index !== -1) return [...visiting.slice(index), field];
+
+            visiting.push(field);
+            for (const dependency of dependencies[field] || []) {
+                const cycle = visit(dependency);
+                if (cycle) return cycle;
+            }
+            visiting.pop();
+            done.add(field);
+            return null;
+        };
+
+        if (!this.validators.dependencyIntegrity.circularDependencyCheck) return null;
+        for (const field of Object.keys(dependencies)) {
+            const cycle = visit(field);
+            if (cycle) return cycle;
+        }
+        return null;
+    }
+
+    checkAudit(entries) {
+        const settings = this.validators.auditContinuity;
+        const findings = [];
+
+        if (settings.checkTimeline) {
+            for (let index = 1; index < entries.length; index++) {
+                const gap = Date.parse(entries[index].timestamp) - Date.parse(entries[index - 1].timestamp);
+                if (gap < 0) {
+                    findings.push({ message: `Ledger entry ${index} is timestamped before entry ${index - 1}`, details: { index } });
+                } else if (gap > settings.maxTimeGapMs) {
+                    findings.push({ message: `Ledger gap of ${gap}ms before entry ${index}`, details: { index, gapMs: gap } });
+                }
+            }
+        }
+
+        if (settings.requireChainIntegrity) {
+            const validation = MnemeLedger.verify(entries);
+            if (!validation.valid) {
+                const [first] = validation.errors;
+                findings.push({ message: `Ledger chain broken at index ${first.index}: ${first.message}`, details: first });
+            }
+        }
+        return findings;
+    }
+
+    // ================================================================
+    // BOOKKEEPING
+    // ================================================================
+
+    run(context, checks, only = null, stateLevel = false) {
+        const violations = [];
+        let passed = 0;
+        let skipped = 0;
+
+        for (const [name, check] of Object.entries(checks)) {
+            if (!this.validators[name] || (only && !only.includes(name))) {
+                skipped++;
+                continue;
+            }
+
+            const findings = check().filter(finding =>
+                !stateLevel || finding.once === false || this.firstReport(`${name}:${finding.message}`));
+            if (findings.length === 0) {
+                passed++;
+                continue;
+            }
+
+            for (const finding of findings) {
+                violations.push({
+                    invariant: INVARIANT_NAMES[name],
+                    severity: finding.severity || this.validators[name].severity,
+                    message: finding.message,
+                    ...(finding.details ? { details: finding.details } : {})
+                });
+            }
+        }
+        return { violations, passed, skipped };
+    }
+
+    firstReport(key) {
+        if (this.reported.has(key)) return false;
+        this.reported.add(key);
+        return true;
+    }
+}
+
+module.exports = KernInvariantEngine;
+module.exports.INVARIANT_NAMES = INVARIANT_NAMES;
+module.exports.DEFAULT_CONFIG = DEFAULT_CONFIG;
+module.exports.loadValidatorDefaults = loadValidatorDefaults;
@@ -0,0 +1,160 @@
+/**
+ * 🔗 MNEME Ledger
+ * Append-only, hash-chained audit ledger following v3_mnemeledger.json.
+ *
+ * Every entry carries a sequenceNumber and the hash of the entry before it
+ * (prevHash); its own hash covers all other fields, prevHash included. So
+ * editing, reordering or truncating entries breaks the chain at a specific
+ * index, and verify() reports where.
+ */
+
+const crypto = require('crypto');
+const { canonicalHash } = require('./kern_canonical');
+
+// prevHash of the first entry
+const GENESIS_PREV_HASH = '0'.repeat(64);
+
+class MnemeLedger {
+    /**
+     * @param {object} options - { id, version, clock: () => ISO timestamp, idGenerator: () => string }
+     */
+    constructor(options = {}) {
+        this.id = options.id || 'mneme_ledger';
+        this.version = options.version || '1.0.0';
+        this.clock = options.clock || (() => new Date().toISOString());
+        this.idGenerator = options.idGenerator || (() => crypto.randomUUID());
+        this.created = this.clock();
+        this.entries = [];
+    }
+
+    /**
+     * Hash of an entry's content: every field except `hash` itself
+     */
+    static hashEntry(entry) {
+        const { hash, ...content } = entry;
+        return canonicalHash(content);
+    }
+
+    get headHash() {
+        return this.entries.length ? this.entries[this.entries.length - 1].hash : GENESIS_PREV_HASH;
+    }
+
+    /**
+     * Append an entry chained to the current head
+     *
+     * @param {string} operation - LedgerEntry operation (UPDATE, VIOLATION, CONFLICT, ...)
+     * @param {object} payload
+     * @param {object} metadata - { primitive, ruleId, iteration, ... }
+     */
+    append(operation, payload, metadata = {}) {
+        // Snapshot through JSON so later state mutation cannot alter a hashed entry
+        const entry = {
+            id: this.idGenerator(),
+            sequenceNumber: this.entries.length,
+            timestamp: this.clock(),
+            operation,
+            payload: JSON.parse(JSON.stringify(payload ?? {})),
+            metadata: JSON.parse(JSON.stringify(metadata)),
+            prevHash: this.headHash
+        };
+        entry.hash = MnemeLedger.hashEntry(entry);
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * The { ledger: ... } document described by v3_mnemeledger.json
+     */
+    toDocument() {
+        return MnemeLedger.toDocument(this.entries, { id: this.id, version: this.version, created: this.created });
+    }
+
+    static toDocument(entries, { id = 'mneme_ledger', version = '1.0.0', created } = {}) {
+        const operationCounts = {};
+        entries.forEach(entry => {
+            operationCounts[entry.operation] = (operationCounts[entry.operation] || 0) + 1;
+        });
+        const validation = MnemeLedger.verify(entries);
+
+        return {
+            ledger: {
+                id,
+                version,
+                created: created || (entries[0] && entries[0].timestamp),
+                lastModified: entries.length ? entries[entries.length - 1].timestamp : created,
+                entries,
+                ...(entries.length ? {
+                    genesisHash: entries[0].hash,
+                    headHash: entries[entries.length - 1].hash
+                } : {}),
+                stats: {
+                    totalEntries: entries.length,
+                    operationCounts,
+                    integrityStatus: validation.valid ? 'valid' : 'invalid'
+                },
+                validation
+            }
+        };
+    }
+
+    /**
+     * Recompute the chain. Accepts a ledger document, a bare entries array
+     * (the pre-chain format), or anything with an `entries` array. A ledger
+     * document ({ ledger: ... }, as toDocument writes it) must carry its
+     * genesisHash and headHash; without them a truncated chain would verify.
+     *
+     * @returns {object} ChainValidation - { valid, lastValidIndex, errors, timestamp }
+     */
+    static verify(ledger, { timestamp = new Date().toISOString() } = {}) {
+        const doc = ledger && ledger.ledger ? ledger.ledger : ledger;
+        const entries = Array.isArray(doc) ? doc : (doc && doc.entries) || [];
+        const errors = [];
+        let lastValidIndex = -1;
+
+        for (let index = 0; index < entries.length; index++) {
+            const entry = entries[index];
+            const expectedPrev = index === 0 ? GENESIS_PREV_HASH : entries[index - 1].hash;
+
+            if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push({ index, type: 'entry', message: `Entry is ${entry === null ? 'null' : Array.isArray(entry) ? 'an array' : typeof entry}, not an object` });
+            } else if (entry.sequenceNumber !== index) {
+                errors.push({ index, type: 'sequence', message: `Expected sequenceNumber ${index}, found ${entry.sequenceNumber}` });
+            } else if (entry.prevHash !== expectedPrev) {
+                errors.push({ index, type: 'chain', message: `prevHash does not match the hash of entry ${index - 1}` });
+            } else if (MnemeLedger.hashEntry(entry) !== entry.hash) {
+                errors.push({ index, type: 'hash', message: 'Entry content does not match its hash' });
+            }
+
+            if (errors.length) break;
+            lastValidIndex = index;
+        }
+
+        // Document-level anchors catch truncation of the tail or the head
+        if (!errors.length && doc && !Array.isArray(doc)) {
+            const head = entries.length ? entries[entries.length - 1].hash : undefined;
+            const genesis = entries.length ? entries[0].hash : undefined;
+            const anchored = Boolean(ledger.ledger) && entries.length > 0;
+            if (anchored && doc.headHash === undefined) {
+                errors.push({ index: entries.length, type: 'head', message: 'headHash is missing, so truncation cannot be ruled out' });
+            } else if (doc.headHash !== undefined && doc.headHash !== head) {
+                errors.push({ index: entries.length, type: 'head', message: 'headHash does not match the last entry (ledger truncated?)' });
+            }
+            if (anchored && doc.genesisHash === undefined) {
+                errors.push({ index: 0, type: 'genesis', message: 'genesisHash is missing, so truncation cannot be ruled out' });
+            } else if (doc.genesisHash !== undefined && doc.genesisHash !== genesis) {
+                errors.push({ index: 0, type: 'genesis', message: 'genesisHash does not match the first entry' });
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            lastValidIndex,
+            errors,
+            timestamp
+        };
+    }
+}
+
+module.exports = MnemeLedger;
+module.exports.GENESIS_PREV_HASH = GENESIS_PREV_HASH;
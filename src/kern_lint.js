@@ -0,0 +1,475 @@
+/**
+ * 🔎 KERN Rule Linter
+ * Static checks for YAML rule sets, run by `yaml_v3_bridge.js lint`.
+ *
+ * Every `if` condition and {{ }} placeholder is parsed with the sandboxed
+ * expression language; nothing is converted or executed. Problems:
+ *
+ *   parse-error         an expression, template or file that does not parse
+ *   schema-violation    a key or value outside v3_rulesyaml.json (kern_yaml_dialect.js)
+ *   import-error        an import that cannot be resolved: missing file, cycle, name clash (kern_imports.js)
+ *   unknown-field       a field read but never provided or written (typos)
+ *   unreachable-rule    a rule whose guard can never become true
+ *   unwritten-field     a field the output depends on that no rule writes
+ *   unsafe-call         a call the interpreter would refuse
+ *   reserved-field      an assignment target with a __proto__, constructor or prototype segment
+ *   duplicate-name      two rules with the same name
+ *   duplicate-priority  two rules with the same priority
+ *   table-overlap       two rows of a UNIQUE decision table that one input matches
+ *   table-gap           input combinations no row of a decision table matches
+ *
+ * A field counts as provided when the rule set declares it (sanitizer
+ * fields, state_schema.input properties) or a sample input contains it.
+ */
+
+const KernExpressionEngine = require('./kern_expression');
+const KernTemplateResolver = require('./kern_template');
+const KernDecisionTable = require('./kern_decision_table');
+const { DecisionTableError } = KernDecisionTable;
+
+const SEVERITIES = {
+    'parse-error': 'error',
+    'schema-violation': 'error',
+    'import-error': 'error',
+    'unknown-field': 'error',
+    'unreachable-rule': 'warn',
+    'unwritten-field': 'warn',
+    'unsafe-call': 'error',
+    'reserved-field': 'error',
+    'duplicate-name': 'error',
+    'duplicate-priority': 'warn',
+    'table-overlap': 'error',
+    'table-gap': 'warn'
+};
+
+// Built-ins the runtime hands to {{ }} templates (templateFunctions); conditions get none
+const TEMPLATE_FUNCTIONS = ['now', 'uuid', 'random'];
+
+// Path segments the runtime refuses to write through (they reach Object.prototype)
+const RESERVED_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Dotted field paths known to exist. A path also vouches for its ancestors
+ * (they exist as objects) and, when open, for everything below it.
+ */
+class FieldIndex {
+    constructor() {
+        this.paths = new Set();
+        this.open = new Set();
+    }
+
+    add(field, { open = false } = {}) {
+        this.paths.add(field);
+        if (open) this.open.add(field);
+        return this;
+    }
+
+    covers(field) {
+        if (this.paths.has(field)) return true;
+        for (const known of this.paths) {
+            if (known.startsWith(`${field}.`)) return true;
+        }
+        const segments = field.split('.');
+        for (let length = segments.length - 1; length > 0; length--) {
+            if (this.open.has(segments.slice(0, length).join('.'))) return true;
+        }
+        return false;
+    }
+
+    clone() {
+        const copy = new FieldIndex();
+        this.paths.forEach(field => copy.add(field, { open: this.open.has(field) }));
+        return copy;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+class KernRuleLinter {
+    /**
+     * @param {object} options - { expressions: KernExpressionEngine, templates: KernTemplateResolver }
+     */
+    constructor({ expressions = new KernExpressionEngine(), templates } = {}) {
+        this.expressions = expressions;
+        this.templates = templates || new KernTemplateResolver(expressions);
+        this.decisionTables = new KernDecisionTable(this.expressions, this.templates);
+    }
+
+    /**
+     * Lint a parsed YAML rule file
+     *
+     * @param {object} ruleFile - the loaded YAML document (rules, sanitizer, state_schema, ...)
+     * @param {object} options - { input: sample input state; its fields count as provided }
+     * @returns {{ errors: number, warnings: number, problems: Array }} problems are
+     *   { severity, code, rule?, location, message, field? }; imported rules
+     *   arrive already resolved, under their namespaced names
+     */
+    lint(ruleFile, { input } = {}) {
+        const problems = [];
+        const report = (code, problem) => problems.push({ severity: SEVERITIES[code], code, ...problem });
+
+        const rules = (ruleFile.rules || []).map((rule, index) => this.analyzeRule(rule, index, report));
+        const provided = this.providedFields(ruleFile, input);
+        const written = new FieldIndex();
+        rules.forEach(rule => rule.writes.forEach(field => written.add(field)));
+
+        this.checkDuplicates(rules, report);
+        this.checkUnknownFields(rules, provided, written, report);
+        this.checkReachability(rules, provided, report);
+        this.checkOutputFields(ruleFile, provided, written, report);
+
+        // Problems in rule order, rule set level ones last
+        const ordered = problems
+            .map((problem, order) => ({ problem, order }))
+            .sort((a, b) => (a.problem.index ?? Infinity) - (b.problem.index ?? Infinity) || a.order - b.order)
+            .map(({ problem: { index, ...problem } }) => problem);
+
+        return {
+            errors: ordered.filter(problem => problem.severity === 'error').length,
+            warnings: ordered.filter(problem => problem.severity === 'warn').length,
+            problems: ordered
+        };
+    }
+
+    /**
+     * Parse one rule's condition and templates. Returns its reads, writes and
+     * condition terms (null when the condition does not parse).
+     */
+    analyzeRule(rule, index, report) {
+        const name = rule.name || `rule_${index + 1}`;
+        const analysis = {
+            index,
+            name,
+            priority: rule.priority || (index + 1),
+            enabled: rule.enabled !== false,
+            reads: [],
+            writes: Object.keys(isPlainObject(rule.then) ? rule.then : {}),
+            terms: []
+        };
+        const unsafeCalls = (expression, location, functions) => {
+            for (const call of this.expressions.functionCalls(expression, { functions })) {
+                if (call.allowed) continue;
+                report('unsafe-call', {
+                    rule: name,
+                    index,
+                    location,
+                    message: `${call.name}() is not a whitelisted function${functions.length ? '' : ' in conditions'}`
+                });
+            }
+        };
+
+        const condition = rule.if === undefined || rule.if === null || rule.if === true ? 'true' : String(rule.if).trim() || 'true';
+        try {
+            analysis.terms = this.expressions.conditionTerms(condition, { ruleName: name, maxLength: this.expressions.maxConditionLength });
+            analysis.terms.forEach(term => term.fields.forEach(field => analysis.reads.push({ field, location: 'if' })));
+            unsafeCalls(condition, 'if', []);
+        } catch (error) {
+            analysis.terms = null;
+            report('parse-error', { rule: name, index, location: 'if', message: error.reason || error.message, ...this.position(error) });
+        }
+
+        for (const [field, value] of Object.entries(isPlainObject(rule.then) ? rule.then : {})) {
+            if (typeof value !== 'string') continue;
+            const location = `then.${field}`;
+            try {
+                for (const part of this.templates.parse(value, { ruleName: name })) {
+                    if (part.type !== 'placeholder') continue;
+                    this.expressions.fieldReferences(part.expression).forEach(read => analysis.reads.push({ field: read, location }));
+                    unsafeCalls(part.expression, location, TEMPLATE_FUNCTIONS);
+                }
+            } catch (error) {
+                report('parse-error', { rule: name, index, location, message: error.reason || error.message, ...this.position(error) });
+            }
+        }
+
+        if (isPlainObject(rule.decision_table)) {
+            this.analyzeDecisionTable(rule, analysis, report, unsafeCalls);
+        }
+
+        for (const field of analysis.writes) {
+            const segment = field.split('.').find(key => RESERVED_SEGMENTS.includes(key));
+            if (segment === undefined) continue;
+            report('reserved-field', {
+                rule: name,
+                index,
+                location: Object.prototype.hasOwnProperty.call(rule.then || {}, field) ? `then.${field}` : 'decision_table.outputs',
+                field,
+                message: `'${field}' cannot be assigned: '${segment}' is reserved, and writing through it would modify Object.prototype`
+            });
+        }
+
+        return analysis;
+    }
+
+    /**
+     * A decision table reads its input columns and output templates, writes
+     * its output columns, and only fires when a row matches (one more
+     * condition term). Overlapping rows of a UNIQUE table and inputs no row
+     * matches are reported here.
+     */
+    analyzeDecisionTable(rule, analysis, report, unsafeCalls) {
+        const { name, index } = analysis;
+        let table;
+        try {
+            table = this.decisionTables.analyze(rule.decision_table, { ruleName: name, assignments: rule.then });
+        } catch (error) {
+            if (!(error instanceof DecisionTableError)) throw error;
+            report('parse-error', { rule: name, index, location: error.location, message: error.message });
+            return;
+        }
+
+        table.outputs.forEach(output => analysis.writes.push(output.field));
+        table.inputs.forEach((input, k) => analysis.reads.push({ field: input.field, location: `decision_table.inputs[${k}]` }));
+        for (const row of table.rows) {
+            const location = `decision_table.rows[${row.index}]`;
+            for (const value of row.outputs) {
+                if (typeof value !== 'string' || !this.templates.isTemplate(value)) continue;
+                for (const part of this.templates.parse(value, { ruleName: name })) {
+                    if (part.type !== 'placeholder') continue;
+                    this.expressions.fieldReferences(part.expression).forEach(read => analysis.reads.push({ field: read, location }));
+                    unsafeCalls(part.expression, location, TEMPLATE_FUNCTIONS);
+                }
+            }
+        }
+        if (analysis.terms && table.match !== 'true') {
+            analysis.terms.push(...this.expressions.conditionTerms(table.match, { ruleName: name, maxLength: table.match.length }));
+        }
+
+        if (table.hitPolicy === 'UNIQUE') {
+            for (const { rows: [i, j], where } of table.overlaps) {
+                report('table-overlap', {
+                    rule: name,
+                    index,
+                    location: `decision_table.rows[${j}]`,
+                    message: `Rows ${i + 1} and ${j + 1} both match ${where}; the rows of a UNIQUE table may not overlap`
+                });
+            }
+        }
+        for (const { where } of table.gaps) {
+            report('table-gap', { rule: name, index, location: 'decision_table.rows', message: `No row matches ${where}` });
+        }
+    }
+
+    position(error) {
+        return error.position === undefined ? {} : { position: error.position };
+    }
+
+    /**
+     * Fields the input brings: sanitizer fields, state_schema.input
+     * properties (open where the schema does not list sub-properties) and
+     * the fields of a sample input
+     */
+    providedFields(ruleFile, input) {
+        const provided = new FieldIndex();
+        const sanitizer = ruleFile.sanitizer || {};
+        Object.keys(sanitizer.fields || {}).forEach(field => provided.add(field));
+
+        const walkSchema = (schema, prefix) => {
+            if (!isPlainObject(schema)) return;
+            const properties = isPlainObject(schema.properties) ? schema.properties : {};
+            const names = new Set([...Object.keys(properties), ...(Array.isArray(schema.required) ? schema.required : [])]);
+            for (const name of names) {
+                const field = prefix ? `${prefix}.${name}` : name;
+                const child = properties[name];
+                provided.add(field, { open: !isPlainObject(child) || !isPlainObject(child.properties) });
+                walkSchema(child, field);
+            }
+        };
+        walkSchema((ruleFile.state_schema || {}).input, '');
+
+        const walkSample = (value, prefix) => {
+            for (const [key, child] of Object.entries(value)) {
+                const field = prefix ? `${prefix}.${key}` : key;
+                provided.add(field);
+                if (isPlainObject(child)) walkSample(child, field);
+            }
+        };
+        if (isPlainObject(input)) walkSample(input, '');
+
+        return provided;
+    }
+
+    checkDuplicates(rules, report) {
+        const seenNames = new Map();
+        const seenPriorities = new Map();
+        for (const rule of rules) {
+            if (seenNames.has(rule.name)) {
+                report('duplicate-name', {
+                    rule: rule.name,
+                    index: rule.index,
+                    location: 'name',
+                    message: `Rule name '${rule.name}' is already used by rule #${seenNames.get(rule.name) + 1}`
+                });
+            } else {
+                seenNames.set(rule.name, rule.index);
+            }
+
+            if (seenPriorities.has(rule.priority)) {
+                report('duplicate-priority', {
+                    rule: rule.name,
+                    index: rule.index,
+                    location: 'priority',
+                    message: `Priority ${rule.priority} is also used by '${seenPriorities.get(rule.priority)}'; their order is not defined`
+                });
+            } else {
+                seenPriorities.set(rule.priority, rule.name);
+            }
+        }
+    }
+
+    checkUnknownFields(rules, provided, written, report) {
+        const known = [...new Set([...provided.paths, ...written.paths])];
+        for (const rule of rules) {
+            const reported = new Set();
+            for (const { field, location } of rule.reads) {
+                if (provided.covers(field) || written.covers(field) || reported.has(field)) continue;
+                reported.add(field);
+                const suggestion = this.suggest(field, known);
+                report('unknown-field', {
+                    rule: rule.name,
+                    index: rule.index,
+                    location,
+                    field,
+                    message: `'${field}' is read but never provided or written` +
+                        (suggestion ? `; did you mean '${suggestion}'?` : '')
+                });
+            }
+        }
+    }
+
+    // Closest known field within a couple of typos, if any
+    suggest(field, known) {
+        let best = null;
+        let bestDistance = Math.max(2, Math.floor(field.length / 8)) + 1;
+        for (const candidate of known) {
+            const distance = editDistance(field, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * A rule is reachable once none of its condition's top-level && terms is
+     * dead: a term is dead when every field it reads is still unavailable and
+     * it is falsy without them. Rules become reachable in rounds, each adding
+     * its writes to the available fields, until nothing changes.
+     */
+    checkReachability(rules, provided, report) {
+        const available = provided.clone();
+        const pending = new Set(rules.filter(rule => rule.enabled && rule.terms));
+        const dead = (term) => term.fields.every(field => !available.covers(field)) && !this.holdsWithout(term);
+
+        let progress = true;
+        while (progress) {
+            progress = false;
+            for (const rule of pending) {
+                if (rule.terms.some(dead)) continue;
+                pending.delete(rule);
+                rule.writes.forEach(field => available.add(field));
+                progress = true;
+            }
+        }
+
+        for (const rule of pending) {
+            const term = rule.terms.find(dead);
+            const reason = term.fields.length
+                ? `${term.fields.map(field => `'${field}'`).join(', ')} ${term.fields.length === 1 ? 'is' : 'are'} never provided or written by a reachable rule`
+                : 'it is always false';
+            report('unreachable-rule', {
+                rule: rule.name,
+                index: rule.index,
+                location: 'if',
+                message: `Guard can never be true: ${reason}`
+            });
+        }
+    }
+
+    // Truthiness of a term with none of its fields set; a throwing term might still hold
+    holdsWithout(term) {
+        try {
+            return Boolean(term.evaluate({}));
+        } catch {
+            return true;
+        }
+    }
+
+    /**
+     * Fields consumed after the rules (state_schema.output required fields,
+     * reshape.output.source) that no rule writes and the input does not bring
+     */
+    checkOutputFields(ruleFile, provided, written, report) {
+        const consumers = [];
+        const walkRequired = (schema, prefix) => {
+            if (!isPlainObject(schema)) return;
+            const properties = isPlainObject(schema.properties) ? schema.properties : {};
+            for (const name of Array.isArray(schema.required) ? schema.required : []) {
+                const field = prefix ? `${prefix}.${name}` : name;
+                consumers.push({ field, location: 'state_schema.output' });
+                walkRequired(properties[name], field);
+            }
+        };
+        walkRequired((ruleFile.state_schema || {}).output, '');
+
+        const reshapeOutput = (ruleFile.reshape || {}).output;
+        if (isPlainObject(reshapeOutput) && reshapeOutput.source) {
+            consumers.push({ field: reshapeOutput.source, location: 'reshape.output.source' });
+        }
+
+        for (const { field, location } of consumers) {
+            if (written.covers(field) || provided.covers(field)) continue;
+            report('unwritten-field', {
+                location,
+                field,
+                message: `'${field}' is used by ${location} but no rule writes it`
+            });
+        }
+    }
+
+    /**
+     * Render lint results ([{ file, errors, warnings, problems }]) as text
+     */
+    format(results) {
+        const lines = [];
+        for (const result of results) {
+            lines.push(result.file);
+            if (result.problems.length === 0) {
+                lines.push('  ✅ No problems');
+                continue;
+            }
+            for (const problem of result.problems) {
+                const line = problem.line === undefined ? '' : `${problem.file ? `${problem.file}:` : ''}${problem.line}:${problem.column}`;
+                const where = [line, problem.rule, problem.location].filter(Boolean).join(' · ');
+                const at = problem.position === undefined ? '' : ` (position ${problem.position})`;
+                lines.push(`  ${problem.severity === 'error' ? '❌' : '⚠️ '} ${where}  ${problem.code}  ${problem.message}${at}`);
+            }
+        }
+
+        const errors = results.reduce((sum, result) => sum + result.errors, 0);
+        const warnings = results.reduce((sum, result) => sum + result.warnings, 0);
+        const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+        lines.push('', `📊 ${count(errors + warnings, 'problem')} (${count(errors, 'error')}, ${count(warnings, 'warning')})`);
+        return lines.join('\n');
+    }
+}
+
+module.exports = KernRuleLinter;
+module.exports.SEVERITIES = SEVERITIES;
@@ -9,37 +9,30 @@
 
 const fs = require('fs');
 const path = require('path');
+const KernExpressionEngine = require('./kern_expression');
+const KernTemplateResolver = require('./kern_template');
 
 class KernPlanAdapter {
+    /**
+     * @param {object} options - { logger: progress output, console.log by default }
+     */
+    constructor({ logger = console.log } = {}) {
+        this.log = logger;
+        this.expressions = new KernExpressionEngine();
+        this.templates = new KernTemplateResolver(this.expressions);
+    }
     
     /**
      * Convert v3_rulesconfig to transformation_pipeline format
      */
     adaptV3RulesConfigToPlan(v3RulesConfigPath, outputPath = null) {
         try {
-            console.log(`🔄 Adapting v3_rulesconfig to KERN plan format: ${v3RulesConfigPath}`);
+            this.log(`🔄 Adapting v3_rulesconfig to KERN plan format: ${v3RulesConfigPath}`);
             
             const v3Config = JSON.parse(fs.readFileSync(v3RulesConfigPath, 'utf8'));
-            
-            if (!v3Config.ruleSet || !v3Config.ruleSet.rules) {
-                throw new Error('Invalid v3_rulesconfig structure - missing ruleSet.rules');
-            }
-            
-            // Convert to transformation_pipeline format
-            const transformationPipeline = this.convertRulesToPipeline(v3Config.ruleSet.rules);
-            
-            const kernPlan = {
-                transformation_pipeline: transformationPipeline,
-                metadata: {
-                    id: v3Config.ruleSet.id,
-                    version: v3Config.ruleSet.version,
-                    name: v3Config.ruleSet.name,
-                    description: v3Config.ruleSet.description,
-                    convertedFrom: "v3_rulesconfig",
-                    convertedAt: new Date().toISOString()
-                },
-                contracts: v3Config.contracts || {}
-            };
+            const kernPlan = this.buildPlan(v3Config);
+            const executionMode = kernPlan.contracts.executionMode || 'priority_ordered';
+            const transformationPipeline = kernPlan.transformation_pipeline;
             
             // Generate output path if not provided
             if (!outputPath) {
@@ -49,8 +42,8 @@ class KernPlanAdapter {
             
             fs.writeFileSync(outputPath, JSON.stringify(kernPlan, null, 2));
             
-            console.log(`✅ KERN plan generated: ${outputPath}`);
-            console.log(`📊 Pipeline steps: ${transformationPipeline.length}`);
+            this.log(`✅ KERN plan generated: ${outputPath}`);
+            this.log(`📊 Pipeline steps: ${transformationPipeline.length} (${executionMode})`);
             
             return {
                 success: true,
@@ -68,16 +61,56 @@ class KernPlanAdapter {
         }
     }
     
+    /**
+     * Build the KERN plan for a parsed v3_rulesconfig without touching the
+     * filesystem (replay rebuilds plans from stored rule versions this way)
+     */
+    buildPlan(v3Config) {
+        if (!v3Config.ruleSet || !v3Config.ruleSet.rules) {
+            throw new Error('Invalid v3_rulesconfig structure - missing ruleSet.rules');
+        }
+
+        // Convert to transformation_pipeline format
+        const executionMode = (v3Config.contracts && v3Config.contracts.executionMode) || 'priority_ordered';
+        const transformationPipeline = this.convertRulesToPipeline(v3Config.ruleSet.rules, executionMode);
+        this.appendIterationManager(transformationPipeline, v3Config.ruleSet);
+        const sources = v3Config.ruleSet.sources || {};
+        this.prependSanitizer(transformationPipeline, v3Config.ruleSet.sanitizer, sources.sanitizer);
+        this.addReshapeSteps(transformationPipeline, v3Config.ruleSet.reshape, sources);
+
+        return {
+            transformation_pipeline: transformationPipeline,
+            metadata: {
+                id: v3Config.ruleSet.id,
+                version: v3Config.ruleSet.version,
+                name: v3Config.ruleSet.name,
+                description: v3Config.ruleSet.description,
+                convertedFrom: "v3_rulesconfig",
+                // The source config's timestamp keeps the plan a pure function of it
+                convertedAt: v3Config.ruleSet.lastModified || v3Config.ruleSet.createdAt || null
+            },
+            contracts: v3Config.contracts || {},
+            // The runtime validates the input and final state against these
+            ...(v3Config.stateSchema ? { stateSchema: v3Config.stateSchema } : {})
+        };
+    }
+
     /**
      * Convert v3 rules to transformation pipeline steps
+     * 
+     * A rule's source map entry (rule.source) goes on its steps, outside
+     * params so it never reaches the primitives or the ledgered inputs.
+     * The condition step points at the `if` key, the rule step at the rule
+     * with every `then` key's position.
      */
-    convertRulesToPipeline(rules) {
-        // Sort rules by priority
-        const sortedRules = rules.sort((a, b) => a.priority - b.priority);
+    convertRulesToPipeline(rules, executionMode = 'priority_ordered') {
+        const sortedRules = this.orderRules(rules, executionMode);
         
         const pipeline = [];
         
         for (const rule of sortedRules) {
+            const { source } = rule;
+            
             // Create condition evaluation step
             if (rule.if && rule.if !== "true") {
                 pipeline.push({
@@ -88,7 +121,16 @@ class KernPlanAdapter {
                     params: {
                         condition: rule.if,
                         ruleName: rule.name
-                    }
+                    },
+                    ...(source ? {
+                        source: {
+                            file: source.file,
+                            line: (source.condition || source).line,
+                            column: (source.condition || source).column,
+                            rule: rule.name,
+                            key: 'if'
+                        }
+                    } : {})
                 });
             }
             
@@ -104,7 +146,17 @@ class KernPlanAdapter {
                     condition: rule.if,
                     assignments: rule.then,
                     enabled: rule.enabled !== false
-                }
+                },
+                ...(source ? {
+                    source: {
+                        file: source.file,
+                        line: source.line,
+                        column: source.column,
+                        rule: rule.name,
+                        ...(source.condition ? { condition: source.condition } : {}),
+                        ...(source.assignments ? { assignments: source.assignments } : {})
+                    }
+                } : {})
             });
         }
         
@@ -112,86 +164,241 @@ class KernPlanAdapter {
     }
     
     /**
-     * Create a custom RULE_APPLICATOR primitive that handles v3 rule format
+     * Order rules according to contracts.executionMode
      */
-    generateRuleApplicatorCode() {
-        return `
-// Custom RULE_APPLICATOR for v3_rulesconfig compatibility
-RULE_APPLICATOR: (input, context) => {
-    const { ruleId, condition, assignments, enabled } = input;
-    
-    if (!enabled) {
-        return { skipped: true, reason: 'Rule disabled' };
+    orderRules(rules, executionMode) {
+        switch (executionMode) {
+            case 'sequential':
+                return [...rules];
+            case 'priority_ordered':
+                return [...rules].sort((a, b) => a.priority - b.priority);
+            case 'dependency_resolved':
+                return this.orderRulesByDependencies(rules);
+            default:
+                throw new Error(`Unknown executionMode: ${executionMode}`);
+        }
     }
     
-    // Evaluate condition if present
-    if (condition && condition !== "true") {
-        try {
-            const conditionFn = new Function("context", \`with(context){ return (\${condition}); }\`);
-            const conditionResult = conditionFn(context.state || {});
-            
-            if (!conditionResult) {
-                return { skipped: true, reason: 'Condition not met', condition };
+    /**
+     * Fields a rule reads: its condition plus every {{ }} placeholder in `then`.
+     * Fields the rule writes itself and "not done yet" guards in the condition
+     * (`flag !== true`, `field === undefined`) only stop the rule re-firing
+     * or chain its own assignments; they are not inputs, so they order nothing.
+     */
+    extractReadSet(rule) {
+        const reads = new Set();
+        
+        if (rule.if && rule.if !== 'true') {
+            this.collectConditionReads(this.expressions.parse(rule.if, { ruleName: rule.name }), reads);
+        }
+        for (const value of Object.values(rule.then || {})) {
+            if (typeof value === 'string') {
+                this.templates.fieldReferences(value, { ruleName: rule.name })
+                    .forEach(field => reads.add(field));
             }
-        } catch (err) {
-            return { error: \`Condition evaluation failed: \${err.message}\`, condition };
         }
+        
+        for (const written of this.extractWriteSet(rule)) {
+            [...reads].filter(read => read === written || read.startsWith(`${written}.`))
+                .forEach(read => reads.delete(read));
+        }
+        
+        return reads;
     }
     
-    // Apply assignments
-    const results = {};
-    const updates = [];
+    /**
+     * Walk the && conjuncts of a condition, skipping completion guards
+     */
+    collectConditionReads(node, reads) {
+        if (node.type === 'Logical' && node.operator === '&&') {
+            this.collectConditionReads(node.left, reads);
+            this.collectConditionReads(node.right, reads);
+        } else if (!this.isCompletionGuard(node)) {
+            this.expressions.collectReferences(node, reads);
+        }
+    }
     
-    for (const [fieldPath, expression] of Object.entries(assignments)) {
-        try {
-            let value;
-            
-            // Handle template expressions {{...}}
-            if (typeof expression === 'string' && expression.startsWith('{{') && expression.endsWith('}}')) {
-                const templateExpr = expression.slice(2, -2).trim();
-                const exprFn = new Function("context", \`with(context){ return (\${templateExpr}); }\`);
-                value = exprFn(context.state || {});
-            } else {
-                // Direct value assignment
-                value = expression === "true" ? true : expression === "false" ? false : expression;
-                if (!isNaN(Number(expression)) && expression !== "") {
-                    value = Number(expression);
+    /**
+     * `path !== true`, `path != true`, `path === undefined` or `path == null`
+     * (either operand order)
+     */
+    isCompletionGuard(node) {
+        if (node.type !== 'Binary') return false;
+        
+        const isPath = (operand) => operand.type === 'Identifier' ||
+            (operand.type === 'Member' && !operand.computed && isPath(operand.object));
+        const isLiteral = (operand, ...values) => operand.type === 'Literal' && values.includes(operand.value);
+        const guards = (operand) => {
+            if (['!==', '!='].includes(node.operator)) return isLiteral(operand, true);
+            if (node.operator === '===') return isLiteral(operand, undefined);
+            if (node.operator === '==') return isLiteral(operand, undefined, null);
+            return false;
+        };
+        
+        return (isPath(node.left) && guards(node.right)) || (isPath(node.right) && guards(node.left));
+    }
+    
+    /**
+     * Fields a rule writes: the keys of its `then` clause
+     */
+    extractWriteSet(rule) {
+        return new Set(Object.keys(rule.then || {}));
+    }
+    
+    /**
+     * Topologically sort rules so every writer runs before the rules reading
+     * its fields. Explicit `dependencies` add edges; ties break on priority.
+     * A cycle throws with the rule names that form it.
+     */
+    orderRulesByDependencies(rules) {
+        const byName = new Map(rules.map(rule => [rule.name, rule]));
+        const edges = new Map(rules.map(rule => [rule.name, new Set()]));
+        const writes = rules.map(rule => [rule.name, this.extractWriteSet(rule)]);
+        
+        // A read of "loan" depends on a write of "loan.rate" and vice versa
+        const overlaps = (read, written) =>
+            read === written || read.startsWith(`${written}.`) || written.startsWith(`${read}.`);
+        
+        for (const rule of rules) {
+            for (const read of this.extractReadSet(rule)) {
+                for (const [writer, fields] of writes) {
+                    if (writer === rule.name) continue;
+                    if ([...fields].some(field => overlaps(read, field))) {
+                        edges.get(writer).add(rule.name);
+                    }
                 }
             }
             
-            // Apply the assignment to state
-            const pathParts = fieldPath.split('.');
-            let obj = context.state;
-            
-            for (let i = 0; i < pathParts.length - 1; i++) {
-                const part = pathParts[i];
-                if (!obj[part]) obj[part] = {};
-                obj = obj[part];
+            for (const dependency of rule.dependencies || []) {
+                if (!byName.has(dependency)) {
+                    throw new Error(`Rule '${rule.name}' depends on unknown rule '${dependency}'`);
+                }
+                edges.get(dependency).add(rule.name);
             }
+        }
+        
+        // Kahn's algorithm, always taking the ready rule with the lowest priority number
+        const inDegree = new Map(rules.map(rule => [rule.name, 0]));
+        for (const targets of edges.values()) {
+            targets.forEach(target => inDegree.set(target, inDegree.get(target) + 1));
+        }
+        
+        const byPriority = (a, b) => (byName.get(a).priority - byName.get(b).priority) || a.localeCompare(b);
+        const ready = rules.map(rule => rule.name).filter(name => inDegree.get(name) === 0);
+        const ordered = [];
+        
+        while (ready.length > 0) {
+            ready.sort(byPriority);
+            const name = ready.shift();
+            ordered.push(byName.get(name));
             
-            const finalKey = pathParts[pathParts.length - 1];
-            obj[finalKey] = value;
-            
-            updates.push({ field: fieldPath, value });
-            results[fieldPath] = value;
-            
-        } catch (err) {
-            return { 
-                error: \`Assignment failed for \${fieldPath}: \${err.message}\`, 
-                expression,
-                fieldPath 
-            };
+            for (const target of edges.get(name)) {
+                inDegree.set(target, inDegree.get(target) - 1);
+                if (inDegree.get(target) === 0) ready.push(target);
+            }
+        }
+        
+        if (ordered.length < rules.length) {
+            const remaining = new Set(rules.map(rule => rule.name).filter(name => inDegree.get(name) > 0));
+            const cycle = this.findCycle(remaining, edges);
+            throw new Error(`Dependency cycle between rules: ${cycle.join(' -> ')}`);
         }
+        
+        return ordered;
     }
     
-    return {
-        success: true,
-        ruleId,
-        updatesApplied: updates.length,
-        updates,
-        results
-    };
-}`;
+    /**
+     * Every unresolved rule still has an unresolved predecessor, so walking
+     * predecessors must revisit a rule; that loop is the cycle
+     */
+    findCycle(remaining, edges) {
+        const predecessorOf = (name) => [...remaining].sort()
+            .find(candidate => edges.get(candidate).has(name));
+        
+        let current = [...remaining].sort()[0];
+        const walked = [];
+        
+        while (!walked.includes(current)) {
+            walked.push(current);
+            current = predecessorOf(current);
+        }
+        
+        const cycle = walked.slice(walked.indexOf(current)).reverse();
+        return [...cycle, cycle[0]];
+    }
+    
+    /**
+     * Close the rule pipeline with an ITERATION_MANAGER step so the runtime
+     * re-runs the rules until a fixed point or ruleSet.maxIterations
+     */
+    appendIterationManager(pipeline, ruleSet) {
+        if (pipeline.length === 0) {
+            return pipeline;
+        }
+        
+        pipeline.push({
+            id: "iteration_manager",
+            primitive: "ITERATION_MANAGER",
+            input_fields: [],
+            output_fields: [],
+            params: {
+                loopStart: pipeline[0].id,
+                maxIterations: ruleSet.maxIterations || 50,
+                convergenceThreshold: 0
+            }
+        });
+        
+        return pipeline;
+    }
+    
+    /**
+     * Open the pipeline with a CONTEXT_SANITIZER step when the rule set
+     * declares ruleSet.sanitizer. It runs once, before the iteration loop.
+     */
+    prependSanitizer(pipeline, sanitizer, source) {
+        if (!sanitizer) {
+            return pipeline;
+        }
+        
+        pipeline.unshift({
+            id: "context_sanitizer",
+            primitive: "CONTEXT_SANITIZER",
+            input_fields: [],
+            output_fields: [],
+            params: { ...sanitizer },
+            ...(source ? { source: { ...source } } : {})
+        });
+        
+        return pipeline;
+    }
+    
+    /**
+     * Wrap the pipeline in OBJECT_FLATTENER steps from ruleSet.reshape:
+     * `input` first (e.g. unflatten CSV-shaped rows before sanitizing),
+     * `output` last (e.g. flatten the decision for export)
+     */
+    addReshapeSteps(pipeline, reshape, sources = {}) {
+        if (!reshape) {
+            return pipeline;
+        }
+        
+        const step = (id, params, source) => ({
+            id,
+            primitive: "OBJECT_FLATTENER",
+            input_fields: [],
+            output_fields: [],
+            params: { ...params },
+            ...(source ? { source: { ...source } } : {})
+        });
+        
+        if (reshape.input) {
+            pipeline.unshift(step("reshape_input", reshape.input, sources.reshapeInput));
+        }
+        if (reshape.output) {
+            pipeline.push(step("reshape_output", reshape.output, sources.reshapeOutput));
+        }
+        
+        return pipeline;
     }
 }
 
@@ -210,11 +417,6 @@ if (require.main === module) {
             adapter.adaptV3RulesConfigToPlan(args[0], args[1]);
             break;
             
-        case 'generate-primitive':
-            console.log('🧩 Custom RULE_APPLICATOR Primitive Code:');
-            console.log(adapter.generateRuleApplicatorCode());
-            break;
-            
         default:
             console.log(`
 🔄 KERN Plan Format Adapter
@@ -223,11 +425,9 @@ Converts v3_rulesconfig.json to transformation_pipeline format for KERN runtime
 
 Commands:
   adapt <v3-config> [output]  - Convert v3_rulesconfig to KERN plan
-  generate-primitive          - Output custom RULE_APPLICATOR code
 
 Examples:
   node kern_plan_adapter.js adapt ./kern_schemas/mortgage-rules_v3_rulesconfig.json
-  node kern_plan_adapter.js generate-primitive
             `);
     }
 }
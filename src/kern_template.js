@@ -0,0 +1,271 @@
+/**
+ * 🧾 KERN Template Resolver
+ * Interpolates {{ }} placeholders inside text, for rule assignments and
+ * the TEMPLATE_RESOLVER primitive.
+ *
+ *   "Call {{applicant.name}} about {{loan.reference_number}}"
+ *   "Your payment is {{loan.monthly_payment | currency}} at {{loan.interest_rate | percent:3}}"
+ *   'Literal braces: \{{ not a placeholder \}}'
+ *
+ * Each placeholder is an expression in the sandboxed expression language,
+ * optionally followed by `| filter:arg:arg` format filters.
+ *
+ * A template that is exactly one placeholder without filters ("{{expr}}")
+ * yields the raw value, so numbers stay numbers. Anything else yields a
+ * string. A placeholder that resolves to undefined or null, fails to
+ * evaluate, or whose filter cannot format the value, is reported as
+ * unresolved and left in the text as written - a lone placeholder included.
+ */
+
+const KernExpressionEngine = require('./kern_expression');
+const { ExpressionError } = KernExpressionEngine;
+
+const toNumber = (value) => {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw new Error(`expected a number, got ${JSON.stringify(value)}`);
+    }
+    return number;
+};
+
+// Locale and time zone are fixed so formatted text is deterministic
+const FILTERS = {
+    // 1234.5 | currency → $1,234.50; currency:'EUR':0 → €1,235
+    currency: (value, code = 'USD', decimals = 2) => new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: String(code),
+        minimumFractionDigits: Number(decimals),
+        maximumFractionDigits: Number(decimals)
+    }).format(toNumber(value)),
+
+    // Values are percentage points, as the rules store them: 36.25 | percent:1 → 36.3%
+    percent: (value, decimals = 2) => `${toNumber(value).toFixed(Number(decimals))}%`,
+
+    fixed: (value, decimals = 2) => toNumber(value).toFixed(Number(decimals)),
+
+    // iso → 2026-10-19, long → October 19, 2026, datetime → full ISO timestamp (all UTC)
+    date: (value, format = 'iso') => {
+        const date = new Date(value);
+        if (value === null || value === undefined || Number.isNaN(date.getTime())) {
+            throw new Error(`expected a date, got ${JSON.stringify(value)}`);
+        }
+        switch (format) {
+            case 'iso':
+                return date.toISOString().slice(0, 10);
+            case 'datetime':
+                return date.toISOString();
+            case 'long':
+                return new Intl.DateTimeFormat('en-US', {
+                    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+                }).format(date);
+            default:
+                throw new Error(`unknown date format '${format}'`);
+        }
+    }
+};
+
+class KernTemplateResolver {
+    /**
+     * @param {KernExpressionEngine} expressions - evaluates each placeholder
+     */
+    constructor(expressions = new KernExpressionEngine()) {
+        this.expressions = expressions;
+        this.cache = new Map();
+    }
+
+    /**
+     * True when a value contains at least one {{ }} placeholder
+     */
+    isTemplate(value) {
+        return typeof value === 'string' && this.parse(value).some(part => part.type === 'placeholder');
+    }
+
+    /**
+     * Split a template into text and placeholder parts. Placeholder
+     * expressions and filter names are checked here, so a bad template
+     * fails at conversion time with an ExpressionError.
+     *
+     * @returns {Array} [{ type: 'text', value } | { type: 'placeholder', source, expression, filters, position }]
+     */
+    parse(template, { ruleName } = {}) {
+        const cached = this.cache.get(template);
+        if (cached) return cached;
+
+        const parts = [];
+        let text = '';
+        let index = 0;
+
+        while (index < template.length) {
+            if (template[index] === '\\' && /^(\{\{|\}\})/.test(template.slice(index + 1, index + 3))) {
+                text += template.slice(index + 1, index + 3);
+                index += 3;
+                continue;
+            }
+
+            if (template.startsWith('{{', index)) {
+                const end = this.findClose(template, index + 2);
+                if (end === -1) {
+                    throw new ExpressionError('Unterminated {{ placeholder', { expression: template, position: index, ruleName });
+                }
+                if (text) parts.push({ type: 'text', value: text });
+                text = '';
+
+                const source = template.slice(index + 2, end);
+                parts.push({ type: 'placeholder', source, position: index, ...this.parsePlaceholder(source, index, ruleName) });
+                index = end + 2;
+                continue;
+            }
+
+            text += template[index];
+            index++;
+        }
+        if (text) parts.push({ type: 'text', value: text });
+
+        this.cache.set(template, parts);
+        return parts;
+    }
+
+    /**
+     * Index of the }} closing a placeholder, skipping braces inside string literals
+     */
+    findClose(template, from) {
+        let quote = null;
+        for (let index = from; index < template.length; index++) {
+            const char = template[index];
+            if (quote) {
+                if (char === '\\') index++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (template.startsWith('}}', index)) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * "loan.rate | percent:3" → expression "loan.rate", filters [{ name: 'percent', args: [3] }].
+     * Only a single | outside quotes and brackets starts a filter; || stays an operator.
+     */
+    parsePlaceholder(source, position, ruleName) {
+        const pieces = [];
+        let quote = null;
+        let depth = 0;
+        let start = 0;
+
+        for (let index = 0; index < source.length; index++) {
+            const char = source[index];
+            if (quote) {
+                if (char === '\\') index++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                depth--;
+            } else if (char === '|' && depth === 0) {
+                if (source[index + 1] === '|') {
+                    index++;
+                } else {
+                    pieces.push(source.slice(start, index));
+                    start = index + 1;
+                }
+            }
+        }
+        pieces.push(source.slice(start));
+
+        const expression = pieces[0].trim();
+        if (!expression) {
+            throw new ExpressionError('Empty {{ }} placeholder', { expression: source, position, ruleName });
+        }
+        this.expressions.parse(expression, { ruleName });
+
+        const filters = pieces.slice(1).map(piece => {
+            const [name, ...args] = piece.trim().split(':').map(arg => arg.trim());
+            if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+                throw new ExpressionError(`Unknown template filter '${name}'`, { expression: source, position, ruleName });
+            }
+            return { name, args: args.map(arg => this.parseFilterArgument(arg)) };
+        });
+
+        return { expression, filters };
+    }
+
+    parseFilterArgument(arg) {
+        if (/^(['"]).*\1$/.test(arg)) return arg.slice(1, -1);
+        if (arg !== '' && !Number.isNaN(Number(arg))) return Number(arg);
+        return arg;
+    }
+
+    /**
+     * Resolve a template against the state.
+     *
+     * @param {string} template
+     * @param {object} state
+     * @param {object} options - { ruleName, functions } passed to the expression engine
+     * @returns {object} { value, interpolated, unresolved: [{ placeholder, reason }] }
+     */
+    resolve(template, state = {}, options = {}) {
+        const parts = this.parse(template, options);
+        const [only] = parts;
+        const raw = parts.length === 1 && only.type === 'placeholder' && only.filters.length === 0;
+
+        const unresolved = [];
+        const values = parts.map(part => {
+            if (part.type === 'text') return part.value;
+
+            try {
+                const resolved = raw
+                    ? this.expressions.evaluate(part.expression, state, options)
+                    : this.resolvePlaceholder(part, state, options);
+                if (resolved === undefined || resolved === null) {
+                    unresolved.push({ placeholder: part.source.trim(), reason: `resolved to ${resolved}` });
+                    return `{{${part.source}}}`;
+                }
+                return resolved;
+            } catch (err) {
+                // Syntax and sandbox violations are rule bugs, not missing data
+                if (err instanceof ExpressionError && err.kind !== 'evaluation') throw err;
+                unresolved.push({ placeholder: part.source.trim(), reason: err.reason || err.message });
+                return `{{${part.source}}}`;
+            }
+        });
+
+        if (raw && unresolved.length === 0) {
+            return { value: values[0], interpolated: false, unresolved };
+        }
+        return { value: values.join(''), interpolated: true, unresolved };
+    }
+
+    resolvePlaceholder(part, state, options) {
+        let value = this.expressions.evaluate(part.expression, state, options);
+        if (value === undefined || value === null) return value;
+
+        for (const filter of part.filters) {
+            try {
+                value = FILTERS[filter.name](value, ...filter.args);
+            } catch (err) {
+                throw new Error(`${filter.name} filter: ${err.message}`);
+            }
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    /**
+     * Fields read by every placeholder in a template
+     */
+    fieldReferences(template, options = {}) {
+        const fields = new Set();
+        for (const part of this.parse(template, options)) {
+            if (part.type === 'placeholder') {
+                this.expressions.fieldReferences(part.expression, options).forEach(field => fields.add(field));
+            }
+        }
+        return [...fields];
+    }
+}
+
+module.exports = KernTemplateResolver;
+module.exports.FILTERS = FILTERS;
@@ -9,7 +9,6 @@
 
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
 
 // Load the bridge and adapter we created
 const YamlToV3RulesConfigBridge = require('./yaml_v3_bridge');
@@ -45,7 +44,7 @@ class KernV3Integration {
         try {
             // Step 1: Convert YAML to v3_rulesconfig.json
             console.log('\n📋 Step 1: Converting YAML to v3_rulesconfig...');
-            const v3Result = await this.convertYamlToV3(yamlRulesFile);
+            const v3Result = await this.convertYamlToV3(yamlRulesFile, options);
             
             if (!v3Result.success) {
                 throw new Error(`YAML to v3 conversion failed: ${v3Result.error}`);
@@ -93,8 +92,11 @@ class KernV3Integration {
 
     /**
      * Convert YAML rules to v3_rulesconfig format
+     * 
+     * @param {object} options - { maxIterations: overrides the rule file's
+     *   max_iterations (ruleSet.maxIterations) }
      */
-    async convertYamlToV3(yamlFilePath) {
+    async convertYamlToV3(yamlFilePath, { maxIterations } = {}) {
         const baseName = path.basename(yamlFilePath, path.extname(yamlFilePath));
         const outputPath = path.join(this.kernSchemasDir, `${baseName}_v3_rulesconfig.json`);
         
@@ -103,7 +105,15 @@ class KernV3Integration {
             fs.mkdirSync(this.kernSchemasDir, { recursive: true });
         }
         
-        return this.bridge.convertYamlToV3RulesConfig(yamlFilePath, outputPath);
+        const result = this.bridge.convertYamlToV3RulesConfig(yamlFilePath, outputPath);
+        if (!result.success || maxIterations === undefined) {
+            return result;
+        }
+        
+        result.v3RulesConfig.ruleSet.maxIterations = maxIterations;
+        fs.writeFileSync(outputPath, JSON.stringify(result.v3RulesConfig, null, 2));
+        console.log(`   🔁 maxIterations set to ${maxIterations}`);
+        return { ...result, hash: this.bridge.generateHash(result.v3RulesConfig) };
     }
 
     /**
@@ -162,70 +172,33 @@ class KernV3Integration {
     }
 
     /**
-     * Execute KERN v3 engine
+     * Execute KERN v3 engine in-process via the library API
+     * 
+     * Engines are cached per plan, so batch runs validate the manifest and
+     * plan once. Failures surface as KernRuntimeError (code + details).
      */
     async executeKernEngine(inputPath, planPath, options = {}) {
-        return new Promise((resolve, reject) => {
-            const args = [
-                'execute',
-                '--input', inputPath,
-                '--plan', planPath,
-                '--halt-on-error', options.haltOnError || 'false',
-                '--max-iterations', options.maxIterations || '50'
-            ];
-            
-            if (options.verbose) {
-                args.push('--verbose');
-            }
-            
-            console.log(`   🚀 Spawning: ts-node ${this.kernRuntimePath} ${args.join(' ')}`);
-            
-            const kernProcess = spawn('npx', ['ts-node', this.kernRuntimePath, ...args], {
-                cwd: this.projectRoot,
-                stdio: 'pipe'
-            });
-            
-            let stdout = '';
-            let stderr = '';
-            
-            kernProcess.stdout.on('data', (data) => {
-                const output = data.toString();
-                stdout += output;
-                if (options.verbose) {
-                    process.stdout.write(output);
-                }
-            });
-            
-            kernProcess.stderr.on('data', (data) => {
-                const output = data.toString();
-                stderr += output;
-                if (options.verbose) {
-                    process.stderr.write(output);
-                }
-            });
-            
-            kernProcess.on('close', (code) => {
-                if (code === 0) {
-                    console.log(`   ✅ KERN execution completed successfully`);
-                    
-                    // Try to parse the result from stdout
-                    try {
-                        const resultMatch = stdout.match(/FINAL_RESULT:(.+)/);
-                        const result = resultMatch ? JSON.parse(resultMatch[1]) : { stdout, stderr };
-                        resolve(result);
-                    } catch (e) {
-                        resolve({ stdout, stderr, code });
-                    }
-                } else {
-                    console.error(`   ❌ KERN execution failed with code ${code}`);
-                    reject(new Error(`KERN execution failed: ${stderr || stdout}`));
-                }
-            });
-            
-            kernProcess.on('error', (error) => {
-                reject(new Error(`Failed to spawn KERN process: ${error.message}`));
-            });
+        const { createEngine } = require('./kern_engine');
+        
+        if (!this.engines) {
+            this.engines = new Map();
+        }
+        if (!this.engines.has(planPath)) {
+            this.engines.set(planPath, createEngine({ manifest: this.manifestPath, plan: planPath }));
+        }
+        
+        const input = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+        const result = await this.engines.get(planPath).execute(input, {
+            // Left out unless given, so the manifest's failureModes.haltOnError applies
+            ...(options.haltOnError !== undefined ? { haltOnError: Boolean(options.haltOnError) } : {}),
+            logLevel: options.verbose ? 'normal' : 'quiet',
+            seed: options.seed,
+            asOf: options.asOf,
+            timeoutMs: options.timeoutMs
         });
+        
+        console.log(`   ✅ KERN execution completed (${result.proof.outcome})`);
+        return result;
     }
 
     /**
@@ -238,7 +211,7 @@ class KernV3Integration {
         
         // Step 1: Convert YAML to v3_rulesconfig (once)
         console.log('\n📋 Step 1: Converting YAML to v3_rulesconfig...');
-        const v3Result = await this.convertYamlToV3(yamlRulesFile);
+        const v3Result = await this.convertYamlToV3(yamlRulesFile, options);
         
         if (!v3Result.success) {
             throw new Error(`YAML to v3 conversion failed: ${v3Result.error}`);
@@ -281,14 +254,27 @@ class KernV3Integration {
                     verbose: false // Reduce verbosity for batch
                 });
                 
+                // A quarantine policy stopped the record; it ran, but its result is held back
+                const quarantined = result.proof.outcome === 'quarantined';
+                // A record that ran out of budget failed, but the batch moves on
+                const timedOut = result.proof.outcome === 'timeout';
                 results.push({
                     inputFile: fileName,
-                    success: true,
+                    success: !timedOut,
+                    quarantined,
+                    timedOut,
+                    ...(timedOut ? { error: result.proof.timeout.message } : {}),
                     executionId,
                     result
                 });
                 
-                console.log(`     ✅ ${fileName} completed successfully`);
+                if (timedOut) {
+                    console.log(`     ⏱️ ${fileName} timed out: ${result.proof.timeout.message}`);
+                } else if (quarantined) {
+                    console.log(`     🚧 ${fileName} quarantined: ${result.proof.stoppedBy.message}`);
+                } else {
+                    console.log(`     ✅ ${fileName} completed successfully`);
+                }
                 
             } catch (error) {
                 results.push({
@@ -307,11 +293,14 @@ class KernV3Integration {
         
         // Step 5: Generate batch report
         console.log(`\n📊 Batch Processing Complete [batch-${batchId}]`);
-        const successful = results.filter(r => r.success).length;
+        const successful = results.filter(r => r.success && !r.quarantined).length;
+        const quarantined = results.filter(r => r.quarantined).length;
+        const timedOut = results.filter(r => r.timedOut).length;
         const failed = results.filter(r => !r.success).length;
         
         console.log(`   ✅ Successful: ${successful}`);
-        console.log(`   ❌ Failed: ${failed}`);
+        console.log(`   🚧 Quarantined: ${quarantined}`);
+        console.log(`   ❌ Failed: ${failed}${timedOut ? ` (${timedOut} timed out)` : ''}`);
         console.log(`   📈 Success Rate: ${((successful / results.length) * 100).toFixed(1)}%`);
         
         // Save batch report
@@ -326,6 +315,8 @@ class KernV3Integration {
             summary: {
                 total: results.length,
                 successful,
+                quarantined,
+                timedOut,
                 failed,
                 successRate: (successful / results.length) * 100
             },
@@ -509,6 +500,18 @@ if (require.main === module) {
     
     const integration = new KernV3Integration();
     
+    // --max-iterations=N, or undefined to keep the rule file's max_iterations
+    function parseMaxIterations(args) {
+        const value = args.find(arg => arg.startsWith('--max-iterations='))?.split('=')[1];
+        if (value === undefined) return undefined;
+        const maxIterations = Number(value);
+        if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+            console.error(`❌ --max-iterations must be a positive integer, got '${value}'`);
+            process.exit(1);
+        }
+        return maxIterations;
+    }
+    
     async function runCommand() {
         try {
             switch (command) {
@@ -529,8 +532,9 @@ if (require.main === module) {
                     
                     const options = {
                         verbose: args.includes('--verbose'),
-                        haltOnError: args.includes('--halt-on-error'),
-                        maxIterations: args.find(arg => arg.startsWith('--max-iterations='))?.split('=')[1] || '50'
+                        haltOnError: args.includes('--halt-on-error') || undefined,
+                        maxIterations: parseMaxIterations(args),
+                        timeoutMs: Number(args.find(arg => arg.startsWith('--timeout-ms='))?.split('=')[1]) || undefined
                     };
                     
                     await integration.executeYamlWithKern(args[0], args[1], options);
@@ -544,8 +548,9 @@ if (require.main === module) {
                     
                     const batchOptions = {
                         verbose: args.includes('--verbose'),
-                        haltOnError: args.includes('--halt-on-error'),
-                        maxIterations: args.find(arg => arg.startsWith('--max-iterations='))?.split('=')[1] || '50'
+                        haltOnError: args.includes('--halt-on-error') || undefined,
+                        maxIterations: parseMaxIterations(args),
+                        timeoutMs: Number(args.find(arg => arg.startsWith('--timeout-ms='))?.split('=')[1]) || undefined
                     };
                     
                     await integration.batchExecuteYamlWithKern(args[0], args[1], batchOptions);
@@ -637,7 +642,8 @@ Examples:
 Options:
   --verbose                           - Enable verbose output
   --halt-on-error                     - Stop on first error (batch mode)
-  --max-iterations=N                  - Set maximum iterations (default: 50)
+  --max-iterations=N                  - Set maximum iterations (default: the rule file's max_iterations, else 50)
+  --timeout-ms=N                      - Wall-clock budget per record (default: execution constraints)
                     `);
             }
         } catch (error) {
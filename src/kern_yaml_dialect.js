@@ -0,0 +1,445 @@
+/**
+ * 📐 KERN YAML Dialect
+ * Strict validation of YAML rule files against kern_schemas/v3_rulesyaml.json,
+ * and migration of legacy files into that canonical dialect.
+ *
+ * Every problem carries the file, line and column it was found at:
+ *
+ *   rules/test-rules.yaml:11:5: rules[0].when: unknown key 'when'; the condition key is 'if'
+ *
+ * `migrate` rewrites the legacy spellings in place, keeping comments and
+ * layout, and returns the new text with a unified diff:
+ *
+ *   when: <condition>      -> if: <condition>
+ *   no condition           -> if: "true"
+ *   no priority            -> priority: <position in the file>
+ *   no name                -> name: rule_<position in the file>
+ *   no metadata.name       -> the file name; metadata.version -> "1.0.0"
+ *
+ * Those are the values the bridge used to fill in silently. Files written for
+ * higher-priority-runs-first (git-for-logic's old examples) migrate with
+ * `priorities: 'descending'`, which mirrors their priorities so the order holds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const RULESYAML_SCHEMA_PATH = path.join(__dirname, '..', 'kern_schemas', 'v3_rulesyaml.json');
+const RULESCONFIG_SCHEMA_PATH = path.join(__dirname, '..', 'kern_schemas', 'v3_rulesconfig.json');
+
+// Spellings from earlier dialects -> canonical key
+const LEGACY_KEYS = { when: 'if' };
+
+const MIGRATE_HINT = 'node src/yaml_v3_bridge.js migrate rewrites legacy files';
+
+let schemaValidator = null;
+
+function compileSchema() {
+    if (!schemaValidator) {
+        const ajv = new Ajv({ allErrors: true, strict: false });
+        addFormats(ajv);
+        ajv.addSchema(JSON.parse(fs.readFileSync(RULESCONFIG_SCHEMA_PATH, 'utf8')));
+        schemaValidator = ajv.compile(JSON.parse(fs.readFileSync(RULESYAML_SCHEMA_PATH, 'utf8')));
+    }
+    return schemaValidator;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ['rules', 0, 'then', 'a.b'] <-> JSON pointer '/rules/0/then/a.b'
+function toPointer(segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+function fromPointer(pointer) {
+    return pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// rules[0].then["household.combined_income"]
+function displayPath(segments) {
+    if (segments.length === 0) return '(root)';
+    return segments.map((segment, index) => {
+        if (/^\d+$/.test(String(segment))) return `[${segment}]`;
+        if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(segment)) return index === 0 ? segment : `.${segment}`;
+        return `[${JSON.stringify(segment)}]`;
+    }).join('');
+}
+
+function formatProblem(file, problem) {
+    const where = problem.line === undefined ? file : `${file}:${problem.line}:${problem.column}`;
+    return problem.path ? `${where}: ${problem.path}: ${problem.message}` : `${where}: ${problem.message}`;
+}
+
+/**
+ * A rule file that does not parse or does not match the schema.
+ * `problems` holds every finding ({ line, column, path, message }).
+ */
+class YamlDialectError extends Error {
+    constructor(file, problems) {
+        super(`${file} is not valid KERN rule YAML:\n${problems.map(problem => `  ${formatProblem(file, problem)}`).join('\n')}`);
+        this.name = 'YamlDialectError';
+        this.file = file;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Parse YAML and record where every node sits. js-yaml reports one open and
+ * one close event per node; mapping frames hold alternating key and value
+ * nodes, sequence frames their items.
+ *
+ * @returns {{ data, locations: Map<string, { key?, value }> }} spans by JSON pointer
+ */
+function loadLocated(text) {
+    const root = { children: [] };
+    const stack = [root];
+    const data = yaml.load(text, {
+        listener(event, state) {
+            if (event === 'open') {
+                stack.push({ start: state.position, children: [] });
+                return;
+            }
+            const node = stack.pop();
+            node.end = state.position;
+            node.kind = state.kind;
+            node.result = state.result;
+            // Flow collections compose a second node for the same value
+            const [only] = node.children;
+            const wrapper = node.children.length === 1 && typeof node.result === 'object' && only.result === node.result;
+            stack[stack.length - 1].children.push(wrapper ? { ...only, start: node.start } : node);
+        }
+    });
+
+    // Node starts point just past the preceding token: skip blanks and comments
+    const skipBlank = (offset) => {
+        for (;;) {
+            while (offset < text.length && /\s/.test(text[offset])) offset++;
+            if (text[offset] !== '#') return offset;
+            while (offset < text.length && text[offset] !== '\n') offset++;
+        }
+    };
+    const span = (node) => {
+        const start = skipBlank(node.start);
+        let end = Math.max(start, node.end);
+        while (end > start && /\s/.test(text[end - 1])) end--;
+        return { start, end };
+    };
+
+    const locations = new Map();
+    const walk = (node, pointer) => {
+        if (node.kind === 'mapping') {
+            for (let i = 0; i + 1 < node.children.length; i += 2) {
+                const [key, value] = [node.children[i], node.children[i + 1]];
+                const child = `${pointer}${toPointer([key.result])}`;
+                locations.set(child, { key: span(key), value: span(value) });
+                walk(value, child);
+            }
+        } else if (node.kind === 'sequence') {
+            node.children.forEach((item, index) => {
+                const child = `${pointer}/${index}`;
+                locations.set(child, { value: span(item) });
+                walk(item, child);
+            });
+        }
+    };
+    if (root.children.length > 0) {
+        locations.set('', { value: span(root.children[0]) });
+        walk(root.children[0], '');
+    }
+
+    return { data, locations };
+}
+
+class KernYamlDialect {
+    /**
+     * Parse and validate a rule file without throwing.
+     *
+     * @returns {{ file, text, data, locations, problems, locate, error }}
+     *   `locate(segments)` gives { line, column } of a path (or its nearest
+     *   located ancestor); `error(segments, message)` builds a YamlDialectError there.
+     */
+    check(text, file = '<yaml>') {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+        const position = (offset) => {
+            let line = lineStarts.length - 1;
+            while (lineStarts[line] > offset) line--;
+            return { line: line + 1, column: offset - lineStarts[line] + 1 };
+        };
+
+        const document = { file, text, data: undefined, locations: new Map(), problems: [] };
+        document.span = (segments, { key = false } = {}) => {
+            for (let length = segments.length; length >= 0; length--) {
+                const location = document.locations.get(toPointer(segments.slice(0, length)));
+                if (location) return key && location.key ? location.key : location.value;
+            }
+            return { start: 0, end: 0 };
+        };
+        document.locate = (segments, options) => position(document.span(segments, options).start);
+        document.error = (segments, message) => new YamlDialectError(file, [
+            { ...document.locate(segments), path: displayPath(segments), message }
+        ]);
+
+        try {
+            Object.assign(document, loadLocated(text));
+        } catch (error) {
+            if (!(error instanceof yaml.YAMLException)) throw error;
+            const mark = error.mark || {};
+            document.problems.push({
+                line: mark.line === undefined ? undefined : mark.line + 1,
+                column: mark.column === undefined ? undefined : mark.column + 1,
+                path: '',
+                keyword: 'yaml',
+                message: error.reason || error.message
+            });
+            return document;
+        }
+
+        const validate = compileSchema();
+        if (!validate(document.data)) {
+            for (const error of validate.errors) {
+                const problem = this.describe(error, document);
+                if (problem) document.problems.push(problem);
+            }
+        }
+        // A legacy key already explains the missing canonical one
+        const legacy = new Set(document.problems.filter(problem => LEGACY_KEYS[problem.key] && problem.keyword === 'additionalProperties')
+            .map(problem => `${problem.pointer}#${LEGACY_KEYS[problem.key]}`));
+        document.problems = document.problems.filter(problem => !(problem.keyword === 'required' && legacy.has(`${problem.pointer}#${problem.key}`)));
+        document.problems.sort((a, b) => (a.line - b.line) || (a.column - b.column));
+        return document;
+    }
+
+    /**
+     * Parse a rule file, throwing a YamlDialectError listing every problem
+     *
+     * @returns the document from check(), with `data` known to match the schema
+     */
+    load(text, file = '<yaml>') {
+        const document = this.check(text, file);
+        if (document.problems.length > 0) {
+            throw new YamlDialectError(file, document.problems);
+        }
+        return document;
+    }
+
+    // Ajv error -> { line, column, path, message }, or null for noise (if/then wrappers)
+    describe(error, document) {
+        const segments = fromPointer(error.instancePath);
+        const { params } = error;
+        const problem = (at, message, options) => ({
+            ...document.locate(at, options),
+            path: displayPath(at),
+            pointer: error.instancePath,
+            keyword: error.keyword,
+            message
+        });
+
+        // A propertyNames failure is reported twice: once for the name's own
+        // subschema (carrying error.propertyName) and once for the object
+        if (error.propertyName !== undefined) return null;
+
+        switch (error.keyword) {
+            case 'if':
+                return null;
+            case 'propertyNames': {
+                const key = params.propertyName;
+                const message = `'${key}' is not a writable field path: __proto__, constructor and prototype are reserved`;
+                return { ...problem([...segments, key], message, { key: true }), key };
+            }
+            case 'additionalProperties': {
+                const key = params.additionalProperty;
+                const canonical = LEGACY_KEYS[key];
+                const message = canonical
+                    ? `unknown key '${key}'; the condition key is '${canonical}' (${MIGRATE_HINT})`
+                    : `unknown key '${key}'`;
+                return { ...problem([...segments, key], message, { key: true }), key };
+            }
+            case 'required': {
+                const key = params.missingProperty;
+                return { ...problem(segments, `missing required key '${key}'`, { key: true }), key };
+            }
+            case 'enum':
+                return problem(segments, `must be one of ${params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`);
+            case 'type':
+                return problem(segments, `must be ${String(params.type).split(',').join(', ').replace(/, (\w+)$/, ' or $1')}`);
+            default:
+                return problem(segments, error.message);
+        }
+    }
+
+    /**
+     * Rewrite a legacy rule file into the canonical dialect.
+     *
+     * @param {object} options - { file, priorities: 'ascending' (default) | 'descending' }
+     * @returns {{ text, changes: string[], diff }} changes is empty for a canonical file
+     * @throws YamlDialectError for problems migration cannot fix (positions in the original)
+     */
+    migrate(text, { file = '<yaml>', priorities = 'ascending' } = {}) {
+        if (!['ascending', 'descending'].includes(priorities)) {
+            throw new Error(`priorities must be 'ascending' or 'descending', got '${priorities}'`);
+        }
+
+        const document = this.check(text, file);
+        if (document.problems.some(problem => problem.keyword === 'yaml')) {
+            throw new YamlDialectError(file, document.problems);
+        }
+
+        const data = isPlainObject(document.data) ? document.data : {};
+        const edits = [];
+        const changes = [];
+        const fixed = new Set();
+        const fix = (segments, key) => fixed.add(`${toPointer(segments)}#${key}`);
+
+        // metadata.name / metadata.version
+        const id = path.basename(file, path.extname(file));
+        if (data.metadata === undefined) {
+            edits.push({ start: 0, end: 0, text: `metadata:\n  name: ${id}\n  version: "1.0.0"\n\n` });
+            changes.push(`metadata: added name '${id}', version 1.0.0`);
+            fix([], 'metadata');
+        } else if (isPlainObject(data.metadata)) {
+            const lines = [];
+            if (data.metadata.name === undefined) lines.push(`name: ${id}`);
+            if (data.metadata.version === undefined) lines.push('version: "1.0.0"');
+            if (lines.length > 0) {
+                edits.push(this.insertKeys(document, ['metadata'], Object.keys(data.metadata)[0], lines));
+                changes.push(`metadata: added ${lines.join(', ')}`);
+                ['name', 'version'].forEach(key => fix(['metadata'], key));
+            }
+        }
+
+        const rules = Array.isArray(data.rules) ? data.rules : [];
+        const given = rules.filter(isPlainObject).map(rule => rule.priority).filter(Number.isInteger);
+        const mirror = Math.min(...given) + Math.max(...given);
+
+        rules.forEach((rule, index) => {
+            if (!isPlainObject(rule)) return;
+            const at = ['rules', index];
+            const label = `rules[${index}] (${rule.name || `rule_${index + 1}`})`;
+            const lines = [];
+
+            if (rule.name === undefined) {
+                lines.push(`name: rule_${index + 1}`);
+                fix(at, 'name');
+            }
+            if (rule.priority === undefined) {
+                lines.push(`priority: ${index + 1}`);
+                fix(at, 'priority');
+            } else if (priorities === 'descending' && Number.isInteger(rule.priority) && mirror - rule.priority !== rule.priority) {
+                const span = document.span([...at, 'priority']);
+                edits.push({ ...span, text: String(mirror - rule.priority) });
+                changes.push(`${label}: priority ${rule.priority} -> ${mirror - rule.priority}`);
+            }
+            if (rule.when !== undefined && rule.if === undefined) {
+                edits.push({ ...document.span([...at, 'when'], { key: true }), text: 'if' });
+                changes.push(`${label}: when -> if`);
+                fix(at, 'when');
+                fix(at, 'if');
+            } else if (rule.when === undefined && rule.if === undefined) {
+                lines.push('if: "true"');
+                fix(at, 'if');
+            }
+
+            if (lines.length > 0) {
+                const anchor = ['priority', 'name'].filter(key => rule[key] !== undefined)
+                    .sort((a, b) => document.span([...at, b]).end - document.span([...at, a]).end)[0];
+                edits.push(this.insertKeys(document, at, anchor || Object.keys(rule)[0], lines));
+                changes.push(`${label}: added ${lines.join(', ')}`);
+            }
+        });
+
+        const remaining = document.problems.filter(problem => !fixed.has(`${problem.pointer}#${problem.key}`));
+        if (remaining.length > 0) {
+            throw new YamlDialectError(file, remaining);
+        }
+
+        let migrated = text;
+        for (const edit of edits.sort((a, b) => b.start - a.start)) {
+            migrated = migrated.slice(0, edit.start) + edit.text + migrated.slice(edit.end);
+        }
+        // Every fix above must leave a valid file; anything else is a migrate bug
+        this.load(migrated, file);
+
+        return { text: migrated, changes, diff: unifiedDiff(text, migrated, file) };
+    }
+
+    /**
+     * Edit that adds `key: value` lines to a mapping after its `anchor` entry,
+     * at the anchor's indentation (or inside the braces of a flow mapping)
+     */
+    insertKeys(document, segments, anchor, lines) {
+        const { text } = document;
+        const mapping = document.span(segments);
+        if (text[mapping.start] === '{') {
+            return { start: mapping.end - 1, end: mapping.end - 1, text: `, ${lines.join(', ')}` };
+        }
+
+        const key = document.span([...segments, anchor], { key: true });
+        const column = key.start - (text.lastIndexOf('\n', key.start - 1) + 1);
+        const valueEnd = document.span([...segments, anchor]).end;
+        const lineEnd = text.indexOf('\n', valueEnd);
+        const start = lineEnd === -1 ? text.length : lineEnd;
+        return { start, end: start, text: lines.map(line => `\n${' '.repeat(column)}${line}`).join('') };
+    }
+}
+
+/**
+ * Line-based unified diff (3 lines of context), '' when nothing changed
+ */
+function unifiedDiff(before, after, file, context = 3) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i], i: i++, j: j++ });
+        } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+            ops.push({ type: '-', line: a[i], i: i++, j });
+        } else {
+            ops.push({ type: '+', line: b[j], i, j: j++ });
+        }
+    }
+
+    const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changed.length === 0) return '';
+
+    const hunks = [];
+    for (const index of changed) {
+        const last = hunks[hunks.length - 1];
+        if (last && index - last.to - 1 <= 2 * context) last.to = index;
+        else hunks.push({ from: index, to: index });
+    }
+
+    const out = [`--- a/${file}`, `+++ b/${file}`];
+    for (const hunk of hunks) {
+        const slice = ops.slice(Math.max(0, hunk.from - context), Math.min(ops.length, hunk.to + context + 1));
+        const oldCount = slice.filter(op => op.type !== '+').length;
+        const newCount = slice.filter(op => op.type !== '-').length;
+        const oldStart = slice[0].i + (oldCount > 0 ? 1 : 0);
+        const newStart = slice[0].j + (newCount > 0 ? 1 : 0);
+        out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        slice.forEach(op => out.push(`${op.type}${op.line}`));
+    }
+    return `${out.join('\n')}\n`;
+}
+
+module.exports = KernYamlDialect;
+module.exports.YamlDialectError = YamlDialectError;
+module.exports.unifiedDiff = unifiedDiff;
+module.exports.formatProblem = formatProblem;
@@ -8,10 +8,9 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { spawn } = require('child_process');
 
-// Import your existing bridges
-const YamlToKernBridge = require('./yaml_to_kern_bridge');
+const YamlToV3RulesConfigBridge = require('./yaml_v3_bridge');
+const KernPlanAdapter = require('./kern_plan_adapter');
 const KernSqlitePersistence = require('./sqlite-persistence-layer');
 
 class SimplifiedKernEngine {
@@ -20,16 +19,19 @@ class SimplifiedKernEngine {
     this.dataDir = options.dataDir || './data';
     this.outputDir = options.outputDir || './output';
     this.dbPath = options.dbPath || './database/kern_state.db';
+    // Progress output of the pipeline and every component it drives
+    this.log = options.logger || console.log;
     
     // Initialize components
-    this.yamlBridge = new YamlToKernBridge();
-    this.persistence = options.usePersistence ? new KernSqlitePersistence(this.dbPath) : null;
+    this.yamlBridge = new YamlToV3RulesConfigBridge({ logger: this.log });
+    this.planAdapter = new KernPlanAdapter({ logger: this.log });
+    this.persistence = options.usePersistence ? new KernSqlitePersistence(this.dbPath, { logger: this.log }) : null;
     
     this.ensureDirectories();
   }
 
   ensureDirectories() {
-    [this.rulesDir, this.dataDir, this.outputDir, './database', './exports'].forEach(dir => {
+    [this.rulesDir, this.dataDir, this.outputDir, path.dirname(this.dbPath)].forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
@@ -41,36 +43,27 @@ class SimplifiedKernEngine {
    */
   async execute(yamlFile, inputData, options = {}) {
     const executionId = this.generateExecutionId();
-    console.log(`🎯 KERN Direct Pipeline: ${executionId}`);
+    this.log(`🎯 KERN Direct Pipeline: ${executionId}`);
     
     try {
       // Step 1: Convert YAML to KERN format
-      console.log('\n📋 Converting YAML to KERN format...');
+      this.log('\n📋 Converting YAML to KERN format...');
       const yamlPath = path.join(this.rulesDir, yamlFile);
-      const conversion = this.yamlBridge.convert(yamlPath);
+      const conversion = this.convertRules(yamlPath);
       
-      // Step 2: Prepare input data
-      console.log('\n🔧 Preparing execution...');
-      const inputPath = path.join('./temp', `input_${executionId}.json`);
-      fs.mkdirSync('./temp', { recursive: true });
-      fs.writeFileSync(inputPath, JSON.stringify(inputData, null, 2));
+      // Step 2: Execute with KERN v3 engine
+      this.log('\n⚡ Executing with KERN v3...');
+      const result = await this.executeKernEngine(conversion.outputPath, inputData, { ...options, executionId });
       
-      // Step 3: Execute with KERN v3 engine
-      console.log('\n⚡ Executing with KERN v3...');
-      const result = await this.executeKernEngine(conversion.outputPath, inputPath, options);
-      
-      // Step 4: Store results and audit trail
+      // Step 3: Store results and audit trail
       if (this.persistence) {
         await this.storeExecution(executionId, conversion, inputData, result);
       }
       
-      // Step 5: Generate report
+      // Step 4: Generate report
       const report = this.generateReport(executionId, conversion, result);
       
-      // Cleanup
-      fs.unlinkSync(inputPath);
-      
-      console.log(`\n✅ Pipeline complete: ${executionId}`);
+      this.log(`\n✅ Pipeline complete: ${executionId}`);
       return { executionId, result, report, conversion };
       
     } catch (error) {
@@ -80,101 +73,73 @@ class SimplifiedKernEngine {
   }
 
   /**
-   * Execute KERN v3 runtime as subprocess
+   * YAML → v3_rulesconfig → KERN plan, both written to the output directory.
+   * kernData is the v3_rulesconfig: it is stored as the rule version, and
+   * replay rebuilds the plan from it.
    */
-  async executeKernEngine(planPath, inputPath, options = {}) {
-    return new Promise((resolve, reject) => {
-      const args = [
-        './kern_runtime_v3_full.ts',
-        '--input', inputPath,
-        '--plan', planPath,
-        '--logLevel', options.logLevel || 'normal'
-      ];
-      
-      if (options.haltOnError) args.push('--haltOnError');
-      
-      const kernProcess = spawn('ts-node', args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        cwd: process.cwd()
-      });
-      
-      let stdout = '';
-      let stderr = '';
-      
-      kernProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        stdout += output;
-        if (options.logLevel !== 'quiet') {
-          console.log(output.trim());
-        }
-      });
-      
-      kernProcess.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-      
-      kernProcess.on('close', (code) => {
-        if (code === 0) {
-          try {
-            // Parse execution results
-            const result = this.parseKernOutput(stdout);
-            resolve(result);
-          } catch (parseError) {
-            reject(new Error(`Failed to parse KERN output: ${parseError.message}`));
-          }
-        } else {
-          reject(new Error(`KERN execution failed (code ${code}): ${stderr}`));
-        }
-      });
-      
-      kernProcess.on('error', (error) => {
-        reject(new Error(`Failed to start KERN process: ${error.message}`));
-      });
-    });
-  }
+  convertRules(yamlPath) {
+    const baseName = path.basename(yamlPath, path.extname(yamlPath));
+    const v3Result = this.yamlBridge.convertYamlToV3RulesConfig(
+      yamlPath, path.join(this.outputDir, `${baseName}_v3_rulesconfig.json`));
+    if (!v3Result.success) {
+      throw new Error(`YAML to v3 conversion failed: ${v3Result.error}`);
+    }
 
-  /**
-   * Parse KERN v3 output and extract results
-   */
-  parseKernOutput(stdout) {
-    try {
-      // Extract final state
-      const finalStateMatch = stdout.match(/📊 Final State:\s*(\{[\s\S]*?\})\s*🔍/);
-      const finalState = finalStateMatch ? JSON.parse(finalStateMatch[1]) : null;
-      
-      // Extract verification proof
-      const proofMatch = stdout.match(/🔍 Verification Proof:\s*(\{[\s\S]*?\})\s*/);
-      const proof = proofMatch ? JSON.parse(proofMatch[1]) : null;
-      
-      // Extract metrics if available
-      let metrics = null;
-      if (fs.existsSync('./metrics_snapshot.json')) {
-        metrics = JSON.parse(fs.readFileSync('./metrics_snapshot.json', 'utf8'));
-      }
-      
-      // Extract violations if available
-      let violations = [];
-      if (fs.existsSync('./audit/violations_audit.json')) {
-        violations = JSON.parse(fs.readFileSync('./audit/violations_audit.json', 'utf8'));
-      }
-      
-      return {
-        finalState,
-        proof,
-        metrics,
-        violations,
-        rawOutput: stdout,
-        executionTime: this.extractExecutionTime(stdout)
-      };
-      
-    } catch (error) {
-      throw new Error(`Failed to parse KERN output: ${error.message}`);
+    const planResult = this.planAdapter.adaptV3RulesConfigToPlan(v3Result.outputPath);
+    if (!planResult.success) {
+      throw new Error(`Plan adaptation failed: ${planResult.error}`);
     }
+
+    return {
+      outputPath: planResult.outputPath,
+      kernData: v3Result.v3RulesConfig,
+      hash: v3Result.hash,
+      summary: { rulesCount: v3Result.rulesCount, version: v3Result.v3RulesConfig.ruleSet.version }
+    };
   }
 
-  extractExecutionTime(stdout) {
-    const timeMatch = stdout.match(/complete in (\d+)ms/);
-    return timeMatch ? parseInt(timeMatch[1]) : 0;
+  /**
+   * Execute KERN v3 runtime in-process via the library API
+   */
+  async executeKernEngine(planPath, input, options = {}) {
+    const { createEngine } = require('./kern_engine');
+    const engine = createEngine({ plan: planPath });
+    
+    const ticks = [];
+    const result = await engine.execute(input, {
+      haltOnError: Boolean(options.haltOnError),
+      logLevel: options.logLevel || 'normal',
+      logger: this.log,
+      executionId: options.executionId,
+      onTick: record => ticks.push(record)
+    });
+    
+    return {
+      finalState: result.state,
+      proof: result.proof,
+      metrics: result.metrics,
+      violations: result.auditTrail,
+      snapshots: result.snapshots,
+      provenance: result.provenance,
+      ticks,
+      // What replay needs to reproduce the run besides the rules and input
+      runtimeOptions: {
+        seed: result.proof.seed,
+        asOf: result.proof.asOf,
+        haltOnError: Boolean(options.haltOnError)
+      },
+      // The instances the engine ran with, so replay does not pick up today's files;
+      // null (no instance) stays null instead of falling back to the manifest
+      engineConfig: {
+        manifest: engine.manifest,
+        invariants: engine.invariants,
+        execution: engine.execution ?? null,
+        ledger: engine.ledger ?? null
+      },
+      // execution.stateManagement.compression applies to stored snapshots
+      snapshotCompression: engine.execution?.execution?.stateManagement?.compression ? 'gzip' : 'none',
+      executionTime: result.metrics.snapshot.timing.durationMs
+    };
   }
 
   /**
@@ -188,16 +153,34 @@ class SimplifiedKernEngine {
     // Store rule version
     const ruleVersion = await this.persistence.storeRuleVersion(conversion.kernData);
     
-    // Start execution record
-    await this.persistence.startExecution(executionId, ruleVersion.id, inputData);
+    // Start execution record; a resumed run links to the execution it was rolled back from
+    const parent = result.proof?.parent;
+    await this.persistence.startExecution(executionId, ruleVersion.id, inputData, {
+      parentExecutionId: parent?.executionId,
+      resumedFromTick: parent?.tick,
+      runtimeOptions: result.runtimeOptions,
+      engineConfig: result.engineConfig
+    });
+
+    // Tick-by-tick states, so a replay can name the first tick that diverges
+    await this.persistence.logExecutionTicks(executionId, inputData, result.ticks);
+    await this.persistence.logFieldProvenance(executionId, result.provenance);
+
+    // Rollback points, so the execution can be resumed from the database later
+    if (result.snapshots?.length) {
+      await this.persistence.saveExecutionSnapshots(executionId, result.snapshots, {
+        compression: result.snapshotCompression
+      });
+    }
     
     // Complete execution
     await this.persistence.completeExecution(executionId, result.finalState, {
       actualIterations: result.proof?.ticks || 0,
+      finalHash: result.proof?.finalHash,
       violationsCount: result.violations.length
     });
     
-    console.log(`💾 Execution stored in database: ${executionId}`);
+    this.log(`💾 Execution stored in database: ${executionId}`);
   }
 
   /**
@@ -226,7 +209,7 @@ class SimplifiedKernEngine {
     const reportPath = path.join(this.outputDir, `report_${executionId}.json`);
     fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
     
-    console.log(`📊 Report saved: ${reportPath}`);
+    this.log(`📊 Report saved: ${reportPath}`);
     return report;
   }
 
@@ -235,12 +218,12 @@ class SimplifiedKernEngine {
    */
   async batchProcess(yamlFile, csvFile, options = {}) {
     const csvData = this.loadCsvData(csvFile);
-    console.log(`📦 Batch processing ${csvData.length} records\n`);
+    this.log(`📦 Batch processing ${csvData.length} records\n`);
     
     const results = [];
     for (let i = 0; i < csvData.length; i++) {
       const record = csvData[i];
-      console.log(`--- Record ${i + 1}/${csvData.length}: ${record.name || record.id || `Record ${i + 1}`} ---`);
+      this.log(`--- Record ${i + 1}/${csvData.length}: ${record.name || record.id || `Record ${i + 1}`} ---`);
       
       try {
         const result = await this.execute(yamlFile, record, options);
@@ -268,7 +251,7 @@ class SimplifiedKernEngine {
       failed: results.filter(r => !r.success).length
     };
     
-    console.log(`\n📈 Batch complete:`, summary);
+    this.log(`\n📈 Batch complete:`, summary);
     return { results, summary };
   }
 
@@ -6,15 +6,42 @@
  */
 
 const sqlite3 = require('sqlite3').verbose();
-const crypto = require('crypto');
+const { canonicalHash } = require('./kern_canonical');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+
+// Dotted path → JSON-encoded leaf, for field-level diffs of stored states
+function leafValues(value, prefix = '', out = {}) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        for (const [key, child] of Object.entries(value)) {
+            leafValues(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (prefix) {
+        out[prefix] = JSON.stringify(value);
+    }
+    return out;
+}
+
+function diffFields(stored, replayed) {
+    const a = leafValues(stored);
+    const b = leafValues(replayed);
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => a[field] !== b[field])
+        .sort()
+        .map(field => ({ field, stored: a[field] ?? 'undefined', replayed: b[field] ?? 'undefined' }));
+}
 
 class KernSqlitePersistence {
-    constructor(dbPath = './database/kern_state.db') {
+    /**
+     * @param {string} dbPath
+     * @param {object} options - { logger: progress output (default console.log) }
+     */
+    constructor(dbPath = './database/kern_state.db', options = {}) {
         this.dbPath = dbPath;
         this.db = null;
         this.isInitialized = false;
+        this.log = options.logger || console.log;
     }
 
     /**
@@ -34,7 +61,7 @@ class KernSqlitePersistence {
                     return;
                 }
                 
-                console.log(`📁 SQLite database opened: ${this.dbPath}`);
+                this.log(`📁 SQLite database opened: ${this.dbPath}`);
                 this.createTables()
                     .then(() => {
                         this.isInitialized = true;
@@ -62,7 +89,7 @@ class KernSqlitePersistence {
                 rules_json TEXT NOT NULL,
                 rules_hash TEXT NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(rule_set_id, version)
+                UNIQUE(rules_hash)
             )`,
 
             // Execution sessions 
@@ -81,7 +108,12 @@ class KernSqlitePersistence {
                 started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 completed_at DATETIME,
                 duration_ms INTEGER,
-                error_message TEXT
+                error_message TEXT,
+                parent_execution_id TEXT REFERENCES executions(execution_id),
+                resumed_from_tick INTEGER,
+                execution_options TEXT,
+                engine_config TEXT,
+                proof_hash TEXT
             )`,
 
             // MNEME audit trail - tick-by-tick execution log
@@ -137,6 +169,19 @@ class KernSqlitePersistence {
                 compression TEXT DEFAULT 'none',
                 timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
                 UNIQUE(execution_id, tick, snapshot_type)
+            )`,
+
+            // Field provenance: every write and the operand values it was computed from
+            `CREATE TABLE IF NOT EXISTS field_provenance (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                execution_id TEXT REFERENCES executions(execution_id),
+                seq INTEGER NOT NULL,
+                tick INTEGER NOT NULL,
+                field_path TEXT NOT NULL,
+                rule_name TEXT,
+                primitive_name TEXT,
+                write_data TEXT NOT NULL,
+                UNIQUE(execution_id, seq)
             )`
         ];
 
@@ -147,7 +192,9 @@ class KernSqlitePersistence {
             `CREATE INDEX IF NOT EXISTS idx_mneme_execution_tick ON mneme_ledger(execution_id, tick)`,
             `CREATE INDEX IF NOT EXISTS idx_violations_execution ON invariant_violations(execution_id)`,
             `CREATE INDEX IF NOT EXISTS idx_metrics_execution ON execution_metrics(execution_id, metric_name)`,
-            `CREATE INDEX IF NOT EXISTS idx_snapshots_execution ON state_snapshots(execution_id, tick)`
+            `CREATE INDEX IF NOT EXISTS idx_snapshots_execution ON state_snapshots(execution_id, tick)`,
+            `CREATE INDEX IF NOT EXISTS idx_executions_parent ON executions(parent_execution_id)`,
+            `CREATE INDEX IF NOT EXISTS idx_provenance_field ON field_provenance(execution_id, field_path)`
         ];
 
         // Execute table creation first
@@ -155,12 +202,22 @@ class KernSqlitePersistence {
             await this.executeStatement(statement);
         }
 
+        // Older databases lack the parent link and what replay needs
+        await this.addMissingColumns('executions', {
+            parent_execution_id: 'TEXT REFERENCES executions(execution_id)',
+            resumed_from_tick: 'INTEGER',
+            execution_options: 'TEXT',
+            engine_config: 'TEXT',
+            proof_hash: 'TEXT'
+        });
+        await this.keyRuleVersionsByHash();
+
         // Then create indexes
         for (const statement of indexStatements) {
             await this.executeStatement(statement);
         }
         
-        console.log('✅ Database schema initialized');
+        this.log('✅ Database schema initialized');
     }
 
     /**
@@ -179,18 +236,62 @@ class KernSqlitePersistence {
     }
 
     /**
-     * Store rule version in database
+     * ALTER TABLE ADD COLUMN for each column the table does not have yet
+     */
+    async addMissingColumns(table, columns) {
+        const existing = await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) =>
+                err ? reject(new Error(`Migration failed: ${err.message}`)) : resolve(rows.map(row => row.name)));
+        });
+
+        for (const [name, definition] of Object.entries(columns)) {
+            if (!existing.includes(name)) {
+                await this.executeStatement(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+            }
+        }
+    }
+
+    /**
+     * Older databases keyed rule_versions by (rule_set_id, version), so storing
+     * changed rules under the same version replaced the row executions point
+     * at. Rebuild the table keyed by rules_hash, keeping every id.
+     */
+    async keyRuleVersionsByHash() {
+        const table = await new Promise((resolve, reject) => {
+            this.db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'rule_versions'`, (err, row) =>
+                err ? reject(new Error(`Migration failed: ${err.message}`)) : resolve(row));
+        });
+        if (!table || !/UNIQUE\s*\(\s*rule_set_id\s*,\s*version\s*\)/i.test(table.sql)) return;
+
+        await this.executeStatement(table.sql
+            .replace(/rule_versions/, 'rule_versions_by_hash')
+            .replace(/UNIQUE\s*\(\s*rule_set_id\s*,\s*version\s*\)/i, 'UNIQUE(rules_hash)'));
+        await this.executeStatement(`INSERT INTO rule_versions_by_hash SELECT * FROM rule_versions`);
+        await this.executeStatement(`DROP TABLE rule_versions`);
+        await this.executeStatement(`ALTER TABLE rule_versions_by_hash RENAME TO rule_versions`);
+    }
+
+    /**
+     * Store a rule version, or return the row that already holds the same
+     * rules. Rows are never replaced: executions reference them by id and
+     * replay reads them back.
      */
     async storeRuleVersion(ruleSetData) {
         const rulesJson = JSON.stringify(ruleSetData);
-        const rulesHash = this.generateHash(rulesJson);
+        const rulesHash = this.generateHash(ruleSetData);
+
+        const existingId = await this.getRuleVersionIdByHash(rulesHash);
+        if (existingId !== null) {
+            return { id: existingId, hash: rulesHash };
+        }
         
         const stmt = `
-            INSERT OR REPLACE INTO rule_versions 
+            INSERT INTO rule_versions 
             (rule_set_id, version, name, description, domain, author, rules_json, rules_hash)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
+        const log = this.log;
         return new Promise((resolve, reject) => {
             this.db.run(stmt, [
                 ruleSetData.ruleSet.id,
@@ -205,7 +306,7 @@ class KernSqlitePersistence {
                 if (err) {
                     reject(new Error(`Failed to store rule version: ${err.message}`));
                 } else {
-                    console.log(`✅ Stored rule version: ${ruleSetData.ruleSet.id} v${ruleSetData.ruleSet.version}`);
+                    log(`✅ Stored rule version: ${ruleSetData.ruleSet.id} v${ruleSetData.ruleSet.version}`);
                     resolve({ id: this.lastID, hash: rulesHash });
                 }
             });
@@ -239,18 +340,24 @@ class KernSqlitePersistence {
     }
 
     /**
-     * Start new execution session
+     * Start new execution session. A resumed execution passes
+     * options.parentExecutionId and options.resumedFromTick;
+     * options.runtimeOptions (seed, asOf, haltOnError, ...) and
+     * options.engineConfig (the manifest, invariant, execution and ledger
+     * instances the engine ran with) are kept for replay.
      */
     async startExecution(executionId, ruleVersionId, inputData, options = {}) {
         const inputJson = JSON.stringify(inputData);
-        const inputHash = this.generateHash(inputJson);
+        const inputHash = this.generateHash(inputData);
         
         const stmt = `
             INSERT INTO executions 
-            (execution_id, rule_version_id, input_data, input_hash, execution_mode, max_iterations)
-            VALUES (?, ?, ?, ?, ?, ?)
+            (execution_id, rule_version_id, input_data, input_hash, execution_mode, max_iterations,
+             parent_execution_id, resumed_from_tick, execution_options, engine_config)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
+        const log = this.log;
         return new Promise((resolve, reject) => {
             this.db.run(stmt, [
                 executionId,
@@ -258,12 +365,16 @@ class KernSqlitePersistence {
                 inputJson,
                 inputHash,
                 options.executionMode || 'priority_ordered',
-                options.maxIterations || 50
+                options.maxIterations || 50,
+                options.parentExecutionId || null,
+                options.resumedFromTick ?? null,
+                options.runtimeOptions ? JSON.stringify(options.runtimeOptions) : null,
+                options.engineConfig ? JSON.stringify(options.engineConfig) : null
             ], function(err) {
                 if (err) {
                     reject(new Error(`Failed to start execution: ${err.message}`));
                 } else {
-                    console.log(`🚀 Started execution: ${executionId}`);
+                    log(`🚀 Started execution: ${executionId}`);
                     resolve({ id: this.lastID, inputHash });
                 }
             });
@@ -275,7 +386,7 @@ class KernSqlitePersistence {
      */
     async logMnemeEntry(executionId, tick, primitive, ruleName, input, output, stateBefore, stateAfter) {
         const stateAfterJson = JSON.stringify(stateAfter);
-        const stateHash = this.generateHash(stateAfterJson);
+        const stateHash = this.generateHash(stateAfter);
         
         const stmt = `
             INSERT INTO mneme_ledger
@@ -316,6 +427,7 @@ class KernSqlitePersistence {
             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
+        const log = this.log;
         return new Promise((resolve, reject) => {
             this.db.run(stmt, [
                 executionId,
@@ -330,7 +442,7 @@ class KernSqlitePersistence {
                 if (err) {
                     reject(new Error(`Failed to log violation: ${err.message}`));
                 } else {
-                    console.log(`⚠️ Logged violation: ${violationType} at tick ${tick}`);
+                    log(`⚠️ Logged violation: ${violationType} at tick ${tick}`);
                     resolve({ violationId: this.lastID });
                 }
             });
@@ -338,32 +450,101 @@ class KernSqlitePersistence {
     }
 
     /**
-     * Complete execution with final results
+     * Log every tick of a finished execution (the runtime's onTick records) in one transaction
+     */
+    async logExecutionTicks(executionId, initialState, ticks) {
+        await this.executeStatement('BEGIN');
+        try {
+            let stateBefore = initialState;
+            for (const record of ticks) {
+                await this.logMnemeEntry(executionId, record.tick, record.primitive, record.ruleId || null,
+                    record.input, record.output, stateBefore, record.state);
+                stateBefore = record.state;
+            }
+            await this.executeStatement('COMMIT');
+        } catch (error) {
+            await this.executeStatement('ROLLBACK');
+            throw error;
+        }
+        return { logged: ticks.length };
+    }
+
+    /**
+     * Store the runtime's field writes (ExecutionOutput.provenance) in one transaction
+     */
+    async logFieldProvenance(executionId, writes) {
+        const stmt = `
+            INSERT OR REPLACE INTO field_provenance
+            (execution_id, seq, tick, field_path, rule_name, primitive_name, write_data)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await this.executeStatement('BEGIN');
+        try {
+            for (const write of writes) {
+                await new Promise((resolve, reject) => {
+                    this.db.run(stmt, [
+                        executionId,
+                        write.seq,
+                        write.tick,
+                        write.field,
+                        write.ruleId || null,
+                        write.primitive,
+                        JSON.stringify(write)
+                    ], (err) => err ? reject(new Error(`Failed to log provenance: ${err.message}`)) : resolve());
+                });
+            }
+            await this.executeStatement('COMMIT');
+        } catch (error) {
+            await this.executeStatement('ROLLBACK');
+            throw error;
+        }
+        return { logged: writes.length };
+    }
+
+    /**
+     * Field writes of an execution in write order
+     */
+    async getFieldProvenance(executionId) {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT write_data FROM field_provenance WHERE execution_id = ? ORDER BY seq ASC',
+                [executionId],
+                (err, rows) => err ? reject(new Error(`Failed to get provenance: ${err.message}`)) : resolve(rows)
+            );
+        });
+        return rows.map(row => JSON.parse(row.write_data));
+    }
+
+    /**
+     * Complete execution with final results; metrics.finalHash is the runtime proof's hash
      */
     async completeExecution(executionId, outputData, metrics = {}) {
         const outputJson = JSON.stringify(outputData);
-        const outputHash = this.generateHash(outputJson);
+        const outputHash = this.generateHash(outputData);
         
         const stmt = `
             UPDATE executions 
             SET output_data = ?, output_hash = ?, execution_status = 'completed',
                 completed_at = datetime('now'), 
                 duration_ms = (julianday(datetime('now')) - julianday(started_at)) * 86400000,
-                actual_iterations = ?
+                actual_iterations = ?, proof_hash = ?
             WHERE execution_id = ?
         `;
         
+        const log = this.log;
         return new Promise((resolve, reject) => {
             this.db.run(stmt, [
                 outputJson,
                 outputHash,
                 metrics.actualIterations || 0,
+                metrics.finalHash || null,
                 executionId
             ], function(err) {
                 if (err) {
                     reject(new Error(`Failed to complete execution: ${err.message}`));
                 } else {
-                    console.log(`✅ Completed execution: ${executionId}`);
+                    log(`✅ Completed execution: ${executionId}`);
                     resolve({ outputHash, changes: this.changes });
                 }
             });
@@ -371,16 +552,23 @@ class KernSqlitePersistence {
     }
 
     /**
-     * Save state snapshot for debugging
+     * Save state snapshot for debugging and rollback.
+     * options.compression 'gzip' stores the JSON gzipped and base64-encoded;
+     * options.stateHash overrides the hash of `state` (checkpoints hash the state they wrap).
      */
-    async saveStateSnapshot(executionId, tick, state, snapshotType = 'iteration') {
+    async saveStateSnapshot(executionId, tick, state, snapshotType = 'iteration', options = {}) {
+        const compression = options.compression || 'none';
+        if (!['none', 'gzip'].includes(compression)) {
+            throw new Error(`Unsupported snapshot compression: ${compression}`);
+        }
         const stateJson = JSON.stringify(state);
-        const stateHash = this.generateHash(stateJson);
+        const stateData = compression === 'gzip' ? zlib.gzipSync(stateJson).toString('base64') : stateJson;
+        const stateHash = options.stateHash || this.generateHash(state);
         
         const stmt = `
             INSERT OR REPLACE INTO state_snapshots
-            (execution_id, tick, snapshot_type, state_data, state_hash)
-            VALUES (?, ?, ?, ?, ?)
+            (execution_id, tick, snapshot_type, state_data, state_hash, compression)
+            VALUES (?, ?, ?, ?, ?, ?)
         `;
         
         return new Promise((resolve, reject) => {
@@ -388,8 +576,9 @@ class KernSqlitePersistence {
                 executionId,
                 tick,
                 snapshotType,
-                stateJson,
-                stateHash
+                stateData,
+                stateHash,
+                compression
             ], function(err) {
                 if (err) {
                     reject(new Error(`Failed to save snapshot: ${err.message}`));
@@ -400,6 +589,60 @@ class KernSqlitePersistence {
         });
     }
 
+    /**
+     * Save the runtime's rollback points (ExecutionOutput.snapshots) as 'checkpoint' snapshots
+     */
+    async saveExecutionSnapshots(executionId, snapshots, options = {}) {
+        for (const snapshot of snapshots) {
+            await this.saveStateSnapshot(executionId, snapshot.tick, snapshot, 'checkpoint', {
+                ...options,
+                stateHash: snapshot.stateHash
+            });
+        }
+        return { saved: snapshots.length };
+    }
+
+    /**
+     * Snapshots of an execution in tick order, decompressed and parsed.
+     * For 'checkpoint' rows `state` is the runtime's full ExecutionSnapshot.
+     */
+    async getStateSnapshots(executionId, snapshotType = null) {
+        const stmt = `
+            SELECT * FROM state_snapshots
+            WHERE execution_id = ? AND (? IS NULL OR snapshot_type = ?)
+            ORDER BY tick ASC
+        `;
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(stmt, [executionId, snapshotType, snapshotType], (err, rows) =>
+                err ? reject(new Error(`Failed to get snapshots: ${err.message}`)) : resolve(rows));
+        });
+
+        return rows.map(row => ({
+            tick: row.tick,
+            snapshotType: row.snapshot_type,
+            stateHash: row.state_hash,
+            state: JSON.parse(row.compression === 'gzip'
+                ? zlib.gunzipSync(Buffer.from(row.state_data, 'base64')).toString('utf8')
+                : row.state_data),
+            timestamp: row.timestamp
+        }));
+    }
+
+    /**
+     * Executions resumed from this one, oldest first
+     */
+    async getChildExecutions(executionId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT execution_id, resumed_from_tick, execution_status, output_hash, started_at
+                 FROM executions WHERE parent_execution_id = ? ORDER BY started_at ASC, id ASC`,
+                [executionId],
+                (err, rows) => err ? reject(new Error(`Failed to get child executions: ${err.message}`)) : resolve(rows)
+            );
+        });
+    }
+
     /**
      * Query execution history
      */
@@ -453,13 +696,11 @@ class KernSqlitePersistence {
     }
 
     /**
-     * Generate deterministic hash
+     * Generate deterministic hash (canonical JSON, full SHA-256 - comparable
+     * with the runtime proof and ledger hashes)
      */
     generateHash(data) {
-        return crypto.createHash('sha256')
-            .update(typeof data === 'string' ? data : JSON.stringify(data))
-            .digest('hex')
-            .substring(0, 16); // 16-char hash for readability
+        return canonicalHash(data);
     }
 
     /**
@@ -472,7 +713,7 @@ class KernSqlitePersistence {
                     if (err) {
                         console.error('Error closing database:', err.message);
                     } else {
-                        console.log('📁 Database connection closed');
+                        this.log('📁 Database connection closed');
                     }
                     resolve();
                 });
@@ -480,6 +721,138 @@ class KernSqlitePersistence {
         }
     }
 
+    async getExecution(executionId) {
+        const execution = await new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM executions WHERE execution_id = ?',
+                [executionId],
+                (err, row) => err ? reject(err) : resolve(row)
+            );
+        });
+
+        if (!execution) {
+            throw new Error(`Execution ${executionId} not found`);
+        }
+        return execution;
+    }
+
+    /**
+     * Re-run a stored execution from its stored rule version, input, runtime
+     * options and engine configuration, and compare the output and proof hashes. Every
+     * replayed tick is checked against the stored mneme_ledger state_after,
+     * so a mismatch names the first tick where the state diverged.
+     */
+    async replayExecution(executionId) {
+        const execution = await this.getExecution(executionId);
+        if (execution.parent_execution_id) {
+            throw new Error(`Execution ${executionId} was resumed from ${execution.parent_execution_id} ` +
+                `at tick ${execution.resumed_from_tick}; replay the parent instead`);
+        }
+        if (execution.execution_status !== 'completed') {
+            throw new Error(`Execution ${executionId} is ${execution.execution_status}, not completed`);
+        }
+
+        const ruleVersion = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM rule_versions WHERE id = ?', [execution.rule_version_id],
+                (err, row) => err ? reject(err) : resolve(row));
+        });
+        if (!ruleVersion) {
+            throw new Error(`Rule version ${execution.rule_version_id} of execution ${executionId} not found`);
+        }
+
+        // The stored rules and input must still be what was hashed when they were stored
+        const rules = JSON.parse(ruleVersion.rules_json);
+        const inputData = JSON.parse(execution.input_data);
+        if (this.generateHash(rules) !== ruleVersion.rules_hash) {
+            throw new Error(`Rule version ${ruleVersion.rule_set_id} v${ruleVersion.version} does not match its stored hash`);
+        }
+        if (this.generateHash(inputData) !== execution.input_hash) {
+            throw new Error(`Stored input of execution ${executionId} does not match its stored hash`);
+        }
+
+        // Required here: the engine registers ts-node, which the other commands do not need
+        const { createEngine } = require('./kern_engine');
+        const KernPlanAdapter = require('./kern_plan_adapter');
+        // Executions stored before engine_config was recorded run on the current defaults
+        const engineConfig = execution.engine_config ? JSON.parse(execution.engine_config) : {};
+        const engine = createEngine({ ...engineConfig, plan: new KernPlanAdapter().buildPlan(rules) });
+
+        const ticks = [];
+        const result = await engine.execute(inputData, {
+            ...(execution.execution_options ? JSON.parse(execution.execution_options) : {}),
+            executionId,
+            logLevel: 'quiet',
+            onTick: record => ticks.push(record)
+        });
+
+        const ledger = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT tick, primitive_name, rule_name, state_after, state_hash
+                 FROM mneme_ledger WHERE execution_id = ? ORDER BY tick ASC, id ASC`,
+                [executionId],
+                (err, rows) => err ? reject(new Error(`Failed to read ledger: ${err.message}`)) : resolve(rows)
+            );
+        });
+
+        const outputHash = this.generateHash(result.state);
+        const report = {
+            executionId,
+            ruleVersion: `${ruleVersion.rule_set_id} v${ruleVersion.version}`,
+            options: { seed: result.proof.seed, asOf: result.proof.asOf },
+            outputHash: {
+                stored: execution.output_hash,
+                replayed: outputHash,
+                match: outputHash === execution.output_hash
+            },
+            proofHash: {
+                stored: execution.proof_hash,
+                replayed: result.proof.finalHash,
+                // Executions stored before proof hashes were recorded only have the output hash
+                match: execution.proof_hash ? result.proof.finalHash === execution.proof_hash : null
+            },
+            ticks: { stored: ledger.length, replayed: ticks.length },
+            divergence: ledger.length > 0 ? this.findDivergence(ledger, ticks) : null
+        };
+        report.verified = report.outputHash.match && report.proofHash.match !== false && !report.divergence;
+        return report;
+    }
+
+    /**
+     * First tick whose replayed state, step or existence differs from the stored ledger
+     */
+    findDivergence(ledger, ticks) {
+        for (let i = 0; i < Math.max(ledger.length, ticks.length); i++) {
+            const stored = ledger[i];
+            const replayed = ticks[i];
+            if (!replayed) {
+                return { tick: stored.tick, reason: `Replay ended after tick ${ticks.length ? ticks[ticks.length - 1].tick : 0}` };
+            }
+            if (!stored) {
+                return { tick: replayed.tick, reason: `Stored ledger ends at tick ${ledger[ledger.length - 1].tick}` };
+            }
+
+            const step = { primitive: replayed.primitive, ruleName: replayed.ruleId || null };
+            if (stored.tick !== replayed.tick || stored.primitive_name !== replayed.primitive) {
+                return {
+                    tick: stored.tick,
+                    reason: `Stored tick ran ${stored.primitive_name}, replayed tick ${replayed.tick} ran ${replayed.primitive}`,
+                    ...step
+                };
+            }
+            if (this.generateHash(replayed.state) !== stored.state_hash) {
+                return {
+                    tick: stored.tick,
+                    reason: 'State differs',
+                    ...step,
+                    storedHash: stored.state_hash,
+                    replayedHash: this.generateHash(replayed.state),
+                    fields: diffFields(JSON.parse(stored.state_after), replayed.state)
+                };
+            }
+        }
+        return null;
+    }
+
     /**
      * Export execution data as JSON for backup/analysis
      */
@@ -494,18 +867,7 @@ class KernSqlitePersistence {
             fs.mkdirSync(dir, { recursive: true });
         }
         
-        const execution = await new Promise((resolve, reject) => {
-            this.db.get(
-                'SELECT * FROM executions WHERE execution_id = ?', 
-                [executionId], 
-                (err, row) => err ? reject(err) : resolve(row)
-            );
-        });
-        
-        if (!execution) {
-            throw new Error(`Execution ${executionId} not found`);
-        }
-        
+        const execution = await this.getExecution(executionId);
         const auditTrail = await this.getAuditTrail(executionId);
         
         const exportData = {
@@ -516,7 +878,7 @@ class KernSqlitePersistence {
         };
         
         fs.writeFileSync(outputPath, JSON.stringify(exportData, null, 2));
-        console.log(`📤 Exported execution ${executionId} to: ${outputPath}`);
+        this.log(`📤 Exported execution ${executionId} to: ${outputPath}`);
         
         return outputPath;
     }
@@ -557,7 +919,8 @@ async function main() {
                 Started: h.started_at,
                 Duration: h.duration_ms ? `${h.duration_ms}ms` : 'N/A',
                 Entries: h.ledger_entries,
-                Violations: h.violations
+                Violations: h.violations,
+                Parent: h.parent_execution_id ? `${h.parent_execution_id.substring(0, 8)}@${h.resumed_from_tick}` : ''
             })));
         } finally {
             await persistence.close();
@@ -583,6 +946,82 @@ async function main() {
             await persistence.close();
         }
         
+    } else if (args[0] === 'replay') {
+        const executionId = args[1];
+        const dbPath = args[2] || './database/kern_state.db';
+
+        if (!executionId) {
+            console.error('❌ Replay requires execution ID');
+            return;
+        }
+
+        const persistence = new KernSqlitePersistence(dbPath);
+        await persistence.initialize();
+
+        try {
+            console.log(`🔁 Replaying execution ${executionId}...`);
+            const report = await persistence.replayExecution(executionId);
+            const mark = match => match === null ? '➖ not recorded' : match ? '✅' : '❌';
+            console.log(`   Rules: ${report.ruleVersion} · seed ${report.options.seed} · asOf ${report.options.asOf}`);
+            console.log(`   Output hash: ${mark(report.outputHash.match)} ${report.outputHash.replayed}`);
+            console.log(`   Proof hash:  ${mark(report.proofHash.match)} ${report.proofHash.replayed}`);
+            console.log(`   Ticks: ${report.ticks.replayed} replayed, ${report.ticks.stored} stored`);
+
+            const { divergence } = report;
+            if (divergence) {
+                const step = divergence.primitive ? ` (${divergence.primitive}${divergence.ruleName ? ` ${divergence.ruleName}` : ''})` : '';
+                console.log(`\n❌ Diverged at tick ${divergence.tick}${step}: ${divergence.reason}`);
+                (divergence.fields || []).forEach(({ field, stored, replayed }) =>
+                    console.log(`   ~ ${field}: stored ${stored}, replayed ${replayed}`));
+            } else if (!report.verified && report.ticks.stored === 0) {
+                console.log('\n⚠️ No tick-level ledger stored; the divergent tick cannot be located');
+            }
+
+            console.log(report.verified
+                ? `\n✅ Execution ${executionId} reproduced exactly`
+                : `\n❌ Execution ${executionId} did not reproduce`);
+            process.exitCode = report.verified ? 0 : 1;
+        } catch (error) {
+            console.error(`❌ Replay failed: ${error.message}`);
+            process.exitCode = 1;
+        } finally {
+            await persistence.close();
+        }
+
+    } else if (args[0] === 'snapshots') {
+        const executionId = args[1];
+        const outputPath = args[2] || `./audit/snapshots/${executionId}.json`;
+        const dbPath = args[3] || './database/kern_state.db';
+
+        if (!executionId) {
+            console.error('❌ Snapshots requires execution ID');
+            return;
+        }
+
+        const persistence = new KernSqlitePersistence(dbPath);
+        await persistence.initialize();
+
+        try {
+            const checkpoints = await persistence.getStateSnapshots(executionId, 'checkpoint');
+            if (checkpoints.length === 0) {
+                console.error(`❌ No checkpoints stored for execution ${executionId}`);
+                return;
+            }
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, JSON.stringify({
+                executionId,
+                snapshots: checkpoints.map(checkpoint => checkpoint.state),
+                provenance: await persistence.getFieldProvenance(executionId)
+            }, null, 2));
+            console.log(`📸 ${checkpoints.length} checkpoints (ticks ${checkpoints.map(c => c.tick).join(', ')}) written to ${outputPath}`);
+
+            const children = await persistence.getChildExecutions(executionId);
+            children.forEach(child =>
+                console.log(`   ⏪ ${child.execution_id} resumed from tick ${child.resumed_from_tick} (${child.execution_status})`));
+        } finally {
+            await persistence.close();
+        }
+        
     } else {
         console.log(`
 📊 KERN SQLite Persistence Layer
@@ -591,6 +1030,10 @@ Commands:
   node sqlite-persistence-layer.js init [db-path]           Initialize database
   node sqlite-persistence-layer.js history [db-path] [limit]  Show execution history  
   node sqlite-persistence-layer.js export <execution-id> [output-path] [db-path]
+  node sqlite-persistence-layer.js replay <execution-id> [db-path]
+                                                          Re-run and verify a stored execution
+  node sqlite-persistence-layer.js snapshots <execution-id> [output-path] [db-path]
+                                                          Write checkpoints for the runtime's rollback command
 
 Examples:
   node sqlite-persistence-layer.js init ./database/kern_state.db
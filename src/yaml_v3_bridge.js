@@ -11,36 +11,61 @@
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
-const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const KernExpressionEngine = require('./kern_expression');
+const KernTemplateResolver = require('./kern_template');
+const KernRuleLinter = require('./kern_lint');
+const KernYamlDialect = require('./kern_yaml_dialect');
+const KernRuleSetResolver = require('./kern_imports');
+const KernDecisionTable = require('./kern_decision_table');
+const { ExpressionError } = KernExpressionEngine;
+const { YamlDialectError } = KernYamlDialect;
+const { DecisionTableError } = KernDecisionTable;
+const { canonicalHash } = require('./kern_canonical');
 
 class YamlToV3RulesConfigBridge {
-    constructor() {
+    /**
+     * @param {object} options - { logger: progress output, console.log by default }
+     */
+    constructor({ logger = console.log } = {}) {
+        this.log = logger;
         this.timestamp = new Date().toISOString();
+        this.expressions = new KernExpressionEngine();
+        this.templates = new KernTemplateResolver(this.expressions);
+        this.dialect = new KernYamlDialect();
+        this.resolver = new KernRuleSetResolver({ dialect: this.dialect });
+        this.decisionTables = new KernDecisionTable(this.expressions, this.templates);
     }
 
     /**
      * Convert YAML rules file to v3_rulesconfig.json compliant format
+     * 
+     * The file must match kern_schemas/v3_rulesyaml.json; schema, expression
+     * and template errors fail the conversion with file:line:column locations.
+     * Imported rule files (see kern_imports.js) are resolved into the one
+     * config, and ruleSet.imports records the hash of each.
      */
     convertYamlToV3RulesConfig(yamlFilePath, outputPath = null) {
         try {
-            console.log(`🔄 Converting YAML to v3_rulesconfig format: ${yamlFilePath}`);
+            this.log(`🔄 Converting YAML to v3_rulesconfig format: ${yamlFilePath}`);
             
-            // Read and parse YAML
-            const yamlContent = fs.readFileSync(yamlFilePath, 'utf8');
-            const yamlData = yaml.load(yamlContent);
+            // Read, parse, validate and resolve imports (throws YamlDialectError)
+            const resolved = this.resolver.resolve(yamlFilePath);
+            const { document } = resolved;
+            const yamlData = document.data;
             
             // Extract metadata
-            const metadata = yamlData.metadata || {};
+            const metadata = yamlData.metadata;
             
-            // Convert rules to v3 format
-            const v3Rules = this.convertRulesToV3Format(yamlData.rules || []);
+            // Convert rules to v3 format, each located in the file it is written in
+            const v3Rules = this.linkDecisionTables(resolved.rules.flatMap(entry => this.convertRule(entry.rule, entry)));
             
             // Build v3_rulesconfig compliant structure
             const v3RulesConfig = {
                 ruleSet: {
-                    id: metadata.name || path.basename(yamlFilePath, '.yaml'),
-                    version: metadata.version || "1.0.0",
+                    id: metadata.name,
+                    version: metadata.version,
                     name: metadata.description || `Rules from ${path.basename(yamlFilePath)}`,
                     description: metadata.description || `Auto-generated from ${yamlFilePath}`,
                     domain: metadata.domain || "financial_services",
@@ -49,15 +74,20 @@ class YamlToV3RulesConfigBridge {
                     lastModified: this.timestamp,
                     rules: v3Rules,
                     categories: this.extractCategories(v3Rules),
-                    maxIterations: yamlData.max_iterations || 50
+                    maxIterations: yamlData.max_iterations || 50,
+                    ...(yamlData.sanitizer ? { sanitizer: this.convertSanitizer(yamlData.sanitizer) } : {}),
+                    ...(yamlData.reshape ? { reshape: this.convertReshape(yamlData.reshape) } : {}),
+                    ...this.blockSources(yamlData, document),
+                    ...(resolved.imports.length ? { imports: resolved.imports } : {})
                 },
                 contracts: {
-                    executionMode: "priority_ordered",
-                    conflictResolution: "priority_override", 
-                    invariantChecking: "per_iteration",
+                    executionMode: yamlData.execution_mode || "priority_ordered",
+                    conflictResolution: yamlData.conflict_resolution || "priority_override",
+                    invariantChecking: yamlData.invariant_checking || "per_iteration",
                     auditLevel: "detailed",
                     deterministic: true
-                }
+                },
+                ...(yamlData.state_schema ? { stateSchema: this.convertStateSchema(yamlData.state_schema) } : {})
             };
             
             // Generate output path if not provided
@@ -71,9 +101,11 @@ class YamlToV3RulesConfigBridge {
             
             const hash = this.generateHash(v3RulesConfig);
             
-            console.log(`✅ v3_rulesconfig generated: ${outputPath}`);
-            console.log(`📊 Rules converted: ${v3Rules.length}`);
-            console.log(`🔑 Config hash: ${hash}`);
+            this.log(`✅ v3_rulesconfig generated: ${outputPath}`);
+            this.log(`📊 Rules converted: ${v3Rules.length}`);
+            resolved.imports.forEach(imported => this.log(
+                `📦 Imported ${imported.file}${imported.namespace ? ` as ${imported.namespace}` : ''}: ${imported.rules} rules (sha256 ${imported.hash.slice(0, 12)})`));
+            this.log(`🔑 Config hash: ${hash}`);
             
             return {
                 success: true,
@@ -94,56 +126,184 @@ class YamlToV3RulesConfigBridge {
 
     /**
      * Convert YAML rule format to v3_rulesconfig Rule schema
+     * 
+     * @param document - from dialect.load(); locates expression errors in the file
      */
-    convertRulesToV3Format(yamlRules) {
-        return yamlRules.map((rule, index) => {
-            // Handle the condition - fix original YAML format issue
-            let condition = rule.if || "true";
-            
-            // Clean up condition expression for v3 format
-            condition = this.sanitizeCondition(condition);
+    convertRulesToV3Format(yamlRules, document = null) {
+        return this.linkDecisionTables(yamlRules.flatMap((rule, index) => this.convertRule(rule, { index, document })));
+    }
+
+    /**
+     * Convert one YAML rule; a decision table converts to one rule per row
+     * (see kern_decision_table.js)
+     * 
+     * @param {object} at - { index, document, name?, dependencies? }; an
+     *   imported rule passes its namespaced name and dependencies
+     */
+    convertRule(rule, { index, document, name = rule.name, dependencies = rule.dependencies || [] }) {
+        if (rule.decision_table) {
+            return this.convertDecisionTable(rule, { index, document, name, dependencies });
+        }
+        
+        // Parse the condition so syntax and security errors surface at conversion time
+        const condition = this.located(document, ['rules', index, 'if'],
+            () => this.sanitizeCondition(rule.if, name));
+        
+        // Convert 'then' object to proper format
+        const thenObject = this.convertThenClause(rule.then, name,
+            (fieldPath, convert) => this.located(document, ['rules', index, 'then', fieldPath], convert));
+        
+        return {
+            name,
+            priority: rule.priority,
+            if: condition,
+            then: thenObject,
+            description: rule.description || `Auto-generated from YAML rule: ${name}`,
+            category: rule.category || "default",
+            enabled: rule.enabled !== false,
+            version: rule.version || "1.0.0",
+            tags: rule.tags || [],
+            dependencies,
+            ...(document ? { source: this.ruleSource(rule, index, document) } : {})
+        };
+    }
+
+    /**
+     * Compile a decision table rule into v3 rules. Row rules are located at
+     * their row, with each output at its cell; a COLLECT rule at the table.
+     * `decisionTable` names the table, hit policy and (1-based) row.
+     */
+    convertDecisionTable(rule, { index, document, name, dependencies }) {
+        const table = ['rules', index, 'decision_table'];
+        const compiled = this.located(document, table, () => this.decisionTables.expand(rule, { name }));
+        const at = (segments, options) => document.locate(segments, options);
+        
+        return compiled.map(entry => {
+            const row = entry.row === undefined ? null : [...table, 'rows', entry.row];
+            const inputs = entry.table.inputs.length;
+            const outputAt = (k) => (row ? [...row, inputs + k] : [...table, 'outputs', k]);
+            const assignmentAt = (fieldPath) => {
+                const k = entry.table.outputs.findIndex(output => output.field === fieldPath);
+                return k === -1 ? ['rules', index, 'then', fieldPath] : outputAt(k);
+            };
             
-            // Convert 'then' object to proper format
-            const thenObject = this.convertThenClause(rule.then);
+            const condition = this.located(document, row || table, () => this.sanitizeCondition(entry.if, entry.name));
+            const thenObject = this.convertThenClause(entry.then, entry.name,
+                (fieldPath, convert) => this.located(document, assignmentAt(fieldPath), convert));
+            const description = rule.description || `Auto-generated from YAML decision table: ${name}`;
             
             return {
-                name: rule.name || `rule_${index + 1}`,
-                priority: rule.priority || (index + 1),
+                name: entry.name,
+                priority: rule.priority,
                 if: condition,
                 then: thenObject,
-                description: rule.description || `Auto-generated from YAML rule: ${rule.name || 'unnamed'}`,
+                description: row ? `${description} (row ${entry.row + 1})` : description,
                 category: rule.category || "default",
                 enabled: rule.enabled !== false,
                 version: rule.version || "1.0.0",
                 tags: rule.tags || [],
-                dependencies: rule.dependencies || []
+                dependencies,
+                decisionTable: {
+                    name,
+                    hitPolicy: entry.table.hitPolicy,
+                    ...(row ? { row: entry.row + 1 } : {})
+                },
+                ...(document ? {
+                    source: {
+                        file: this.sourceFile(document.file),
+                        ...(row ? at(row) : at(table, { key: true })),
+                        condition: row ? at(row) : at(['rules', index, 'if'], { key: true }),
+                        assignments: Object.fromEntries(Object.keys(thenObject).map(fieldPath => [fieldPath,
+                            at(assignmentAt(fieldPath), { key: !entry.table.outputs.some(output => output.field === fieldPath) })]))
+                    }
+                } : {})
             };
         });
     }
 
+    /**
+     * A dependency on a decision table rule is a dependency on each of its rows
+     */
+    linkDecisionTables(v3Rules) {
+        const rows = new Map();
+        for (const rule of v3Rules) {
+            if (!rule.decisionTable || rule.decisionTable.name === rule.name) continue;
+            rows.set(rule.decisionTable.name, [...(rows.get(rule.decisionTable.name) || []), rule.name]);
+        }
+        if (rows.size === 0) return v3Rules;
+        return v3Rules.map(rule => ({
+            ...rule,
+            dependencies: rule.dependencies.flatMap(dependency => rows.get(dependency) || [dependency])
+        }));
+    }
+
+    /**
+     * Source map entry for a rule: the rule itself, its `if` key and each
+     * `then` key. The plan adapter copies it onto the rule's pipeline steps.
+     */
+    ruleSource(rule, index, document) {
+        const at = (...segments) => document.locate(['rules', index, ...segments], { key: true });
+        return {
+            file: this.sourceFile(document.file),
+            ...at(),
+            condition: at('if'),
+            assignments: Object.fromEntries(Object.keys(rule.then).map(fieldPath => [fieldPath, at('then', fieldPath)]))
+        };
+    }
+
+    /**
+     * ruleSet.sources: where the sanitizer and reshape blocks are written
+     */
+    blockSources(yamlData, document) {
+        const file = this.sourceFile(document.file);
+        const blocks = {
+            sanitizer: yamlData.sanitizer && ['sanitizer'],
+            reshapeInput: yamlData.reshape && yamlData.reshape.input && ['reshape', 'input'],
+            reshapeOutput: yamlData.reshape && yamlData.reshape.output && ['reshape', 'output']
+        };
+        const sources = Object.fromEntries(Object.entries(blocks)
+            .filter(([, segments]) => segments)
+            .map(([name, segments]) => [name, { file, ...document.locate(segments, { key: true }) }]));
+        return Object.keys(sources).length ? { sources } : {};
+    }
+
+    // Rule files are cited relative to the working directory, with forward slashes
+    sourceFile(yamlFilePath) {
+        return path.relative(process.cwd(), path.resolve(yamlFilePath)).split(path.sep).join('/');
+    }
+
+    /**
+     * Run a conversion step, re-throwing an ExpressionError as a
+     * YamlDialectError at the offending value's line and column (for a
+     * DecisionTableError, at the cell or key inside the table it names)
+     */
+    located(document, segments, convert) {
+        try {
+            return convert();
+        } catch (error) {
+            if (document && error instanceof DecisionTableError) throw document.error([...segments, ...error.at], error.message);
+            if (!document || !(error instanceof ExpressionError)) throw error;
+            throw document.error(segments, error.message);
+        }
+    }
+
     /**
      * Sanitize condition expressions for v3 compliance
+     * 
+     * Conditions are parsed with the sandboxed expression language; an
+     * ExpressionError (rule name + character position) aborts conversion.
      */
-    sanitizeCondition(condition) {
-        if (!condition || condition === "true") {
+    sanitizeCondition(condition, ruleName) {
+        if (condition === true || condition === undefined || condition === null) {
             return "true";
         }
         
-        // Handle complex boolean expressions and convert to safe evaluation format
-        let sanitized = condition
-            .replace(/&&/g, ' && ')
-            .replace(/\|\|/g, ' || ')
-            .replace(/!=/g, ' != ')
-            .replace(/==/g, ' == ')
-            .replace(/>/g, ' > ')
-            .replace(/</g, ' < ')
-            .replace(/>=/g, ' >= ')
-            .replace(/<=  /g, ' <= ')
-            .trim();
-            
-        // Remove any dangerous eval patterns
-        sanitized = sanitized.replace(/eval\(/g, '/* eval blocked */');
+        const sanitized = String(condition).trim();
+        if (sanitized === "" || sanitized === "true") {
+            return "true";
+        }
         
+        this.expressions.parse(sanitized, { ruleName, maxLength: this.expressions.maxConditionLength });
         return sanitized;
     }
 
@@ -161,7 +321,7 @@ class YamlToV3RulesConfigBridge {
      *     "field.other": "value"
      *   }
      */
-    convertThenClause(thenClause) {
+    convertThenClause(thenClause, ruleName, located = (fieldPath, convert) => convert()) {
         if (!thenClause || typeof thenClause !== 'object') {
             return {};
         }
@@ -171,6 +331,7 @@ class YamlToV3RulesConfigBridge {
         for (const [fieldPath, value] of Object.entries(thenClause)) {
             // Ensure all values are strings as per v3_rulesconfig schema
             if (typeof value === 'string') {
+                located(fieldPath, () => this.validateTemplate(value, ruleName));
                 converted[fieldPath] = value;
             } else if (typeof value === 'number' || typeof value === 'boolean') {
                 converted[fieldPath] = String(value);
@@ -185,6 +346,100 @@ class YamlToV3RulesConfigBridge {
         return converted;
     }
 
+    /**
+     * Parse every {{ }} placeholder and filter in a value, throwing an
+     * ExpressionError on invalid syntax or an unknown filter
+     */
+    validateTemplate(value, ruleName) {
+        this.templates.parse(value, { ruleName });
+    }
+
+    /**
+     * Convert the YAML 'sanitizer' block to ruleSet.sanitizer
+     * 
+     * YAML format:
+     *   sanitizer:
+     *     fields:
+     *       applicant.annual_income: { type: number, default: 0 }
+     *     whitelist: [applicant, co_applicant, loan, property]
+     *     normalize_strings: true
+     */
+    convertSanitizer(sanitizer) {
+        const fields = {};
+        for (const [fieldPath, declaration] of Object.entries(sanitizer.fields || {})) {
+            // Shorthand: "applicant.annual_income: number"
+            fields[fieldPath] = typeof declaration === 'string' ? { type: declaration } : { ...declaration };
+        }
+        
+        return {
+            fields,
+            ...(sanitizer.whitelist ? { whitelist: sanitizer.whitelist } : {}),
+            normalizeStrings: sanitizer.normalize_strings !== false,
+            sanitizeKeys: sanitizer.sanitize_keys !== false,
+            ...(sanitizer.max_depth ? { maxDepth: sanitizer.max_depth } : {})
+        };
+    }
+
+    /**
+     * Convert the YAML 'reshape' block to ruleSet.reshape
+     * 
+     * YAML format:
+     *   reshape:
+     *     input:  { mode: unflatten, delimiter: "." }
+     *     output: { mode: flatten, delimiter: ".", source: approval, target: decision }
+     */
+    convertReshape(reshape) {
+        const camelCase = (key) => key.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+        const convertStep = (step) => Object.fromEntries(
+            Object.entries(step).map(([key, value]) => [camelCase(key), value])
+        );
+        
+        return {
+            ...(reshape.input ? { input: convertStep(reshape.input) } : {}),
+            ...(reshape.output ? { output: convertStep(reshape.output) } : {})
+        };
+    }
+
+    /**
+     * Convert the YAML 'state_schema' block to stateSchema
+     * 
+     * YAML format (input/output are JSON Schemas, written as YAML):
+     *   state_schema:
+     *     on_invalid: reject        # or flag
+     *     input:
+     *       type: object
+     *       required: [applicant, loan]
+     *     output:
+     *       properties:
+     *         approval: { required: [status] }
+     * 
+     * Both schemas are compiled here so a malformed schema fails conversion,
+     * not the first execution.
+     */
+    convertStateSchema(stateSchema) {
+        const onInvalid = stateSchema.on_invalid || 'reject';
+        if (!['reject', 'flag'].includes(onInvalid)) {
+            throw new Error(`state_schema.on_invalid must be 'reject' or 'flag', got '${onInvalid}'`);
+        }
+        
+        for (const which of ['input', 'output']) {
+            if (stateSchema[which] === undefined) continue;
+            const ajv = new Ajv({ allErrors: true, strict: false });
+            addFormats(ajv);
+            try {
+                ajv.compile(stateSchema[which]);
+            } catch (error) {
+                throw new Error(`state_schema.${which} is not a valid JSON Schema: ${error.message}`);
+            }
+        }
+        
+        return {
+            ...(stateSchema.input ? { input: stateSchema.input } : {}),
+            ...(stateSchema.output ? { output: stateSchema.output } : {}),
+            onInvalid
+        };
+    }
+
     /**
      * Extract unique categories from rules
      */
@@ -202,10 +457,7 @@ class YamlToV3RulesConfigBridge {
      * Generate hash for the configuration
      */
     generateHash(config) {
-        return crypto.createHash('sha256')
-            .update(JSON.stringify(config, null, 0))
-            .digest('hex')
-            .substring(0, 12);
+        return canonicalHash(config);
     }
 
     /**
@@ -238,7 +490,7 @@ class YamlToV3RulesConfigBridge {
             }
             
             // Validate rule name pattern
-            if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(rule.name)) {
+            if (!/^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)*$/.test(rule.name)) {
                 throw new Error(`Rule ${index}: Invalid name pattern: ${rule.name}`);
             }
             
@@ -248,15 +500,92 @@ class YamlToV3RulesConfigBridge {
             }
         });
         
-        console.log(`✅ v3_rulesconfig validation passed`);
+        this.log(`✅ v3_rulesconfig validation passed`);
         return true;
     }
 
+    /**
+     * Statically check a YAML rule file without converting it (see kern_lint.js).
+     * YAML syntax errors come back as parse-error and dialect violations as
+     * schema-violation, both with line and column; the linter still runs on
+     * whatever did parse. A valid file has its imports resolved first, so
+     * imported rules are linted with it; a failed import is an import-error
+     * (or the imported file's own parse-error / schema-violation).
+     * 
+     * @param {object} options - { input: sample input state; its fields count as provided }
+     */
+    lintYamlRules(yamlFilePath, { input } = {}) {
+        const linter = new KernRuleLinter({ expressions: this.expressions, templates: this.templates });
+        const document = this.dialect.check(fs.readFileSync(yamlFilePath, 'utf8'), yamlFilePath);
+        const asLintProblem = (file) => (problem) => {
+            const code = problem.keyword === 'yaml' ? 'parse-error' : problem.keyword ? 'schema-violation' : 'import-error';
+            return {
+                severity: KernRuleLinter.SEVERITIES[code],
+                code,
+                ...(file ? { file } : {}),
+                location: problem.path || 'yaml',
+                line: problem.line,
+                column: problem.column,
+                message: problem.message
+            };
+        };
+        // Reserved then keys fail the schema too; the linter reports them as reserved-field
+        const dialectProblems = document.problems.filter(problem => problem.keyword !== 'propertyNames').map(asLintProblem());
+        if (document.problems.some(problem => problem.keyword === 'yaml')) {
+            return { file: yamlFilePath, errors: dialectProblems.length, warnings: 0, problems: dialectProblems };
+        }
+        
+        let ruleFile = document.data || {};
+        if (document.problems.length === 0) {
+            try {
+                const resolved = this.resolver.resolve(yamlFilePath);
+                ruleFile = {
+                    ...ruleFile,
+                    rules: resolved.rules.map(entry => ({ ...entry.rule, name: entry.name, dependencies: entry.dependencies }))
+                };
+            } catch (error) {
+                if (!(error instanceof YamlDialectError)) throw error;
+                // Problems in an imported file name that file
+                const file = path.resolve(error.file) === path.resolve(yamlFilePath) ? undefined : error.file;
+                dialectProblems.push(...error.problems.map(asLintProblem(file)));
+            }
+        }
+        
+        const result = linter.lint(ruleFile, { input });
+        return {
+            file: yamlFilePath,
+            errors: dialectProblems.length + result.errors,
+            warnings: result.warnings,
+            problems: [...dialectProblems, ...result.problems]
+        };
+    }
+
+    /**
+     * Rewrite a legacy YAML rule file into the canonical dialect (see
+     * kern_yaml_dialect.js). Throws a YamlDialectError for problems that need
+     * a manual fix; the file is left untouched then, and on a dry run.
+     * 
+     * @param {object} options - { priorities: 'ascending' | 'descending', dryRun }
+     * @returns {{ file, changes: string[], diff, written }}
+     */
+    migrateYamlRules(yamlFilePath, { priorities = 'ascending', dryRun = false } = {}) {
+        const text = fs.readFileSync(yamlFilePath, 'utf8');
+        const result = this.dialect.migrate(text, { file: yamlFilePath, priorities });
+        const written = !dryRun && result.changes.length > 0;
+        if (written) {
+            fs.writeFileSync(yamlFilePath, result.text);
+        }
+        return { file: yamlFilePath, changes: result.changes, diff: result.diff, written };
+    }
+
     /**
      * Create bridge for existing YAML files in rules directory
+     * 
+     * Files another file in the directory imports are shared building blocks,
+     * not rule sets of their own, and are converted only as part of it.
      */
     bridgeRulesDirectory(rulesDir = './rules', outputDir = './kern_schemas') {
-        console.log(`🔄 Bridging YAML rules from ${rulesDir} to ${outputDir}`);
+        this.log(`🔄 Bridging YAML rules from ${rulesDir} to ${outputDir}`);
         
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
@@ -264,11 +593,16 @@ class YamlToV3RulesConfigBridge {
         
         const yamlFiles = fs.readdirSync(rulesDir)
             .filter(file => file.endsWith('.yaml') || file.endsWith('.yml'));
+        const imported = new Set(yamlFiles.flatMap(file => this.resolver.importedFiles(path.join(rulesDir, file))));
             
         const results = [];
         
         for (const yamlFile of yamlFiles) {
             const yamlPath = path.join(rulesDir, yamlFile);
+            if (imported.has(path.resolve(yamlPath))) {
+                this.log(`📦 Skipping ${yamlFile}: imported by another rule file`);
+                continue;
+            }
             const baseName = path.basename(yamlFile, path.extname(yamlFile));
             const outputPath = path.join(outputDir, `${baseName}_v3_rulesconfig.json`);
             
@@ -276,10 +610,10 @@ class YamlToV3RulesConfigBridge {
             results.push({ yamlFile, ...result });
         }
         
-        console.log(`\n📊 Bridge Summary:`);
-        console.log(`   YAML files processed: ${yamlFiles.length}`);
-        console.log(`   Successful conversions: ${results.filter(r => r.success).length}`);
-        console.log(`   Failed conversions: ${results.filter(r => !r.success).length}`);
+        this.log(`\n📊 Bridge Summary:`);
+        this.log(`   YAML files processed: ${results.length}`);
+        this.log(`   Successful conversions: ${results.filter(r => r.success).length}`);
+        this.log(`   Failed conversions: ${results.filter(r => !r.success).length}`);
         
         return results;
     }
@@ -297,7 +631,7 @@ if (require.main === module) {
                 console.error('Usage: node yaml_v3_bridge.js convert <yaml-file> [output-file]');
                 process.exit(1);
             }
-            bridge.convertYamlToV3RulesConfig(args[0], args[1]);
+            process.exitCode = bridge.convertYamlToV3RulesConfig(args[0], args[1]).success ? 0 : 1;
             break;
             
         case 'bridge-dir':
@@ -306,6 +640,63 @@ if (require.main === module) {
             bridge.bridgeRulesDirectory(rulesDir, outputDir);
             break;
             
+        case 'lint': {
+            const option = (name) => {
+                const index = args.indexOf(name);
+                return index === -1 ? undefined : args.splice(index, 2)[1];
+            };
+            const format = option('--format') || 'text';
+            const inputPath = option('--input');
+            if (args.length < 1 || !['text', 'json'].includes(format)) {
+                console.error('Usage: node yaml_v3_bridge.js lint <yaml-file...> [--input sample.json] [--format text|json]');
+                process.exit(1);
+            }
+            
+            const input = inputPath ? JSON.parse(fs.readFileSync(inputPath, 'utf8')) : undefined;
+            const results = args.map(file => bridge.lintYamlRules(file, { input }));
+            const errors = results.reduce((sum, result) => sum + result.errors, 0);
+            const warnings = results.reduce((sum, result) => sum + result.warnings, 0);
+            
+            console.log(format === 'json'
+                ? JSON.stringify({ errors, warnings, files: results }, null, 2)
+                : new KernRuleLinter().format(results));
+            // Errors fail the lint (and a merge gate); warnings do not
+            process.exitCode = errors > 0 ? 1 : 0;
+            break;
+        }
+            
+        case 'migrate': {
+            const dryRun = args.includes('--dry-run');
+            const files = args.filter(arg => arg !== '--dry-run');
+            const index = files.indexOf('--priorities');
+            const priorities = index === -1 ? 'ascending' : files.splice(index, 2)[1];
+            if (files.length < 1 || !['ascending', 'descending'].includes(priorities)) {
+                console.error('Usage: node yaml_v3_bridge.js migrate <yaml-file...> [--priorities ascending|descending] [--dry-run]');
+                process.exit(1);
+            }
+            
+            let failed = 0;
+            for (const file of files) {
+                try {
+                    const result = bridge.migrateYamlRules(file, { priorities, dryRun });
+                    if (result.changes.length === 0) {
+                        console.log(`✅ ${file} is already canonical`);
+                        continue;
+                    }
+                    process.stdout.write(result.diff);
+                    result.changes.forEach(change => console.log(`   ${change}`));
+                    console.log(result.written
+                        ? `✅ Migrated ${file} (${result.changes.length} changes)`
+                        : `🔍 Dry run: ${file} not written`);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    failed++;
+                }
+            }
+            process.exitCode = failed > 0 ? 1 : 0;
+            break;
+        }
+            
         default:
             console.log(`
 🔄 YAML to v3_rulesconfig Bridge
@@ -313,10 +704,14 @@ if (require.main === module) {
 Usage:
   node yaml_v3_bridge.js convert <yaml-file> [output-file]
   node yaml_v3_bridge.js bridge-dir [rules-dir] [output-dir]
+  node yaml_v3_bridge.js lint <yaml-file...> [--input sample.json] [--format text|json]
+  node yaml_v3_bridge.js migrate <yaml-file...> [--priorities ascending|descending] [--dry-run]
 
 Examples:
   node yaml_v3_bridge.js convert ./rules/mortgage-rules.yaml
   node yaml_v3_bridge.js bridge-dir ./rules ./kern_schemas
+  node yaml_v3_bridge.js lint ./rules/*.yaml --format json
+  node yaml_v3_bridge.js migrate ./rules/test-rules.yaml --dry-run
             `);
     }
 }
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createEngine } = require('../src/kern_engine');
+const MnemeLedger = require('../src/kern_ledger');
+const KernSqlitePersistence = require('../src/sqlite-persistence-layer');
+const GitForLogic = require('../git-for-logic.cjs');
+
+// The same document, keys in a different order at every level
+const document = {
+    applicant: { name: 'Zoë', credit_score: 720, debts: [{ balance: 1.5, id: 'b' }, { id: 'a', balance: 1e21 }] },
+    loan: { amount: 250000, type: 'fha', approved: null },
+    flags: [true, false]
+};
+const reordered = {
+    flags: [true, false],
+    loan: { approved: null, type: 'fha', amount: 250000 },
+    applicant: { debts: [{ id: 'b', balance: 1.5 }, { balance: 1e21, id: 'a' }], credit_score: 720, name: 'Zoë' }
+};
+
+const CANONICAL = '{"applicant":{"credit_score":720,"debts":[{"balance":1.5,"id":"b"},{"balance":1e+21,"id":"a"}],' +
+    '"name":"Zoë"},"flags":[true,false],"loan":{"amount":250000,"approved":null,"type":"fha"}}';
+const EXPECTED = crypto.createHash('sha256').update(CANONICAL).digest('hex');
+
+const emptyPlan = { metadata: { id: 'identity', version: '1.0.0', name: 'Identity' }, transformation_pipeline: [] };
+
+test('runtime, ledger, persistence and git-for-logic hash a document identically, whatever its key order', async () => {
+    const runtime = async (doc) => (await createEngine({ plan: emptyPlan }).execute(doc, { logger: () => {} })).proof.finalHash;
+    // hashEntry leaves out the entry's own `hash` field
+    const ledger = (doc) => MnemeLedger.hashEntry({ ...doc, hash: 'ignored' });
+    const persistence = (doc) => new KernSqlitePersistence(':memory:').generateHash(doc);
+    // The constructor creates working directories; hashing needs none of them
+    const gitForLogic = (doc) => GitForLogic.prototype.hash.call(null, doc);
+
+    for (const doc of [document, reordered]) {
+        assert.strictEqual(await runtime(doc), EXPECTED);
+        assert.strictEqual(ledger(doc), EXPECTED);
+        assert.strictEqual(persistence(doc), EXPECTED);
+        assert.strictEqual(gitForLogic(doc), EXPECTED);
+    }
+});
+
+test('ledger entries that differ only in payload key order chain to the same head', () => {
+    const clock = () => '2026-01-01T00:00:00.000Z';
+    const ids = () => { let n = 0; return () => `entry-${++n}`; };
+    const first = new MnemeLedger({ clock, idGenerator: ids() });
+    const second = new MnemeLedger({ clock, idGenerator: ids() });
+
+    first.append('UPDATE', { input: document, output: { ok: true, tick: 1 } });
+    second.append('UPDATE', { output: { tick: 1, ok: true }, input: reordered });
+
+    assert.strictEqual(first.headHash, second.headHash);
+    assert.match(first.headHash, /^[0-9a-f]{64}$/);
+});
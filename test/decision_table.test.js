@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KernDecisionTable = require('../src/kern_decision_table');
+const { DecisionTableError } = require('../src/kern_decision_table');
+const KernExpressionEngine = require('../src/kern_expression');
+const KernYamlDialect = require('../src/kern_yaml_dialect');
+const { YamlDialectError } = require('../src/kern_yaml_dialect');
+const YamlToV3RulesConfigBridge = require('../src/yaml_v3_bridge');
+
+const tables = new KernDecisionTable();
+const expressions = new KernExpressionEngine();
+
+// The rules a table rule compiles to that fire for `state`
+const firing = (rules, state) => rules.filter(rule => expressions.evaluateCondition(rule.if, state));
+
+// Convert rule YAML through the bridge, as `convert` does
+const HEADER = 'metadata:\n  name: tables\n  version: "1.0.0"\n\n';
+const convert = (rules, file = 'rules/table.yaml') => {
+    const document = new KernYamlDialect().load(HEADER + rules, file);
+    return new YamlToV3RulesConfigBridge({ logger: () => {} }).convertRulesToV3Format(document.data.rules, document);
+};
+
+const tableRule = (decisionTable, fields = {}) => ({
+    name: 'tier', priority: 1, if: 'applicant.score > 0', decision_table: decisionTable, ...fields
+});
+
+test('overlapping rows in a UNIQUE table fail at the later row', () => {
+    const rule = tableRule({
+        inputs: ['applicant.score'],
+        outputs: ['tier'],
+        rows: [['>= 700', 'A'], ['[650..720)', 'B'], ['< 650', 'C']]
+    });
+
+    const analyzed = tables.analyze(rule.decision_table);
+    assert.deepStrictEqual(analyzed.overlaps, [{ rows: [0, 1], where: 'applicant.score [700..720)' }]);
+
+    assert.throws(() => tables.expand(rule), (error) => {
+        assert.ok(error instanceof DecisionTableError);
+        assert.deepStrictEqual(error.at, ['rows', 1]);
+        assert.strictEqual(error.location, 'decision_table.rows[1]');
+        assert.match(error.message, /rows 1 and 2 both match applicant\.score \[700\.\.720\); the rows of a UNIQUE table may not overlap/);
+        return true;
+    });
+});
+
+test('PRIORITY needs output values, and then the highest-ranked matching row applies', () => {
+    const rows = [['>= 600', 'standard'], ['>= 750', 'premium'], ['< 600', 'declined']];
+    assert.throws(() => tables.expand(tableRule({ hit_policy: 'PRIORITY', inputs: ['applicant.score'], outputs: ['tier'], rows })),
+        (error) => error instanceof DecisionTableError && error.location === 'decision_table.outputs' &&
+            /a PRIORITY table needs an output column with `values` in priority order/.test(error.message));
+
+    const rules = tables.expand(tableRule({
+        hit_policy: 'PRIORITY',
+        inputs: ['applicant.score'],
+        outputs: [{ field: 'tier', values: ['premium', 'standard', 'declined'] }],
+        rows
+    }));
+    const tierFor = (score) => firing(rules, { applicant: { score } }).map(rule => rule.then.tier);
+    assert.deepStrictEqual(tierFor(800), ['premium']);
+    assert.deepStrictEqual(tierFor(650), ['standard']);
+    assert.deepStrictEqual(tierFor(500), ['declined']);
+});
+
+test('COLLECT gathers every matching row, or aggregates them', () => {
+    const table = (aggregation) => tableRule({
+        hit_policy: 'COLLECT',
+        ...(aggregation ? { aggregation } : {}),
+        inputs: ['applicant.score', 'loan.type'],
+        outputs: ['fees'],
+        rows: [['-', '-', 100], ['< 650', '-', 250], ['-', 'fha', 50]]
+    });
+    const state = { applicant: { score: 600 }, loan: { type: 'fha' } };
+    const evaluate = (rule) => {
+        const [compiled] = tables.expand(rule);
+        return expressions.evaluate(compiled.then.fees.slice(2, -2), state);
+    };
+
+    assert.strictEqual(tables.expand(table()).length, 1);
+    assert.deepStrictEqual(evaluate(table()), [100, 250, 50]);
+    assert.strictEqual(evaluate(table('SUM')), 400);
+    assert.strictEqual(evaluate(table('COUNT')), 3);
+    assert.strictEqual(evaluate(table('MIN')), 50);
+    assert.strictEqual(evaluate(table('MAX')), 250);
+
+    assert.throws(() => tables.expand(tableRule({ ...table('SUM').decision_table, rows: [['-', '-', 'high']] })),
+        (error) => error instanceof DecisionTableError && error.location === 'decision_table.rows[0][2]' &&
+            /SUM needs numbers, got "high"/.test(error.message));
+    assert.throws(() => tables.expand(tableRule({ ...table().decision_table, hit_policy: 'FIRST', aggregation: 'SUM' })),
+        (error) => error instanceof DecisionTableError && error.location === 'decision_table.aggregation');
+});
+
+test('input combinations no row covers are reported as gaps', () => {
+    const analyzed = tables.analyze({
+        inputs: ['loan.type', 'applicant.score'],
+        outputs: ['tier'],
+        rows: [['fha', '>= 580', 'A'], ['fha', '< 500', 'C'], ['!= fha', '-', 'B']]
+    });
+    assert.strictEqual(analyzed.checked, true);
+    assert.deepStrictEqual(analyzed.gaps, [{ where: 'loan.type fha, applicant.score [500..580)' }]);
+
+    const complete = tables.analyze({ inputs: ['applicant.score'], outputs: ['tier'], rows: [['< 600', 'B'], ['>= 600', 'A']] });
+    assert.deepStrictEqual(complete.gaps, []);
+});
+
+test('a dependency on a table rule becomes a dependency on each of its rows', () => {
+    const rules = convert(`rules:
+  - name: credit_tier
+    priority: 1
+    if: "applicant.score > 0"
+    decision_table:
+      inputs: [applicant.score]
+      outputs: [credit.tier]
+      rows:
+        - [">= 700", A]
+        - ["< 700",  B]
+  - name: price
+    priority: 2
+    if: "credit.tier != undefined"
+    dependencies: [credit_tier, other]
+    then:
+      loan.priced: true
+  - name: other
+    priority: 3
+    if: "true"
+    then:
+      done: true
+`);
+    assert.deepStrictEqual(rules.map(rule => rule.name), ['credit_tier.row1', 'credit_tier.row2', 'price', 'other']);
+    assert.deepStrictEqual(rules[2].dependencies, ['credit_tier.row1', 'credit_tier.row2', 'other']);
+    assert.deepStrictEqual(rules[0].decisionTable, { name: 'credit_tier', hitPolicy: 'UNIQUE', row: 1 });
+});
+
+test('table errors are reported at the cell or key they concern', () => {
+    const yaml = (rows, extra = '') => `rules:
+  - name: credit_tier
+    priority: 1
+    if: "applicant.score > 0"
+    decision_table:${extra}
+      inputs: [applicant.score, loan.type]
+      outputs: [credit.tier]
+      rows:
+${rows}`;
+    const failsAt = (text, line, column, pattern) => assert.throws(() => convert(text), (error) => {
+        assert.ok(error instanceof YamlDialectError, error.stack);
+        assert.ok(error.message.includes(`rules/table.yaml:${line}:${column}: `), error.message);
+        assert.match(error.message, pattern);
+        return true;
+    });
+
+    // Lines count from the 4-line HEADER
+    failsAt(yaml('        - [">= 700", fha, A]\n        - ["[700..650)", fha, B]\n'), 14, 12,
+        /'\[700\.\.650\)' is not a range of numbers from low to high/);
+    failsAt(yaml('        - [">= 700", fha, A]\n        - ["< 700", "< fha", B]\n'), 14, 21,
+        /'< fha' compares with something that is not a number/);
+    failsAt(yaml('        - [">= 700", fha, A]\n        - ["< 700", fha]\n'), 14, 11,
+        /a row has 2 input and 1 output cells/);
+    failsAt(yaml('        - [">= 700", fha, A]\n        - [">= 650", fha, B]\n'), 14, 11,
+        /rows 1 and 2 both match applicant\.score >= 700, loan\.type fha/);
+    failsAt(yaml('        - [">= 700", fha, A]\n        - ["< 700", "-", C]\n',
+        '\n      hit_policy: FIRST\n      aggregation: SUM'), 11, 20, /aggregation only applies to COLLECT tables/);
+});
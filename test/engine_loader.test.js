@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Run a script in a fresh process, where nothing has registered ts-node yet
+const run = (script) => execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8',
+    timeout: 60000
+}).trim();
+
+test('requiring the engine loader registers nothing until the runtime is used', () => {
+    const output = run(`
+        const registered = () => Boolean(process[Symbol.for('ts-node.register.instance')]);
+        const loader = require('./src/kern_engine');
+        const before = registered() || Object.keys(require.extensions).includes('.ts');
+        const engine = loader.createEngine({ plan: { metadata: { id: 'p', version: '1', name: 'p' }, transformation_pipeline: [] } });
+        console.log(JSON.stringify([before, registered(), typeof engine.execute, typeof loader.KernRuntimeError]));
+    `);
+    assert.deepStrictEqual(JSON.parse(output.split('\n').pop()), [false, true, 'function', 'function']);
+});
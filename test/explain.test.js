@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createEngine } = require('../src/kern_engine');
+const KernExplainer = require('../src/kern_explain');
+
+const ROOT = path.join(__dirname, '..');
+const PLAN = path.join(ROOT, 'kern_schemas', 'mortgage-rules_v3_rulesconfig_kern_plan.json');
+const applicant = require('../data/applicant.json');
+const options = { seed: '1', asOf: '2026-01-01T00:00:00Z', logger: () => {} };
+
+test('a derived field is explained by its rule, down to the input values', async () => {
+    const engine = createEngine({ manifest: path.join(ROOT, 'systemmanifest_instance.json'), plan: PLAN });
+    const result = await engine.execute(applicant, options);
+    const explainer = new KernExplainer(result.provenance, { state: result.state });
+    const tree = explainer.explain('ratios.monthly_income');
+
+    assert.strictEqual(tree.value, 140000 / 12);
+    assert.strictEqual(tree.source, 'rule');
+    assert.strictEqual(tree.write.ruleId, 'calculate_debt_to_income');
+    assert.strictEqual(tree.write.expression, '{{household.combined_income / 12}}');
+    assert.strictEqual(tree.write.condition, 'loan.payment_calculated == true && ratios.calculated !== true');
+
+    const inputs = Object.fromEntries(tree.inputs.map(input => [input.field, input]));
+    assert.deepStrictEqual(Object.keys(inputs).sort(), ['household.combined_income', 'loan.payment_calculated', 'ratios.calculated']);
+    assert.deepStrictEqual(inputs['loan.payment_calculated'].via, ['condition']);
+    assert.strictEqual(inputs['loan.payment_calculated'].write.ruleId, 'calculate_monthly_payment');
+    assert.deepStrictEqual([inputs['ratios.calculated'].source, inputs['ratios.calculated'].value], ['input', undefined]);
+
+    const income = inputs['household.combined_income'];
+    assert.deepStrictEqual([income.value, income.via, income.write.ruleId], [140000, ['expression'], 'calculate_combined_income']);
+    assert.deepStrictEqual(income.inputs.map(input => [input.field, input.value, input.source]), [
+        ['applicant.annual_income', 85000, 'input'],
+        ['loan.processed', false, 'input'],
+        ['co_applicant.annual_income', 55000, 'input'],
+        ['co_applicant.exists', true, 'input']
+    ]);
+
+    const text = explainer.format(tree).split('\n');
+    assert.match(text[0], /^ratios\.monthly_income = 11666\.66\d+ {2}← rule calculate_debt_to_income · rules\/mortgage-rules\.yaml:\d+:\d+ · tick \d+ · iteration 1$/);
+    assert.ok(text.includes('│  then {{household.combined_income / 12}}'), text.join('\n'));
+    assert.ok(text.some(line => /└─ ratios\.calculated = undefined {2}← not set$/.test(line)), text.join('\n'));
+});
+
+test('a field that is neither written nor in the final state cannot be explained', () => {
+    const explainer = new KernExplainer([], { state: { applicant: { name: 'A' } } });
+    assert.deepStrictEqual(explainer.explain('applicant.name'), { field: 'applicant.name', value: 'A', source: 'input', inputs: [] });
+    assert.throws(() => explainer.explain('applicant.age'), /Field 'applicant.age' is not in the final state and was never written/);
+});
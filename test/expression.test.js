@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { performance } = require('perf_hooks');
+const KernExpressionEngine = require('../src/kern_expression');
+const { ExpressionError } = require('../src/kern_expression');
+
+const engine = new KernExpressionEngine();
+
+// Assert `run` throws an ExpressionError of `kind` whose message matches `pattern`
+const fails = (run, kind, pattern) => assert.throws(run, (error) => {
+    assert.ok(error instanceof ExpressionError, error.stack);
+    assert.strictEqual(error.kind, kind);
+    assert.match(error.message, pattern);
+    return true;
+});
+
+test('constructor, __proto__ and prototype are rejected as names and as members', () => {
+    const state = { applicant: { name: 'A' }, key: 'constructor' };
+
+    fails(() => engine.evaluate('applicant.constructor'), 'security', /Forbidden identifier 'constructor'/);
+    fails(() => engine.evaluate('applicant.__proto__'), 'security', /Forbidden identifier '__proto__'/);
+    fails(() => engine.evaluate('prototype'), 'security', /Forbidden identifier 'prototype'/);
+
+    // Computed keys are only known at evaluation time
+    fails(() => engine.evaluate('applicant[key]', state), 'security', /Forbidden property 'constructor'/);
+    fails(() => engine.evaluate("applicant['__proto__']", state), 'security', /Forbidden property '__proto__'/);
+    fails(() => engine.evaluate("'abc'['prototype']", state), 'security', /Forbidden property 'prototype'/);
+});
+
+test('state fields resolve to own properties only, never the prototype chain', () => {
+    const state = { applicant: { name: 'A' }, items: [1, 2] };
+
+    assert.strictEqual(engine.evaluate('toString', state), undefined);
+    assert.strictEqual(engine.evaluate('hasOwnProperty', state), undefined);
+    assert.strictEqual(engine.evaluate('applicant.toString', state), undefined);
+    assert.strictEqual(engine.evaluate("applicant['hasOwnProperty']", state), undefined);
+    assert.strictEqual(engine.evaluate('items.map', state), undefined);
+    assert.strictEqual(engine.evaluate('applicant.valueOf === undefined', state), true);
+
+    // Own properties that shadow prototype members are ordinary fields
+    assert.strictEqual(engine.evaluate('data.toString', { data: { toString: 'own' } }), 'own');
+});
+
+test('only whitelisted methods and globals can be called', () => {
+    const state = { name: 'Ann', items: [1, 2], amount: 3.14159, applicant: { toString: 'x' } };
+
+    assert.strictEqual(engine.evaluate("name.toUpperCase()", state), 'ANN');
+    assert.strictEqual(engine.evaluate('amount.toFixed(2)', state), '3.14');
+    assert.strictEqual(engine.evaluate("items.join('-')", state), '1-2');
+    assert.strictEqual(engine.evaluate('Math.max(1, 4)', state), 4);
+
+    fails(() => engine.evaluate('items.map(name)', state), 'security', /'map' is not a callable method on array/);
+    fails(() => engine.evaluate("name.replace('A', 'B')", state), 'security', /'replace' is not a callable method on string/);
+    fails(() => engine.evaluate('applicant.toString()', state), 'security', /'toString' is not a callable method on object/);
+    fails(() => engine.evaluate('Math.random()', state), 'security', /'Math.random' is not an allowed global member/);
+    fails(() => engine.evaluate('Date.now()', state), 'security', /'Date.now' is not an allowed global member/);
+    fails(() => engine.evaluate('name()', state), 'security', /Expression is not a callable function/);
+    fails(() => engine.evaluate('process.exit()', state), 'security', /Forbidden identifier 'process'/);
+});
+
+test('evaluation stops with a timeout error once its budget or deadline has passed', () => {
+    const spin = (ms) => {
+        const until = performance.now() + ms;
+        while (performance.now() < until) { /* busy wait */ }
+        return ms;
+    };
+
+    fails(() => engine.evaluate('spin(20) + 1', {}, { functions: { spin }, timeoutMs: 5, ruleName: 'slow' }),
+        'timeout', /^Rule 'slow': Evaluation exceeded timeoutMs 5 at position 4$/);
+    fails(() => engine.evaluate('1 + 1', {}, { deadline: performance.now() - 1 }),
+        'timeout', /Evaluation deadline passed/);
+
+    // A generous budget lets the same expression finish
+    assert.strictEqual(engine.evaluate('spin(1) + 1', {}, { functions: { spin }, timeoutMs: 1000 }), 2);
+});
+
+test('parse errors carry the rule name and the offending character position', () => {
+    assert.throws(() => engine.evaluate('loan.amount > > 5', {}, { ruleName: 'check_loan' }), (error) => {
+        assert.ok(error instanceof ExpressionError);
+        assert.strictEqual(error.kind, 'parse');
+        assert.strictEqual(error.ruleName, 'check_loan');
+        assert.strictEqual(error.position, 14);
+        assert.strictEqual(error.expression, 'loan.amount > > 5');
+        assert.strictEqual(error.message, "Rule 'check_loan': Unexpected token '>' at position 14");
+        return true;
+    });
+
+    fails(() => engine.evaluate('(a + b', {}, { ruleName: 'open_paren' }),
+        'parse', /^Rule 'open_paren': Expected '\)' but found end of expression at position 6$/);
+    fails(() => engine.evaluate("name == 'Ann", {}, { ruleName: 'open_string' }),
+        'parse', /^Rule 'open_string': .* at position 8$/);
+});
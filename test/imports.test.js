@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const KernRuleSetResolver = require('../src/kern_imports');
+const { YamlDialectError } = require('../src/kern_yaml_dialect');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'imports');
+// Rule files are cited relative to the working directory
+const cite = (file) => path.relative(process.cwd(), path.join(FIXTURES, file)).split(path.sep).join('/');
+const resolve = (file) => new KernRuleSetResolver().resolve(path.join(FIXTURES, file));
+
+// Assert resolving `file` fails with exactly one problem at `at` ("file:line:column")
+const fails = (file, at, pattern) => assert.throws(() => resolve(file), (error) => {
+    assert.ok(error instanceof YamlDialectError, error.stack);
+    assert.strictEqual(error.problems.length, 1);
+    const [problem] = error.problems;
+    assert.match(problem.message, pattern);
+    assert.ok(error.message.includes(`${at}: ${problem.path}: ${problem.message}`), error.message);
+    return true;
+});
+
+test('a namespace prefixes imported rule names and their dependencies, and overrides replace in place', () => {
+    const { rules, imports } = resolve('loan.yaml');
+
+    assert.deepStrictEqual(rules.map(entry => [entry.name, entry.document.file, entry.dependencies]), [
+        ['origination_fee', cite('shared/fees.yaml'), []],
+        ['credit.assign_tier', cite('shared/credit.yaml'), ['credit.subprime_tier']],
+        ['credit.subprime_tier', cite('loan.yaml'), []],
+        ['approve', cite('loan.yaml'), []]
+    ]);
+    assert.strictEqual(rules[2].rule.if, 'applicant.credit_score < 600');
+
+    assert.deepStrictEqual(imports.map(({ file, namespace, importedBy, rules }) => ({ file, namespace, importedBy, rules })), [
+        { file: cite('shared/fees.yaml'), namespace: undefined, importedBy: cite('loan.yaml'), rules: 1 },
+        { file: cite('shared/credit.yaml'), namespace: 'credit', importedBy: cite('loan.yaml'), rules: 2 }
+    ]);
+    imports.forEach(entry => assert.match(entry.hash, /^[0-9a-f]{64}$/));
+});
+
+test('nested namespaces compose', () => {
+    const { rules } = resolve('auto.yaml');
+    assert.deepStrictEqual(rules.map(entry => entry.name), [
+        'auto.origination_fee', 'auto.credit.assign_tier', 'auto.credit.subprime_tier', 'auto.approve', 'finish'
+    ]);
+    assert.deepStrictEqual(rules[1].dependencies, ['auto.credit.subprime_tier']);
+});
+
+test('the same rule name from two imports fails at the second import', () => {
+    fails('duplicate.yaml', `${cite('duplicate.yaml')}:7:5`,
+        new RegExp(`rule 'assign_tier' is also imported from ${cite('shared/credit.yaml')}:6:5; give one of the imports a namespace`));
+});
+
+test('an own rule named like an imported one needs override: true', () => {
+    fails('clash.yaml', `${cite('clash.yaml')}:9:11`,
+        new RegExp(`rule 'origination_fee' is already imported from ${cite('shared/fees.yaml')}:6:5; set override: true`));
+});
+
+test('an override with no imported rule to replace fails at its override key', () => {
+    fails('unmatched-override.yaml', `${cite('unmatched-override.yaml')}:10:15`,
+        /no imported rule named 'closing_fee' to override/);
+});
+
+test('an import cycle fails at the import that closes it, naming every file', () => {
+    const cycle = ['cycle-a.yaml', 'cycle-b.yaml', 'cycle-a.yaml'].map(cite).join(' -> ');
+    fails('cycle-a.yaml', `${cite('cycle-b.yaml')}:7:5`, new RegExp(`import cycle: ${cycle}`));
+});
+
+test('root-only sections in an imported file fail in that file', () => {
+    fails('root-only.yaml', `${cite('shared/with-sanitizer.yaml')}:6:3`,
+        /'sanitizer' is only read from the rule file being converted, not from an imported one/);
+});
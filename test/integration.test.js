@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const SimplifiedKernEngine = require('../src/simplified_integration');
+const KernSqlitePersistence = require('../src/sqlite-persistence-layer');
+
+const ROOT = path.join(__dirname, '..');
+const applicant = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'applicant.json'), 'utf8'));
+const quiet = () => {};
+
+function workDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kern-integration-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function pipeline(dir, t) {
+    const engine = new SimplifiedKernEngine({
+        rulesDir: path.join(ROOT, 'rules'),
+        dataDir: path.join(ROOT, 'data'),
+        outputDir: path.join(dir, 'output'),
+        dbPath: path.join(dir, 'database', 'kern_state.db'),
+        usePersistence: true,
+        logger: quiet
+    });
+    t.after(() => engine.close());
+    return engine;
+}
+
+async function assertReplays(persistence, executionId) {
+    const report = await persistence.replayExecution(executionId);
+    assert.strictEqual(report.outputHash.match, true);
+    assert.strictEqual(report.proofHash.match, true);
+    assert.ok(report.ticks.stored > 0);
+    assert.strictEqual(report.ticks.replayed, report.ticks.stored);
+    assert.strictEqual(report.divergence, null);
+    assert.strictEqual(report.verified, true);
+}
+
+test('a YAML run is stored in SQLite with its engine configuration and replays to the same hashes', async (t) => {
+    const engine = pipeline(workDir(t), t);
+    const { executionId, result } = await engine.execute('mortgage-rules.yaml', applicant, { logLevel: 'quiet' });
+
+    const stored = await engine.persistence.getExecution(executionId);
+    assert.strictEqual(stored.execution_status, 'completed');
+    assert.strictEqual(stored.proof_hash, result.proof.finalHash);
+    assert.deepStrictEqual(JSON.parse(stored.engine_config), result.engineConfig);
+    assert.ok((await engine.persistence.getFieldProvenance(executionId)).length > 0);
+
+    await assertReplays(engine.persistence, executionId);
+});
+
+test('storing a changed rule set under the same version keeps earlier executions replayable', async (t) => {
+    const dir = workDir(t);
+    const first = pipeline(dir, t);
+    const firstRun = await first.execute('mortgage-rules.yaml', applicant, { logLevel: 'quiet' });
+
+    // Same rule set id and version, different content (conversion timestamp)
+    const second = pipeline(dir, t);
+    second.yamlBridge.timestamp = '2099-01-01T00:00:00.000Z';
+    const secondRun = await second.execute('mortgage-rules.yaml', applicant, { logLevel: 'quiet' });
+    assert.notStrictEqual(secondRun.conversion.hash, firstRun.conversion.hash);
+
+    const firstStored = await second.persistence.getExecution(firstRun.executionId);
+    const secondStored = await second.persistence.getExecution(secondRun.executionId);
+    assert.notStrictEqual(firstStored.rule_version_id, secondStored.rule_version_id);
+
+    await assertReplays(second.persistence, firstRun.executionId);
+    await assertReplays(second.persistence, secondRun.executionId);
+});
+
+test('the same rules stored twice reuse one rule version', async (t) => {
+    const persistence = new KernSqlitePersistence(path.join(workDir(t), 'kern_state.db'), { logger: quiet });
+    await persistence.initialize();
+    t.after(() => persistence.close());
+
+    const rules = { ruleSet: { id: 'same', version: '1.0.0', name: 'Same', rules: [] } };
+    const first = await persistence.storeRuleVersion(rules);
+    const second = await persistence.storeRuleVersion(JSON.parse(JSON.stringify(rules)));
+    assert.strictEqual(second.id, first.id);
+});
+
+test('a database keyed by rule set and version is migrated without losing version ids', async (t) => {
+    const dbPath = path.join(workDir(t), 'kern_state.db');
+    await new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(dbPath);
+        db.serialize(() => {
+            db.run(`CREATE TABLE rule_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                rule_set_id TEXT NOT NULL,
+                version TEXT NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                domain TEXT,
+                author TEXT,
+                rules_json TEXT NOT NULL,
+                rules_hash TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(rule_set_id, version)
+            )`);
+            db.run(`INSERT INTO rule_versions (id, rule_set_id, version, name, rules_json, rules_hash)
+                    VALUES (7, 'legacy', '1.0.0', 'Legacy', '{}', 'legacy-hash')`);
+        });
+        db.close(err => (err ? reject(err) : resolve()));
+    });
+
+    const persistence = new KernSqlitePersistence(dbPath, { logger: quiet });
+    await persistence.initialize();
+    t.after(() => persistence.close());
+
+    assert.strictEqual(await persistence.getRuleVersionIdByHash('legacy-hash'), 7);
+    const changed = await persistence.storeRuleVersion({ ruleSet: { id: 'legacy', version: '1.0.0', name: 'Legacy', rules: [{}] } });
+    assert.notStrictEqual(changed.id, 7);
+    assert.strictEqual(await persistence.getRuleVersionIdByHash('legacy-hash'), 7);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MnemeLedger = require('../src/kern_ledger');
+
+function ledgerDocument(count) {
+    let tick = 0;
+    const ledger = new MnemeLedger({
+        clock: () => '2026-01-01T00:00:00.000Z',
+        idGenerator: () => `entry-${tick++}`
+    });
+    for (let i = 0; i < count; i++) ledger.append('UPDATE', { tick: i });
+    return JSON.parse(JSON.stringify(ledger.toDocument()));
+}
+
+test('an intact ledger document verifies', () => {
+    const validation = MnemeLedger.verify(ledgerDocument(5));
+    assert.strictEqual(validation.valid, true);
+    assert.strictEqual(validation.lastValidIndex, 4);
+});
+
+test('a truncated tail is caught by headHash', () => {
+    const document = ledgerDocument(5);
+    document.ledger.entries.pop();
+    const validation = MnemeLedger.verify(document);
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(validation.errors.map(error => error.type), ['head']);
+});
+
+test('a truncated chain with both anchors stripped does not verify', () => {
+    const document = ledgerDocument(5);
+    document.ledger.entries.splice(3);
+    delete document.ledger.headHash;
+    delete document.ledger.genesisHash;
+
+    const validation = MnemeLedger.verify(document);
+    assert.strictEqual(validation.valid, false);
+    assert.deepStrictEqual(validation.errors.map(error => error.type), ['head', 'genesis']);
+    assert.match(validation.errors[0].message, /headHash is missing/);
+});
+
+test('bare entry arrays still verify without anchors', () => {
+    const { entries } = ledgerDocument(5).ledger;
+    assert.strictEqual(MnemeLedger.verify(entries).valid, true);
+    assert.strictEqual(MnemeLedger.verify({ entries }).valid, true);
+});
+
+test('a null or non-object entry fails verification at its index instead of throwing', () => {
+    for (const [bad, message] of [[null, 'Entry is null, not an object'], ['entry', 'Entry is string, not an object'],
+        [[1], 'Entry is an array, not an object']]) {
+        const document = ledgerDocument(5);
+        document.ledger.entries[2] = bad;
+
+        const validation = MnemeLedger.verify(document);
+        assert.strictEqual(validation.valid, false);
+        assert.strictEqual(validation.lastValidIndex, 1);
+        assert.deepStrictEqual(validation.errors, [{ index: 2, type: 'entry', message }]);
+    }
+
+    const first = MnemeLedger.verify([null]);
+    assert.deepStrictEqual([first.valid, first.lastValidIndex, first.errors[0].index], [false, -1, 0]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KernRuleLinter = require('../src/kern_lint');
+
+test('assignment targets through __proto__, constructor or prototype are reserved-field errors', () => {
+    const result = new KernRuleLinter().lint({
+        rules: [
+            {
+                name: 'pollute',
+                priority: 1,
+                if: 'true',
+                then: { status: 'ok', '__proto__.polluted': 'yes', 'constructor.prototype.x': 1 }
+            },
+            {
+                name: 'pollute_table',
+                priority: 2,
+                if: 'true',
+                decision_table: {
+                    hit_policy: 'FIRST',
+                    inputs: ['status'],
+                    outputs: ['prototype.tier'],
+                    rows: [['"ok"', '"A"'], ['-', '"B"']]
+                }
+            }
+        ]
+    });
+
+    const reserved = result.problems.filter(problem => problem.code === 'reserved-field');
+    assert.deepStrictEqual(reserved.map(problem => [problem.rule, problem.location, problem.field]), [
+        ['pollute', 'then.__proto__.polluted', '__proto__.polluted'],
+        ['pollute', 'then.constructor.prototype.x', 'constructor.prototype.x'],
+        ['pollute_table', 'decision_table.outputs', 'prototype.tier']
+    ]);
+    assert.ok(reserved.every(problem => problem.severity === 'error'));
+});
+
+test('field names that merely contain a reserved word are not flagged', () => {
+    const result = new KernRuleLinter().lint({
+        rules: [{ name: 'ok', priority: 1, if: 'true', then: { 'loan.constructor_type': 'x', prototype_id: 1 } }]
+    });
+    assert.deepStrictEqual(result.problems.filter(problem => problem.code === 'reserved-field'), []);
+});
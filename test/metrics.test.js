@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createEngine } = require('../src/kern_engine');
+
+const ROOT = path.join(__dirname, '..');
+const applicant = require('../data/applicant.json');
+
+test('a seeded run reproduces its metrics snapshot apart from timing', async () => {
+    const engine = createEngine({
+        manifest: path.join(ROOT, 'systemmanifest_instance.json'),
+        plan: path.join(ROOT, 'kern_schemas', 'mortgage-rules_v3_rulesconfig_kern_plan.json')
+    });
+    const options = { seed: '1', asOf: '2026-01-01T00:00:00Z' };
+    const first = await engine.execute(applicant, options);
+    const second = await engine.execute(applicant, options);
+
+    const { timing, ...snapshot } = first.metrics.snapshot;
+    assert.strictEqual(snapshot.runId, first.proof.executionId);
+    assert.strictEqual(snapshot.timestamp, '2026-01-01T00:00:00.000Z');
+    assert.deepStrictEqual({ ...second.metrics.snapshot, timing }, first.metrics.snapshot);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const KernPlanAdapter = require('../src/kern_plan_adapter');
+const { createEngine } = require('../src/kern_engine');
+
+const ROOT = path.join(__dirname, '..');
+const CONFIG = require('../kern_schemas/mortgage-rules_v3_rulesconfig.json');
+const applicant = require('../data/applicant.json');
+
+const adapter = new KernPlanAdapter({ logger: () => {} });
+const rule = (name, priority, fields) => ({ name, priority, if: 'true', then: {}, ...fields });
+const names = (rules) => rules.map(r => r.name);
+
+test('dependency_resolved orders the mortgage rules despite their completion guards', async () => {
+    const config = { ...CONFIG, contracts: { ...CONFIG.contracts, executionMode: 'dependency_resolved' } };
+    const plan = adapter.buildPlan(config);
+    const order = plan.transformation_pipeline
+        .filter(step => step.primitive === 'RULE_APPLICATOR')
+        .map(step => step.id.split('.')[0])
+        .filter((name, index, all) => all.indexOf(name) === index);
+
+    // Every writer precedes its readers, which here is the priority order
+    const byPriority = [...CONFIG.ruleSet.rules]
+        .sort((a, b) => a.priority - b.priority)
+        .map(r => r.name.split('.')[0])
+        .filter((name, index, all) => all.indexOf(name) === index);
+    assert.deepStrictEqual(order, byPriority);
+
+    const engine = createEngine({ manifest: path.join(ROOT, 'systemmanifest_instance.json'), plan });
+    const result = await engine.execute(applicant, { seed: '1', asOf: '2026-01-01T00:00:00Z', logger: () => {} });
+    assert.strictEqual(result.state.approval.final_decision, true);
+});
+
+test('a writer runs before its readers whatever their priorities', () => {
+    const ordered = adapter.orderRulesByDependencies([
+        rule('rate', 1, { if: 'score > 0 && rate_done !== true', then: { rate: '{{score * 2}}', rate_done: true } }),
+        rule('score', 2, { if: 'score === undefined', then: { score: '{{income / 1000}}' } }),
+        rule('unrelated', 3)
+    ]);
+    assert.deepStrictEqual(names(ordered), ['score', 'rate', 'unrelated']);
+});
+
+test('explicit dependencies add an edge between rules that share no fields', () => {
+    const rules = [rule('audit', 1, { then: { audited: true } }), rule('intake', 2, { then: { received: true } })];
+    assert.deepStrictEqual(names(adapter.orderRulesByDependencies(rules)), ['audit', 'intake']);
+
+    rules[0].dependencies = ['intake'];
+    assert.deepStrictEqual(names(adapter.orderRulesByDependencies(rules)), ['intake', 'audit']);
+});
+
+test('a dependency on an unknown rule fails', () => {
+    assert.throws(() => adapter.orderRulesByDependencies([rule('audit', 1, { dependencies: ['missing'] })]),
+        /Rule 'audit' depends on unknown rule 'missing'/);
+});
+
+test('rules that read each other\'s outputs form a cycle', () => {
+    assert.throws(() => adapter.orderRulesByDependencies([
+        rule('a', 1, { if: 'y > 0', then: { x: 1 } }),
+        rule('b', 2, { then: { y: '{{x + 1}}' } }),
+        rule('c', 3)
+    ]), /Dependency cycle between rules: (a -> b -> a|b -> a -> b)/);
+});
+
+test('plans carry the source config\'s timestamp, so they are reproducible', () => {
+    const first = adapter.buildPlan(CONFIG);
+    assert.strictEqual(first.metadata.convertedAt, CONFIG.ruleSet.lastModified);
+    assert.deepStrictEqual(adapter.buildPlan(CONFIG), first);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../src/kern_engine');
+
+// A plan whose every state-writing primitive targets a path that would reach
+// Object.prototype if it were followed through the prototype chain
+const pollutingPlan = {
+    metadata: { id: 'polluting_writes', version: '1.0.0', name: 'Polluting writes' },
+    transformation_pipeline: [
+        {
+            id: 'pollute_rule',
+            primitive: 'RULE_APPLICATOR',
+            input_fields: ['*'],
+            output_fields: ['*'],
+            params: {
+                ruleId: 'pollute_rule',
+                priority: 1,
+                condition: 'true',
+                assignments: { '__proto__.polluted': 'yes' },
+                enabled: true
+            }
+        },
+        {
+            id: 'pollute_constructor',
+            primitive: 'RULE_APPLICATOR',
+            input_fields: ['*'],
+            output_fields: ['*'],
+            params: {
+                ruleId: 'pollute_constructor',
+                priority: 2,
+                condition: 'true',
+                assignments: { 'constructor.prototype.x': '1' },
+                enabled: true
+            }
+        },
+        {
+            id: 'pollute_mutator',
+            primitive: 'STATE_MUTATOR',
+            input_fields: [],
+            output_fields: [],
+            params: { path: '__proto__.mutated', value: 'yes' }
+        },
+        {
+            id: 'pollute_template',
+            primitive: 'TEMPLATE_RESOLVER',
+            input_fields: [],
+            output_fields: [],
+            params: { templates: { 'constructor.prototype.templated': 'yes' } }
+        },
+        {
+            id: 'pollute_flattener',
+            primitive: 'OBJECT_FLATTENER',
+            input_fields: [],
+            output_fields: [],
+            params: { mode: 'unflatten', target: '__proto__.flattened' }
+        }
+    ]
+};
+
+const PROBES = ['polluted', 'x', 'mutated', 'templated', 'flattened'];
+
+test('state writes never reach Object.prototype', async () => {
+    const engine = createEngine({ plan: pollutingPlan });
+    const { state } = await engine.execute({ applicant: { name: 'A' } });
+
+    for (const key of PROBES) {
+        assert.strictEqual(({})[key], undefined, `Object.prototype.${key} was written`);
+        assert.ok(!Object.prototype.hasOwnProperty.call(Object.prototype, key));
+    }
+    assert.strictEqual(Object.getPrototypeOf(state), Object.prototype);
+    assert.deepStrictEqual(state.applicant, { name: 'A' });
+});
+
+test('a reserved segment in a write path is reported, not applied', async () => {
+    const engine = createEngine({ plan: pollutingPlan });
+    const { ledger } = await engine.execute({});
+    const errors = ledger
+        .filter(entry => entry.operation === 'UPDATE' && entry.payload.output)
+        .map(entry => entry.payload.output.error);
+
+    for (const field of ['__proto__.polluted', 'constructor.prototype.x', '__proto__.mutated',
+        'constructor.prototype.templated', '__proto__.flattened']) {
+        assert.ok(errors.some(message => message && message.includes(`Refusing to write '${field}'`)),
+            `no error for ${field}:\n${errors.join('\n')}`);
+    }
+});
+
+test('input_fields are read from own properties only', async () => {
+    // Followed through the prototype chain these would read 'Object' and 'toString'
+    const inherited = ['constructor.name', 'applicant.toString.name', 'applicant.__proto__.constructor.name'];
+    const readingPlan = {
+        metadata: { id: 'inherited_reads', version: '1.0.0', name: 'Inherited reads' },
+        transformation_pipeline: [{
+            id: 'read_inherited',
+            primitive: 'STATE_MUTATOR',
+            input_fields: ['applicant.name', ...inherited],
+            output_fields: [],
+            params: { path: 'seen', value: true }
+        }]
+    };
+    const engine = createEngine({ plan: readingPlan });
+    const { ledger } = await engine.execute({ applicant: { name: 'A' } }, { logger: () => {} });
+    const { input } = ledger.find(entry => entry.operation === 'UPDATE').payload;
+
+    assert.strictEqual(input['applicant.name'], 'A');
+    for (const field of inherited) {
+        assert.strictEqual(input[field], undefined, `${field} resolved through the prototype chain`);
+    }
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createEngine } = require('../src/kern_engine');
+
+const ROOT = path.join(__dirname, '..');
+const PLAN = path.join(ROOT, 'kern_schemas', 'mortgage-rules_v3_rulesconfig_kern_plan.json');
+const applicant = require('../data/applicant.json');
+const options = { seed: '1', asOf: '2026-01-01T00:00:00Z' };
+
+test('snapshotting is off unless the execution instance or the caller asks for it', async () => {
+    const engine = createEngine({ manifest: path.join(ROOT, 'systemmanifest_instance.json'), plan: PLAN });
+    const result = await engine.execute(applicant, options);
+    assert.deepStrictEqual(result.snapshots, []);
+    assert.ok(!result.ledger.some(entry => entry.operation === 'SNAPSHOT'));
+});
+
+test('snapshots record a provenance length, and resume restores the writes before the tick', async () => {
+    const engine = createEngine({ manifest: path.join(ROOT, 'systemmanifest_instance.json'), plan: PLAN });
+    const parent = await engine.execute(applicant, { ...options, snapshotInterval: 10 });
+    assert.ok(parent.snapshots.length > 1);
+
+    for (const snapshot of parent.snapshots) {
+        assert.strictEqual(snapshot.resume.provenance, undefined);
+        const before = parent.provenance.filter(write => write.tick <= snapshot.tick);
+        assert.strictEqual(snapshot.resume.provenanceLength, before.length);
+    }
+
+    const tick = parent.snapshots[1].tick + 3;
+    const child = await engine.resume({ snapshots: parent.snapshots, provenance: parent.provenance, tick });
+    assert.strictEqual(child.proof.finalHash, parent.proof.finalHash);
+    const restored = parent.provenance.filter(write => write.tick <= tick);
+    assert.deepStrictEqual(child.provenance.slice(0, restored.length), restored);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KernYamlDialect = require('../src/kern_yaml_dialect');
+const YamlToV3RulesConfigBridge = require('../src/yaml_v3_bridge');
+const KernPlanAdapter = require('../src/kern_plan_adapter');
+const { createEngine } = require('../src/kern_engine');
+
+const FILE = 'rules/located.yaml';
+const RULES = `metadata:
+  name: located
+  version: "1.0.0"
+
+rules:
+  - name: greet
+    priority: 1
+    if: "applicant.income > 0"
+    then:
+      greeted: true
+      message: "Fee {{applicant.name | currency}}"
+
+  - name: tier
+    priority: 2
+    if: "applicant.income > 0"
+    decision_table:
+      inputs: [applicant.income]
+      outputs: [tier]
+      rows:
+        - [">= 1000", A]
+        - ["< 1000",  B]
+
+  - name: broken
+    priority: 3
+    if: "Math.min > 0"
+    then:
+      never: true
+`;
+
+// The plan `convert` and `adapt` would produce for RULES
+function locatedPlan() {
+    const quiet = { logger: () => {} };
+    const document = new KernYamlDialect().load(RULES, FILE);
+    const rules = new YamlToV3RulesConfigBridge(quiet).convertRulesToV3Format(document.data.rules, document);
+    return new KernPlanAdapter(quiet).buildPlan({ ruleSet: { id: 'located', version: '1.0.0', rules }, contracts: {} });
+}
+
+test('plan steps point at their rule, its if key, each then key and each table cell', () => {
+    const steps = Object.fromEntries(locatedPlan().transformation_pipeline.map(step => [step.id, step.source]));
+
+    assert.deepStrictEqual(steps.greet_condition, { file: FILE, line: 8, column: 5, rule: 'greet', key: 'if' });
+    assert.deepStrictEqual(steps.greet, {
+        file: FILE, line: 6, column: 5, rule: 'greet',
+        condition: { line: 8, column: 5 },
+        assignments: { greeted: { line: 10, column: 7 }, message: { line: 11, column: 7 } }
+    });
+    // A table row is located at the row, its output at the output cell
+    assert.deepStrictEqual(steps['tier.row2'], {
+        file: FILE, line: 21, column: 11, rule: 'tier.row2',
+        condition: { line: 21, column: 11 },
+        assignments: { tier: { line: 21, column: 23 } }
+    });
+    assert.strictEqual(steps.iteration_manager, undefined);
+    // Source maps stay out of what the primitives see
+    assert.ok(locatedPlan().transformation_pipeline.every(step => !('source' in step.params)));
+});
+
+test('violations, their ledger entries and field writes carry file:line:column', async () => {
+    const result = await createEngine({ plan: locatedPlan() }).execute({ applicant: { name: 'Ann', income: 500 } }, { logger: () => {} });
+
+    // An unresolved placeholder points at its then key, a failed condition at the if key
+    const unresolved = result.auditTrail.find(v => v.ruleName === 'greet');
+    assert.strictEqual(unresolved.location, `${FILE}:11:7`);
+    const failed = result.auditTrail.find(v => v.ruleName === 'broken');
+    assert.strictEqual(failed.location, `${FILE}:25:5`);
+
+    const entries = result.ledger.filter(entry => entry.operation === 'VIOLATION');
+    assert.ok(entries.length >= 2);
+    assert.ok(entries.every(entry => entry.metadata.location === entry.payload.location), JSON.stringify(entries.map(e => e.metadata)));
+
+    assert.deepStrictEqual(result.provenance.map(write => [write.field, write.location]), [
+        ['greeted', `${FILE}:10:7`],
+        ['message', `${FILE}:11:7`],
+        ['tier', `${FILE}:21:23`]
+    ]);
+});
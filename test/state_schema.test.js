@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEngine } = require('../src/kern_engine');
+
+// One rule that approves any income; the schemas require a numeric income
+// going in and an approval status coming out
+const schemaPlan = (onInvalid) => ({
+    metadata: { id: 'state_schema', version: '1.0.0', name: 'State schema' },
+    transformation_pipeline: [{
+        id: 'approve',
+        primitive: 'RULE_APPLICATOR',
+        input_fields: ['*'],
+        output_fields: ['*'],
+        params: { ruleId: 'approve', priority: 1, condition: 'true', assignments: { 'approval.reviewed': 'true' }, enabled: true }
+    }],
+    stateSchema: {
+        onInvalid,
+        input: {
+            type: 'object',
+            required: ['applicant'],
+            properties: { applicant: { type: 'object', required: ['income'], properties: { income: { type: 'number' } } } }
+        },
+        output: {
+            type: 'object',
+            required: ['approval'],
+            properties: { approval: { type: 'object', required: ['status'] } }
+        }
+    }
+});
+const options = { logger: () => {} };
+const invalid = { applicant: { income: 'a lot' } };
+
+test('on_invalid reject fails the run with INPUT_INVALID before any rule fires', async () => {
+    const engine = createEngine({ plan: schemaPlan('reject') });
+    await assert.rejects(engine.execute(invalid, options), (error) => {
+        assert.strictEqual(error.code, 'INPUT_INVALID');
+        assert.match(error.message, /^Input rejected by stateSchema\.input: Input state applicant\.income must be number$/);
+        assert.deepStrictEqual(error.details.violations.map(v => [v.invariant, v.details.field, v.details.keyword]),
+            [['input_schema', 'applicant.income', 'type']]);
+        return true;
+    });
+});
+
+test('reject is the default on_invalid', async () => {
+    const plan = schemaPlan(undefined);
+    delete plan.stateSchema.onInvalid;
+    await assert.rejects(createEngine({ plan }).execute(invalid, options), { code: 'INPUT_INVALID' });
+});
+
+test('on_invalid flag records the mismatch as a violation and runs the rules', async () => {
+    const engine = createEngine({ plan: schemaPlan('flag') });
+    const result = await engine.execute(invalid, options);
+
+    const findings = result.auditTrail.filter(v => v.invariant === 'input_schema');
+    assert.deepStrictEqual(findings.map(v => [v.details.field, v.details.keyword, v.severity]), [['applicant.income', 'type', 'error']]);
+    assert.strictEqual(result.state.approval.reviewed, true);
+
+    // The final state is checked against the output schema either way
+    const output = result.auditTrail.filter(v => v.invariant === 'output_schema');
+    assert.deepStrictEqual(output.map(v => [v.details.field, v.details.keyword]), [['approval.status', 'required']]);
+});
+
+test('a valid input runs without schema violations under either mode', async () => {
+    for (const onInvalid of ['reject', 'flag']) {
+        const result = await createEngine({ plan: schemaPlan(onInvalid) }).execute({ applicant: { income: 5000 } }, options);
+        assert.ok(!result.auditTrail.some(v => v.invariant === 'input_schema'), onInvalid);
+        assert.strictEqual(result.state.approval.reviewed, true);
+    }
+});
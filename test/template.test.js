@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KernTemplateResolver = require('../src/kern_template');
+const { ExpressionError } = require('../src/kern_expression');
+
+const templates = new KernTemplateResolver();
+const state = { loan: { amount: 1234.5, rate: 6.125, date: '2026-10-19T00:00:00Z', code: 'abc' }, name: 'Ann' };
+
+test('a lone placeholder keeps the value type; anything else interpolates to text', () => {
+    assert.deepStrictEqual(templates.resolve('{{loan.amount * 2}}', state), { value: 2469, interpolated: false, unresolved: [] });
+    assert.deepStrictEqual(templates.resolve('{{ name }}', state).value, 'Ann');
+    assert.deepStrictEqual(templates.resolve('Hi {{name}}, {{loan.amount | currency}} at {{loan.rate | percent:1}}', state), {
+        value: 'Hi Ann, $1,234.50 at 6.1%', interpolated: true, unresolved: []
+    });
+    assert.strictEqual(templates.resolve('{{loan.date | date:long}}', state).value, 'October 19, 2026');
+    assert.strictEqual(templates.resolve('\\{{name\\}} is {{name}}', state).value, '{{name}} is Ann');
+});
+
+test('a lone placeholder that resolves to undefined or null is unresolved, as it is in mixed text', () => {
+    for (const [placeholder, reason] of [['loan.fee', 'resolved to undefined'], ['missing ?? null', 'resolved to null']]) {
+        assert.deepStrictEqual(templates.resolve(`{{${placeholder}}}`, state), {
+            value: `{{${placeholder}}}`, interpolated: true, unresolved: [{ placeholder, reason }]
+        });
+        assert.deepStrictEqual(templates.resolve(`Fee: {{${placeholder}}}`, state), {
+            value: `Fee: {{${placeholder}}}`, interpolated: true, unresolved: [{ placeholder, reason }]
+        });
+    }
+});
+
+test('a placeholder whose filter or evaluation fails is unresolved, alone or in text', () => {
+    const filtered = templates.resolve('{{loan.code | currency}}', state);
+    assert.deepStrictEqual(filtered, {
+        value: '{{loan.code | currency}}',
+        interpolated: true,
+        unresolved: [{ placeholder: 'loan.code | currency', reason: 'currency filter: expected a number, got "abc"' }]
+    });
+    assert.deepStrictEqual(templates.resolve('Due {{loan.code | date}}', state).unresolved,
+        [{ placeholder: 'loan.code | date', reason: 'date filter: expected a date, got "abc"' }]);
+
+    // Math.min used as a value fails at evaluation time
+    for (const template of ['{{Math.min}}', 'Min: {{Math.min}}']) {
+        const { value, unresolved } = templates.resolve(template, state);
+        assert.strictEqual(value, template);
+        assert.deepStrictEqual(unresolved, [{ placeholder: 'Math.min', reason: "'Math.min' cannot be used as a value" }]);
+    }
+});
+
+test('syntax and sandbox errors are thrown, not reported as unresolved', () => {
+    assert.throws(() => templates.resolve('{{loan.amount +}}', state), (error) => error instanceof ExpressionError && error.kind === 'parse');
+    assert.throws(() => templates.resolve('{{loan.amount | bogus}}', state), /Unknown template filter 'bogus'/);
+    assert.throws(() => templates.resolve('Hi {{name', state), /Unterminated \{\{ placeholder/);
+    assert.throws(() => templates.resolve('{{name.replace("A", "B")}}', state),
+        (error) => error instanceof ExpressionError && error.kind === 'security');
+});
+
+test('fieldReferences lists the fields of every placeholder', () => {
+    assert.deepStrictEqual(templates.fieldReferences('{{loan.amount | currency}} for {{name}} ({{loan.rate > 5 ? "high" : "low"}})').sort(),
+        ['loan.amount', 'loan.rate', 'name']);
+});
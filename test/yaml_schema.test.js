@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const KernYamlDialect = require('../src/kern_yaml_dialect');
+const { YamlDialectError } = require('../src/kern_yaml_dialect');
+
+const POLLUTING_RULES = `metadata:
+  name: "polluting"
+  version: "1.0.0"
+
+rules:
+  - name: "pollute"
+    priority: 1
+    if: "true"
+    then:
+      status: "ok"
+      "__proto__.polluted": "yes"
+      constructor.prototype.x: 1
+`;
+
+test('then keys with reserved segments fail validation at their line and column', () => {
+    const dialect = new KernYamlDialect();
+    assert.throws(() => dialect.load(POLLUTING_RULES, 'rules/polluting.yaml'), (error) => {
+        assert.ok(error instanceof YamlDialectError);
+        assert.deepStrictEqual(error.problems.map(problem => [problem.line, problem.column, problem.key]), [
+            [11, 7, '__proto__.polluted'],
+            [12, 7, 'constructor.prototype.x']
+        ]);
+        assert.match(error.message, /rules\/polluting\.yaml:11:7: .*'__proto__\.polluted' is not a writable field path/);
+        return true;
+    });
+});
+
+test('then keys that only contain a reserved word are accepted', () => {
+    const document = new KernYamlDialect().check(
+        POLLUTING_RULES.replace(/\n.*__proto__.*\n.*constructor.*\n/, '\n      loan.constructor_type: "x"\n      prototype_id: 1\n'),
+        'rules/allowed.yaml');
+    assert.deepStrictEqual(document.problems, []);
+});